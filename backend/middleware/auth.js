@@ -82,6 +82,7 @@ const auth = async (req, res, next) => {
       email: user.email,
       role: user.role,
       profile: user.profile,
+      isTriageReviewer: user.isTriageReviewer,
       tokenId: decoded.tokenId,
       sessionId: session._id
     };
@@ -151,6 +152,41 @@ const authorize = (...roles) => {
   };
 };
 
+// Admins and users designated as triage reviewers
+const authorizeReviewer = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+  
+  if (req.user.role !== 'admin' && !req.user.isTriageReviewer) {
+    AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'unauthorized_access',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { 
+        requiredRoles: ['admin', 'triage_reviewer'], 
+        userRole: req.user.role,
+        endpoint: req.originalUrl 
+      },
+      severity: 'medium'
+    });
+    
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions.'
+    });
+  }
+  
+  next();
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -222,6 +258,7 @@ const sensitiveOpAuth = async (req, res, next) => {
 module.exports = {
   auth,
   authorize,
+  authorizeReviewer,
   optionalAuth,
   sensitiveOpAuth
 };
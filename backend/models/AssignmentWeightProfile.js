@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A version of the assignment scoring weights and minimum scores, for all
+// cases or for one court or subject area (see assignmentService.resolveWeightProfile)
+const assignmentWeightProfileSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[\w.-]+$/
+  },
+  description: { type: String, maxlength: 500 },
+
+  // default: every case; court: cases whose jurisdiction matches scopeValue;
+  // subject: cases in the practice area scopeValue
+  scope: { type: String, enum: ['default', 'court', 'subject'], default: 'default' },
+  scopeValue: { type: String, trim: true },
+
+  // Profiles are immutable once created; a change is a new version
+  weights: {
+    expertiseMatch: { type: Number, min: 0, max: 100 },
+    availability: { type: Number, min: 0, max: 100 },
+    loadBalance: { type: Number, min: 0, max: 100 },
+    seniorityWeight: { type: Number, min: 0, max: 100 },
+    rating: { type: Number, min: 0, max: 100 },
+    urgencyBonus: { type: Number, min: 0, max: 20 },
+    newsSensitivityBonus: { type: Number, min: 0, max: 20 },
+    languageMatch: { type: Number, min: 0, max: 20 }
+  },
+  minScoreThresholds: {
+    judge: { type: Number, min: 0, max: 100 },
+    lawyer: { type: Number, min: 0, max: 100 }
+  },
+
+  isActive: { type: Boolean, default: false }, // at most one per scope and scopeValue
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: { type: Date },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+assignmentWeightProfileSchema.index({ isActive: 1, scope: 1 });
+
+// Plain profile as used for scoring
+assignmentWeightProfileSchema.methods.toProfile = function() {
+  const {
+    version, description, scope, scopeValue, weights, minScoreThresholds, isActive, createdAt, activatedAt
+  } = this.toObject();
+  return {
+    version, description, scope, scopeValue: scopeValue || null, weights, minScoreThresholds,
+    isActive, createdAt, activatedAt, source: 'stored'
+  };
+};
+
+module.exports = mongoose.model('AssignmentWeightProfile', assignmentWeightProfileSchema);
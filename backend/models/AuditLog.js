@@ -22,14 +22,19 @@ const auditLogSchema = new mongoose.Schema({
       // Case actions
       'case_uploaded', 'case_viewed', 'case_assigned', 'case_accepted',
       'case_declined', 'case_reassigned', 'case_completed', 'case_archived',
+      'case_reprocess_requested', 'case_stage_reprocessed',
+      'cases_linked', 'cases_unlinked', 'triage_review_completed',
+      'urgency_overridden', 'urgency_override_cleared',
       
       // User management
       'user_created', 'user_updated', 'user_deactivated', 'user_reactivated',
       'profile_updated', 'availability_updated', 'conflicts_updated',
+      'triage_reviewer_updated',
       
       // Admin actions
       'system_config_updated', 'user_role_changed', 'assignment_overridden',
       'data_exported', 'audit_log_accessed', 'metrics_accessed',
+      'classification_cache_invalidated', 'batch_assignment_committed',
       
       // Security events
       'unauthorized_access', 'token_revoked', 'suspicious_activity',
@@ -244,9 +249,15 @@ auditLogSchema.statics.getComplianceCategory = function(action) {
     'case_viewed': 'data_access',
     'case_uploaded': 'data_modification',
     'case_assigned': 'data_modification',
+    'case_reprocess_requested': 'data_modification',
+    'case_stage_reprocessed': 'data_modification',
+    'cases_linked': 'data_modification',
+    'cases_unlinked': 'data_modification',
     'user_created': 'system_admin',
     'user_updated': 'data_modification',
     'system_config_updated': 'system_admin',
+    'classification_cache_invalidated': 'system_admin',
+    'batch_assignment_committed': 'data_modification',
     'unauthorized_access': 'security',
     'data_breach_attempt': 'security'
   };
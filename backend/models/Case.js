@@ -24,34 +24,113 @@ const aiIntakeSchema = new mongoose.Schema({
   reasoningBrief: { type: String }, // 2-3 lines, internal use
   extractedAt: { type: Date, default: Date.now },
   aiModel: { type: String, default: 'gpt-3.5-turbo' },
-  processingTime: { type: Number } // milliseconds
+  processingTime: { type: Number }, // milliseconds
+  chunkCount: { type: Number }, // document parts classified separately and merged
+  estimatedComplexity: { type: String }, // first guess from the classification response
+  
+  // Complexity analysis stage; drives lawyer experience and judge seniority matching
+  complexity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'very_high']
+  },
+  complexityReasoning: { type: String },
+  complexityAnalyzedAt: { type: Date },
+  
+  // Classification audit trail
+  provider: { type: String },
+  promptVersion: { type: String },
+  rawResponse: { type: String }, // JSON array of chunk responses when chunked
+  tokenUsage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  fromCache: { type: Boolean, default: false },
+  
+  // What was replaced before the text was sent out (counts only, never values)
+  redaction: {
+    level: { type: String, enum: ['standard', 'strict'] },
+    counts: { type: mongoose.Schema.Types.Mixed }
+  }
 });
 
+// Search terms of one news check, as sent to outside providers.
+// Blocked terms are recorded by origin and reason only, never by value.
+const newsQuerySchema = new mongoose.Schema({
+  terms: [{ type: String }],
+  sentTo: [{ type: String }], // providers that received the terms (none when served from cache or local sources)
+  blocked: [{
+    origin: { type: String },
+    partyType: { type: String },
+    reason: { type: String }
+  }],
+  protectedCase: { type: Boolean, default: false },
+  protectionReasons: [{ type: String }]
+}, { _id: false });
+
+// One news sensitivity check, at intake or a scheduled re-check
+const newsCheckSchema = new mongoose.Schema({
+  checkedAt: { type: Date, default: Date.now },
+  trigger: { type: String, enum: ['intake', 'scheduled'], required: true },
+  score: { type: Number, min: 0, max: 100 },
+  articleCount: { type: Number, default: 0 },
+  storyCount: { type: Number, default: 0 }, // distinct stories among the articles
+  politicalSensitivity: { type: Boolean, default: false },
+  publicOrderConcern: { type: Boolean, default: false },
+  escalatedTo: { type: String, enum: ['URGENT', 'MODERATE', 'LOW'] }, // set when this check raised urgency
+  query: newsQuerySchema
+}, { _id: false });
+
+// A news story about the case: articles clustered by wording and date, and
+// followed across checks (see services/news/storyClustering.js)
+const newsStorySchema = new mongoose.Schema({
+  storyId: { type: String, required: true },
+  headline: { type: String },
+  terms: [{ type: String }], // used to match the story on later checks
+  urls: [{ type: String }], // normalized, most recent kept
+  articleCount: { type: Number, default: 0 },
+  firstPublishedAt: { type: Date },
+  lastPublishedAt: { type: Date },
+  firstSeenAt: { type: Date }, // check that first found the story
+  lastSeenAt: { type: Date },
+  checkCount: { type: Number, default: 1 },
+  peakScore: { type: Number, min: 0 }
+}, { _id: false });
+
 const newsSignalsSchema = new mongoose.Schema({
   sources: [{
     title: { type: String },
     url: { type: String },
     publishedAt: { type: Date },
     snippet: { type: String },
-    relevanceScore: { type: Number, min: 0, max: 1 }
+    relevanceScore: { type: Number, min: 0, max: 1 },
+    storyId: { type: String } // entry in timeline
   }],
-  score: { type: Number, min: 0, max: 100 }, // news sensitivity score
+  score: { type: Number, min: 0, max: 100 }, // news sensitivity score, counting each story once
+  storyCount: { type: Number, default: 0 }, // distinct stories in the latest check
+  timeline: [newsStorySchema], // stories across all checks, oldest first, capped
   lastCheckedAt: { type: Date, default: Date.now },
   keywords: [{ type: String }],
   geoMatch: { type: Boolean, default: false },
   politicalSensitivity: { type: Boolean, default: false },
-  publicOrderConcern: { type: Boolean, default: false }
+  publicOrderConcern: { type: Boolean, default: false },
+  rulesVersion: { type: String }, // news rule set used for the score
+  history: [newsCheckSchema], // oldest first, capped
+  nextCheckAt: { type: Date } // when the scheduled re-check is due
 });
 
+// Caps follow the bounds admins may set in an assignment weight profile;
+// chief judges get up to 1.5x the urgency and news bonuses
 const scoreBreakdownSchema = new mongoose.Schema({
-  expertiseMatch: { type: Number, min: 0, max: 60 },
-  availability: { type: Number, min: 0, max: 20 },
-  loadBalance: { type: Number, min: 0, max: 10 },
-  seniorityWeight: { type: Number, min: 0, max: 5 },
-  rating: { type: Number, min: 0, max: 5 },
-  urgencyBonus: { type: Number, min: 0, max: 10 },
-  newsSensitivityBonus: { type: Number, min: 0, max: 10 },
-  total: { type: Number, min: 0, max: 120 }
+  expertiseMatch: { type: Number, min: 0, max: 100 },
+  availability: { type: Number, min: 0, max: 100 },
+  loadBalance: { type: Number, min: 0, max: 100 },
+  seniorityWeight: { type: Number, min: 0, max: 100 },
+  rating: { type: Number, min: 0, max: 100 },
+  urgencyBonus: { type: Number, min: 0, max: 30 },
+  newsSensitivityBonus: { type: Number, min: 0, max: 30 },
+  languageMatch: { type: Number, min: 0, max: 20 },
+  total: { type: Number, min: 0, max: 180 }
 });
 
 const assignmentSchema = new mongoose.Schema({
@@ -67,6 +146,11 @@ const assignmentSchema = new mongoose.Schema({
   },
   judgeScore: scoreBreakdownSchema,
   lawyerScore: scoreBreakdownSchema,
+  weightProfile: { // scoring weights used, so the decision can be explained later
+    version: { type: String },
+    scope: { type: String, enum: ['default', 'court', 'subject'] },
+    scopeValue: { type: String }
+  },
   assignedAt: { type: Date, default: Date.now },
   acceptedByJudge: { type: Boolean, default: false },
   acceptedByLawyer: { type: Boolean, default: false },
@@ -74,6 +158,7 @@ const assignmentSchema = new mongoose.Schema({
   lawyerAcceptedAt: { type: Date },
   reassignmentRequested: { type: Boolean, default: false },
   reassignmentReason: { type: String },
+  reassignmentRequestedBy: { type: String, enum: ['judge', 'lawyer'] }, // who rejected the case
   scheduledSlot: {
     date: { type: Date },
     startTime: { type: String },
@@ -81,10 +166,103 @@ const assignmentSchema = new mongoose.Schema({
   }
 });
 
+// Dates, amounts and deadlines extracted from the case text
+const caseFactsSchema = new mongoose.Schema({
+  keyDates: [{
+    type: {
+      type: String,
+      enum: ['limitation', 'hearing', 'dishonour', 'notice', 'arrest', 'fir', 'judgment', 'incident', 'due', 'filing', 'other']
+    },
+    date: { type: Date },
+    raw: { type: String },
+    context: { type: String },
+    _id: false
+  }],
+  amounts: [{
+    value: { type: Number }, // rupees
+    unit: { type: String, enum: ['rupees', 'thousand', 'lakh', 'crore'] },
+    raw: { type: String },
+    context: { type: String },
+    _id: false
+  }],
+  maxAmount: { type: Number, default: 0 }, // rupees
+  deadlines: [{
+    label: { type: String },
+    dueDate: { type: Date },
+    source: { type: String, enum: ['statute', 'document'] },
+    basis: { type: String },
+    _id: false
+  }],
+  extractedAt: { type: Date }
+}, { _id: false });
+
+// Statute/section reference normalised to a canonical ID (e.g. IPC:420)
+const citationSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  statute: { type: String, required: true },
+  statuteName: { type: String },
+  section: { type: String, required: true },
+  subsection: { type: String }, // e.g. (2)(n)
+  equivalent: { type: String }, // cross-walked ID, e.g. BNS:318(4) for IPC:420
+  raw: { type: String } // as written in the document
+}, { _id: false });
+
+// One change to finalUrgency and what made it
+const urgencyChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: ['URGENT', 'MODERATE', 'LOW', null] }, // null for the first classification
+  to: {
+    type: String,
+    enum: ['URGENT', 'MODERATE', 'LOW'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['ai', 'fact_rule', 'news', 'human'],
+    required: true
+  },
+  reason: { type: String },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // set for human changes
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Human check of the classification before assignment
+const triageReviewSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'overridden'],
+    default: 'pending'
+  },
+  reasons: [{ type: String }], // why the case was held, e.g. low_confidence
+  requestedAt: { type: Date, default: Date.now },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  correctedFields: [{ type: String }],
+  notes: { type: String }
+}, { _id: false });
+
+const relatedCaseSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  // duplicate/related are detected; linked is set by an admin and routes both cases to the same judge
+  relation: {
+    type: String,
+    enum: ['duplicate', 'related', 'linked'],
+    required: true
+  },
+  score: { type: Number, min: 0, max: 1 },
+  reasons: [{ type: String }],
+  detectedAt: { type: Date, default: Date.now },
+  linkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  linkReason: { type: String }
+}, { _id: false });
+
 const processingStageSchema = new mongoose.Schema({
   stage: {
     type: String,
-    enum: ['upload', 'text_extraction', 'ocr_processing', 'ai_classification', 'news_check', 'assignment', 'notification'],
+    enum: ['upload', 'text_extraction', 'ocr_processing', 'ai_classification', 'complexity_analysis', 'related_case_check', 'news_check', 'assignment', 'notification'],
     required: true
   },
   status: {
@@ -124,6 +302,7 @@ const caseSchema = new mongoose.Schema({
     originalName: { type: String },
     size: { type: Number },
     mimeType: { type: String },
+    hash: { type: String }, // sha256 of the uploaded file
     uploadedAt: { type: Date, default: Date.now }
   },
   
@@ -138,6 +317,16 @@ const caseSchema = new mongoose.Schema({
     default: 'pdf-parse'
   },
   ocrConfidence: { type: Number, min: 0, max: 1 },
+  textHash: { type: String }, // sha256 of the normalized extracted text
+  
+  // Detected language of the extracted text (ISO 639-1, 'und' when undetermined)
+  language: {
+    code: { type: String },
+    name: { type: String },
+    script: { type: String },
+    confidence: { type: Number, min: 0, max: 1 },
+    languages: [{ type: String }] // primary first, then others with a meaningful share
+  },
   
   // Processing stages
   processingStages: [processingStageSchema],
@@ -145,16 +334,26 @@ const caseSchema = new mongoose.Schema({
   // Case status
   status: {
     type: String,
-    enum: ['intake', 'processing', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error'],
+    enum: ['intake', 'processing', 'pending_review', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error'],
     default: 'intake'
   },
   
   // AI analysis
   aiIntake: aiIntakeSchema,
+  caseFacts: caseFactsSchema,
+  triageReview: triageReviewSchema,
   
   // News sensitivity
   newsSignals: newsSignalsSchema,
   
+  // Statutes and sections cited in the document
+  citations: [citationSchema],
+  citationKeys: [{ type: String }], // citation IDs plus cross-walked equivalents, for search
+  
+  // Duplicate and related case detection
+  partyKeys: [{ type: String }], // normalized party names for matching
+  relatedCases: [relatedCaseSchema],
+  
   // Final urgency (may be escalated from AI classification)
   finalUrgency: {
     type: String,
@@ -163,6 +362,15 @@ const caseSchema = new mongoose.Schema({
   },
   urgencyEscalated: { type: Boolean, default: false },
   escalationReason: { type: String },
+  urgencyHistory: [urgencyChangeSchema],
+  
+  // Manual urgency set by a judge or admin; takes precedence until cleared
+  urgencyOverride: {
+    urgency: { type: String, enum: ['URGENT', 'MODERATE', 'LOW'] },
+    reason: { type: String },
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    setAt: { type: Date }
+  },
   
   // Assignment
   assignment: assignmentSchema,
@@ -208,8 +416,16 @@ caseSchema.index({ 'assignment.judgeId': 1, status: 1 });
 caseSchema.index({ 'assignment.lawyerId': 1, status: 1 });
 caseSchema.index({ finalUrgency: 1, submittedAt: -1 });
 caseSchema.index({ status: 1, submittedAt: -1 });
+caseSchema.index({ 'language.code': 1 });
+caseSchema.index({ 'triageReview.status': 1, 'triageReview.requestedAt': 1 });
 caseSchema.index({ 'aiIntake.urgency': 1, 'newsSignals.score': -1 });
 caseSchema.index({ caseNumber: 1 }, { unique: true, sparse: true });
+caseSchema.index({ 'sourcePDF.hash': 1 });
+caseSchema.index({ textHash: 1 });
+caseSchema.index({ partyKeys: 1, submittedAt: -1 });
+caseSchema.index({ 'caseFacts.deadlines.dueDate': 1 });
+caseSchema.index({ citationKeys: 1 });
+caseSchema.index({ status: 1, 'newsSignals.nextCheckAt': 1 });
 
 // Auto-generate case number
 caseSchema.pre('save', async function(next) {
@@ -249,9 +465,9 @@ caseSchema.methods.addProcessingStage = function(stage, status = 'pending', meta
   return this.save();
 };
 
-// Method to update processing stage
+// Method to update processing stage (targets the most recent attempt of the stage)
 caseSchema.methods.updateProcessingStage = function(stage, status, error = null, metadata = {}) {
-  const stageDoc = this.processingStages.find(s => s.stage === stage);
+  const stageDoc = [...this.processingStages].reverse().find(s => s.stage === stage);
   if (stageDoc) {
     stageDoc.status = status;
     if (status === 'in_progress' && !stageDoc.startedAt) {
@@ -263,11 +479,38 @@ caseSchema.methods.updateProcessingStage = function(stage, status, error = null,
     if (error) {
       stageDoc.error = error;
     }
-    Object.assign(stageDoc.metadata, metadata);
+    stageDoc.metadata = { ...(stageDoc.metadata || {}), ...metadata };
+    stageDoc.markModified('metadata');
   }
   return this.save();
 };
 
+// Method to check if a processing stage has completed at least once
+caseSchema.methods.isStageCompleted = function(stage) {
+  return this.processingStages.some(s => s.stage === stage && s.status === 'completed');
+};
+
+// Method to fail stages left in progress by an interrupted run
+caseSchema.methods.failInterruptedStages = function(reason = 'Interrupted before completion') {
+  let changed = false;
+  for (const stageDoc of this.processingStages) {
+    if (stageDoc.status === 'in_progress') {
+      stageDoc.status = 'failed';
+      stageDoc.completedAt = new Date();
+      stageDoc.error = reason;
+      changed = true;
+    }
+  }
+  return changed ? this.save() : Promise.resolve(this);
+};
+
+// Method to get related case entries, optionally of one relation type
+caseSchema.methods.getRelatedCaseIds = function(relation = null) {
+  return (this.relatedCases || [])
+    .filter(related => !relation || related.relation === relation)
+    .map(related => related.caseId);
+};
+
 // Method to check if case is time-sensitive
 caseSchema.methods.isTimeSensitive = function() {
   return this.finalUrgency === 'URGENT' || 
@@ -275,6 +518,24 @@ caseSchema.methods.isTimeSensitive = function() {
          (this.aiIntake && this.aiIntake.riskSignals && this.aiIntake.riskSignals.length > 0);
 };
 
+// Method to change finalUrgency, recording the change; returns false when unchanged
+caseSchema.methods.setUrgency = function(urgency, { source, reason, changedBy } = {}) {
+  // Upload sets a placeholder urgency, so the first entry has no previous value
+  const from = this.urgencyHistory.length > 0 ? this.finalUrgency : null;
+  if (from === urgency) return false;
+  
+  this.urgencyHistory.push({
+    from,
+    to: urgency,
+    source,
+    reason: reason ? reason.substring(0, 500) : undefined,
+    changedBy,
+    changedAt: new Date()
+  });
+  this.finalUrgency = urgency;
+  return true;
+};
+
 // Method to get case summary for display
 caseSchema.methods.getSummary = function(userRole) {
   const summary = {
@@ -297,7 +558,15 @@ caseSchema.methods.getSummary = function(userRole) {
       break;
     case 'lawyer':
     case 'judge':
-      summary.aiIntake = this.aiIntake;
+      if (this.aiIntake) {
+        // Raw model output is for admin audit only
+        const { rawResponse, ...aiIntake } = this.aiIntake.toObject();
+        summary.aiIntake = aiIntake;
+      }
+      summary.language = this.language;
+      summary.caseFacts = this.caseFacts;
+      summary.urgencyHistory = this.urgencyHistory;
+      summary.citations = this.citations;
       summary.newsSignals = this.newsSignals;
       summary.assignment = this.assignment;
       break;
@@ -328,11 +597,24 @@ caseSchema.statics.findByUrgencyAndStatus = function(urgency, status) {
   }).sort({ submittedAt: 1 });
 };
 
+// Static method to find open cases with a deadline due within the next N days
+caseSchema.statics.findWithApproachingDeadlines = function(withinDays = 7, filter = {}) {
+  const now = new Date();
+  return this.find({
+    ...filter,
+    status: { $nin: ['completed', 'archived'] },
+    'caseFacts.deadlines.dueDate': {
+      $gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+      $lte: new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000)
+    }
+  }).sort({ 'caseFacts.deadlines.dueDate': 1 });
+};
+
 // Static method to find unassigned urgent cases
 caseSchema.statics.findUnassignedUrgent = function() {
   return this.find({
     finalUrgency: 'URGENT',
-    status: { $in: ['classified', 'processing'] },
+    status: { $in: ['classified', 'processing', 'pending_review'] },
     assignment: { $exists: false }
   }).sort({ submittedAt: 1 });
 };
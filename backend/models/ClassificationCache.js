@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const classificationCacheSchema = new mongoose.Schema({
+  // Cache key
+  textHash: { type: String, required: true }, // sha256 of the normalized extracted text
+  model: { type: String, required: true },
+  promptVersion: { type: String, required: true },
+
+  provider: { type: String },
+  result: { type: mongoose.Schema.Types.Mixed, required: true }, // aiIntake as classified
+  sourceCaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+
+  // Usage
+  hits: { type: Number, default: 0 },
+  lastHitAt: { type: Date },
+  expiresAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+classificationCacheSchema.index({ textHash: 1, model: 1, promptVersion: 1 }, { unique: true });
+classificationCacheSchema.index({ promptVersion: 1, model: 1 });
+classificationCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to look up an entry and record the hit
+classificationCacheSchema.statics.findAndTouch = function(textHash, model, promptVersion) {
+  return this.findOneAndUpdate(
+    { textHash, model, promptVersion },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ClassificationCache', classificationCacheSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One entry per classification run, kept after aiIntake is overwritten so
+// outcomes can be compared across prompt versions and models
+const classificationRecordSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+
+  // What produced it
+  promptVersion: { type: String, required: true },
+  model: { type: String },
+  provider: { type: String },
+  fromCache: { type: Boolean, default: false },
+
+  // Outcome
+  urgency: {
+    type: String,
+    enum: ['URGENT', 'MODERATE', 'LOW'],
+    required: true
+  },
+  confidence: { type: Number, min: 0, max: 1 },
+  subjectMatter: { type: String },
+  riskSignals: [{ type: String }],
+  reasoningBrief: { type: String },
+  chunkCount: { type: Number },
+
+  // Raw provider output and cost
+  rawResponse: { type: String },
+  tokenUsage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+classificationRecordSchema.index({ promptVersion: 1, caseId: 1, createdAt: -1 });
+classificationRecordSchema.index({ caseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClassificationRecord', classificationRecordSchema);
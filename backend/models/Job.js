@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['process_case', 'news_recheck'],
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Queue state
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5, min: 1 },
+  runAt: { type: Date, default: Date.now }, // earliest time the job may be picked up
+
+  // Worker lock
+  lockedAt: { type: Date },
+  lockedBy: { type: String }, // worker id
+
+  // Outcome
+  lastError: { type: String },
+  completedAt: { type: Date },
+  failedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes for polling and lookups
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ caseId: 1, type: 1, status: 1 });
+
+// At most one active (queued or running) job per case and type, enforced by the
+// database so concurrent enqueues cannot both insert
+jobSchema.index(
+  { caseId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { caseId: { $exists: true }, status: { $in: ['queued', 'running'] } } }
+);
+
+// Method to check if the job can be retried after a failure
+jobSchema.methods.canRetry = function() {
+  return this.attempts < this.maxAttempts;
+};
+
+// Static method to find the active (queued or running) job for a case
+jobSchema.statics.findActiveForCase = function(caseId, type = 'process_case') {
+  return this.findOne({
+    caseId,
+    type,
+    status: { $in: ['queued', 'running'] }
+  });
+};
+
+module.exports = mongoose.model('Job', jobSchema);
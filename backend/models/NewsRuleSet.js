@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const URGENCIES = ['URGENT', 'MODERATE', 'LOW'];
+const FLAGS = ['political', 'public_order'];
+
+const keywordSchema = new mongoose.Schema({
+  term: { type: String, required: true, trim: true, lowercase: true },
+  weight: { type: Number, required: true, min: 0, max: 10 },
+  flags: [{ type: String, enum: FLAGS }],
+  variants: [{ type: String, trim: true }] // other languages and spellings
+}, { _id: false });
+
+const escalationRuleSchema = new mongoose.Schema({
+  minScore: { type: Number, required: true, min: 0, max: 100 },
+  requiresAny: [{ type: String, enum: FLAGS }], // empty: score alone is enough
+  from: [{ type: String, enum: URGENCIES }],
+  to: { type: String, enum: URGENCIES, required: true },
+  reason: { type: String, required: true, maxlength: 200 }
+}, { _id: false });
+
+// A version of the news sensitivity keyword lists, recency decay and
+// escalation rules (see services/news/defaultRules.js)
+const newsRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[\w.-]+$/
+  },
+  description: { type: String, maxlength: 500 },
+
+  // Rule sets are immutable once created; a change is a new version
+  keywords: [keywordSchema],
+  decay: {
+    type: { type: String, enum: ['linear', 'exponential'], default: 'linear' },
+    initialScore: { type: Number, min: 0, max: 100, default: 10 },
+    perDay: { type: Number, min: 0 },
+    halfLifeDays: { type: Number, min: 0.1 }
+  },
+  escalationRules: [escalationRuleSchema],
+
+  isActive: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: { type: Date },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+newsRuleSetSchema.index({ isActive: 1 });
+
+// Plain rule set as used for scoring
+newsRuleSetSchema.methods.toRules = function() {
+  const { version, description, keywords, decay, escalationRules, isActive, createdAt, activatedAt } = this.toObject();
+  return { version, description, keywords, decay, escalationRules, isActive, createdAt, activatedAt, source: 'stored' };
+};
+
+module.exports = mongoose.model('NewsRuleSet', newsRuleSetSchema);
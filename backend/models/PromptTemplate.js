@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['classification'],
+    required: true
+  },
+  version: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[\w.-]+$/
+  },
+  description: { type: String, maxlength: 500 },
+
+  // Templates are immutable once created; a wording change is a new version
+  systemPrompt: { type: String, required: true },
+  userPrompt: { type: String, required: true },
+
+  isActive: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: { type: Date },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ name: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
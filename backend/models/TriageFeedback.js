@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const feedbackPartySchema = new mongoose.Schema({
+  name: { type: String },
+  type: { type: String }
+}, { _id: false });
+
+// Classification as produced, or as corrected by the reviewer
+const labelSchema = new mongoose.Schema({
+  urgency: {
+    type: String,
+    enum: ['URGENT', 'MODERATE', 'LOW']
+  },
+  subjectMatter: { type: String },
+  parties: [feedbackPartySchema]
+}, { _id: false });
+
+// One entry per completed triage review. The corrected labels are ground truth
+// for evaluating prompts and models against real intake.
+const triageFeedbackSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  decision: {
+    type: String,
+    enum: ['confirmed', 'overridden'],
+    required: true
+  },
+  reasons: [{ type: String }], // why the case was held
+  correctedFields: [{ type: String }],
+  notes: { type: String },
+
+  // What the classifier said, and what it should have said
+  original: labelSchema,
+  corrected: labelSchema,
+  confidence: { type: Number, min: 0, max: 1 },
+  riskSignals: [{ type: String }],
+
+  // What produced the original
+  promptVersion: { type: String },
+  model: { type: String },
+  provider: { type: String },
+  textHash: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+triageFeedbackSchema.index({ caseId: 1, createdAt: -1 });
+triageFeedbackSchema.index({ promptVersion: 1, decision: 1 });
+
+// Latest review per case, for building an evaluation corpus
+triageFeedbackSchema.statics.findLatestPerCase = function(filter = {}) {
+  return this.aggregate([
+    { $match: filter },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$caseId', feedback: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$feedback' } }
+  ]);
+};
+
+module.exports = mongoose.model('TriageFeedback', triageFeedbackSchema);
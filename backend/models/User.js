@@ -118,6 +118,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // May work the triage review queue (admins always can)
+  isTriageReviewer: {
+    type: Boolean,
+    default: false
+  },
   
   // OTP fields
   otpHash: { type: String },
@@ -3,7 +3,19 @@ const { body, query, validationResult, param } = require('express-validator');
 const User = require('../models/User');
 const Case = require('../models/Case');
 const AuditLog = require('../models/AuditLog');
+const Job = require('../models/Job');
 const assignmentService = require('../services/assignmentService');
+const jobQueueService = require('../services/jobQueueService');
+const aiClassificationService = require('../services/aiClassificationService');
+const classificationCacheService = require('../services/classificationCacheService');
+const relatedCaseService = require('../services/relatedCaseService');
+const promptTemplateService = require('../services/promptTemplateService');
+const caseFactsService = require('../services/caseFactsService');
+const newsSensitivityService = require('../services/newsSensitivityService');
+const newsRulesService = require('../services/newsRulesService');
+const assignmentWeightsService = require('../services/assignmentWeightsService');
+const assignmentSimulationService = require('../services/assignmentSimulationService');
+const batchAssignmentService = require('../services/batchAssignmentService');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { auth, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
@@ -238,6 +250,66 @@ router.put('/users/:userId/status',
   })
 );
 
+// @route   PUT /api/admin/users/:userId/reviewer
+// @desc    Designate a user as a triage reviewer, or remove the designation
+// @access  Private (Admin)
+router.put('/users/:userId/reviewer',
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('isTriageReviewer')
+      .isBoolean()
+      .withMessage('isTriageReviewer must be boolean')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isTriageReviewer } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    if (!['judge', 'lawyer', 'admin'].includes(user.role)) {
+      throw new AppError('Only judges, lawyers and admins can review triage', 400, 'INVALID_REVIEWER_ROLE');
+    }
+
+    const previousValue = user.isTriageReviewer;
+    user.isTriageReviewer = isTriageReviewer;
+    await user.save();
+
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'triage_reviewer_updated',
+      targetType: 'user',
+      targetId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: String(previousValue),
+        newValue: String(isTriageReviewer)
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Triage reviewer designation ${isTriageReviewer ? 'granted' : 'removed'}`,
+      data: { user }
+    });
+  })
+);
+
 // @route   GET /api/admin/cases/pending
 // @desc    Get cases pending assignment
 // @access  Private (Admin)
@@ -246,6 +318,7 @@ router.get('/cases/pending', asyncHandler(async (req, res) => {
     status: { $in: ['classified', 'error'] }
   })
   .populate('clientId', 'email clientProfile')
+  .populate('relatedCases.caseId', 'caseNumber title status finalUrgency assignment.judgeId')
   .sort({ submittedAt: 1 });
   
   res.status(200).json({
@@ -254,12 +327,53 @@ router.get('/cases/pending', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/admin/cases/deadlines
+// @desc    Get open cases with a statutory or stated deadline due soon
+// @access  Private (Admin)
+router.get('/cases/deadlines',
+  [
+    query('days').optional().isInt({ min: 1, max: 90 }).withMessage('days must be between 1 and 90')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || caseFactsService.deadlineWarningDays;
+
+    const cases = await Case.findWithApproachingDeadlines(days)
+      .select('caseNumber title status finalUrgency assignment.judgeId assignment.lawyerId caseFacts.deadlines')
+      .populate('assignment.judgeId', 'email judgeProfile.name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        cases: cases.map(caseDoc => ({
+          _id: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          title: caseDoc.title,
+          status: caseDoc.status,
+          finalUrgency: caseDoc.finalUrgency,
+          judge: caseDoc.assignment ? caseDoc.assignment.judgeId : null,
+          deadlines: caseFactsService.getApproachingDeadlines(caseDoc.caseFacts.deadlines, { withinDays: days })
+        }))
+      }
+    });
+  })
+);
+
 // @route   GET /api/admin/cases
 // @desc    Get cases list with filters
 // @access  Private (Admin)
 router.get('/cases',
   [
-    query('status').optional().isIn(['intake', 'processing', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error']),
+    query('status').optional().isIn(['intake', 'processing', 'pending_review', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error']),
     query('urgency').optional().isIn(['URGENT', 'MODERATE', 'LOW']),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -383,6 +497,7 @@ router.post('/cases/:id/reassign',
 
     caseDoc.assignment.reassignmentRequested = false;
     caseDoc.assignment.reassignmentReason = undefined;
+    caseDoc.assignment.reassignmentRequestedBy = undefined;
     caseDoc.status = 'assigned';
     caseDoc.assignedAt = new Date();
 
@@ -421,6 +536,981 @@ router.post('/cases/:id/reassign',
   })
 );
 
+// Stages that can be re-run: everything after the upload itself
+const REPROCESSABLE_STAGES = Case.schema.path('processingStages').schema.path('stage').enumValues
+  .filter(stage => stage !== 'upload');
+
+// @route   POST /api/admin/cases/:id/reprocess
+// @desc    Re-run a processing stage and everything downstream of it
+// @access  Private (Admin)
+router.post('/cases/:id/reprocess',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    body('stage')
+      .isIn(REPROCESSABLE_STAGES)
+      .withMessage(`Stage must be one of: ${REPROCESSABLE_STAGES.join(', ')}`),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+    body('skipCache').optional().isBoolean().withMessage('skipCache must be a boolean')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { stage, reason, skipCache = false } = req.body;
+
+    const caseDoc = await Case.findById(id);
+    if (!caseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    if (['accepted', 'in_progress', 'completed', 'archived'].includes(caseDoc.status)) {
+      throw new AppError(`Cannot reprocess a case with status ${caseDoc.status}`, 409, 'CASE_NOT_REPROCESSABLE');
+    }
+
+    if (!caseDoc.sourcePDF || !caseDoc.sourcePDF.gridFSId) {
+      throw new AppError('Case has no source document to process', 409, 'NO_SOURCE_DOCUMENT');
+    }
+
+    const activeJob = await Job.findActiveForCase(caseDoc._id);
+    if (activeJob) {
+      throw new AppError('Case is already being processed', 409, 'PROCESSING_IN_PROGRESS');
+    }
+
+    // OCR is a forced re-extraction in the pipeline
+    const fromStage = stage === 'ocr_processing' ? 'text_extraction' : stage;
+
+    const job = await jobQueueService.enqueue('process_case', {
+      caseId: caseDoc._id,
+      payload: {
+        fromStage,
+        forceOCR: stage === 'ocr_processing',
+        skipCache,
+        requestedBy: {
+          id: req.user.id,
+          email: req.user.email,
+          role: req.user.role,
+          ip: req.ip
+        }
+      }
+    });
+
+    // Log reprocess request
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'case_reprocess_requested',
+      targetType: 'case',
+      targetId: caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        caseNumber: caseDoc.caseNumber,
+        stage,
+        previousStatus: caseDoc.status,
+        jobId: job._id,
+        reason
+      },
+      severity: 'medium'
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Reprocessing queued from stage ${stage}`,
+      data: {
+        job: {
+          id: job._id,
+          status: job.status,
+          fromStage,
+          runAt: job.runAt
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/admin/cases/:id/related
+// @desc    Get duplicate, related and linked cases
+// @access  Private (Admin)
+router.get('/cases/:id/related',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id);
+    if (!caseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    const relatedCases = await relatedCaseService.getRelatedCasesView(caseDoc, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { relatedCases }
+    });
+  })
+);
+
+// @route   GET /api/admin/cases/:id/news-queries
+// @desc    Get the search terms sent to news providers for each news check of a case
+// @access  Private (Admin)
+router.get('/cases/:id/news-queries',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseDoc = await Case.findById(req.params.id).select('caseNumber newsSignals.history');
+    if (!caseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    const checks = (caseDoc.newsSignals?.history || []).map(check => ({
+      checkedAt: check.checkedAt,
+      trigger: check.trigger,
+      query: check.query
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        caseNumber: caseDoc.caseNumber,
+        checks
+      }
+    });
+  })
+);
+
+// @route   POST /api/admin/cases/:id/links
+// @desc    Link two cases so they are assigned to the same judge
+// @access  Private (Admin)
+router.post('/cases/:id/links',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    body('relatedCaseId').isMongoId().withMessage('Invalid related case ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relatedCaseId, reason } = req.body;
+
+    const [caseDoc, relatedCaseDoc] = await Promise.all([
+      Case.findById(req.params.id),
+      Case.findById(relatedCaseId)
+    ]);
+
+    if (!caseDoc || !relatedCaseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    await relatedCaseService.linkCases(caseDoc, relatedCaseDoc, {
+      linkedBy: req.user.id,
+      reason
+    });
+
+    // Linking does not move existing assignments; flag when the judges differ
+    const judgeIds = [caseDoc, relatedCaseDoc]
+      .map(doc => doc.assignment && doc.assignment.judgeId)
+      .filter(Boolean)
+      .map(String);
+    const judgesDiffer = judgeIds.length === 2 && judgeIds[0] !== judgeIds[1];
+
+    // Log link
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'cases_linked',
+      targetType: 'case',
+      targetId: caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        caseNumber: caseDoc.caseNumber,
+        relatedCaseNumber: relatedCaseDoc.caseNumber,
+        reason,
+        judgesDiffer
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: judgesDiffer
+        ? 'Cases linked; they are assigned to different judges - reassign one to align them'
+        : 'Cases linked',
+      data: {
+        caseId: caseDoc._id,
+        relatedCaseId: relatedCaseDoc._id,
+        judgesDiffer
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/admin/cases/:id/links/:relatedCaseId
+// @desc    Remove a link between two cases
+// @access  Private (Admin)
+router.delete('/cases/:id/links/:relatedCaseId',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    param('relatedCaseId').isMongoId().withMessage('Invalid related case ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [caseDoc, relatedCaseDoc] = await Promise.all([
+      Case.findById(req.params.id),
+      Case.findById(req.params.relatedCaseId)
+    ]);
+
+    if (!caseDoc || !relatedCaseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    await relatedCaseService.unlinkCases(caseDoc, relatedCaseDoc);
+
+    // Log unlink
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'cases_unlinked',
+      targetType: 'case',
+      targetId: caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        caseNumber: caseDoc.caseNumber,
+        relatedCaseNumber: relatedCaseDoc.caseNumber
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cases unlinked'
+    });
+  })
+);
+
+// @route   GET /api/admin/classification-cache
+// @desc    Get classification cache statistics
+// @access  Private (Admin)
+router.get('/classification-cache', asyncHandler(async (req, res) => {
+  const [stats, template] = await Promise.all([
+    classificationCacheService.getStats(),
+    promptTemplateService.getActiveTemplate('classification')
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      current: {
+        model: aiClassificationService.model,
+        promptVersion: template.version
+      },
+      enabled: classificationCacheService.enabled,
+      entries: stats.map(entry => ({
+        model: entry._id.model,
+        promptVersion: entry._id.promptVersion,
+        entries: entry.entries,
+        hits: entry.hits,
+        lastHitAt: entry.lastHitAt
+      }))
+    }
+  });
+}));
+
+// @route   DELETE /api/admin/classification-cache
+// @desc    Invalidate classification cache entries (e.g. after a prompt change)
+// @access  Private (Admin)
+router.delete('/classification-cache',
+  [
+    body('stale').optional().isBoolean().withMessage('stale must be a boolean'),
+    body('all').optional().isBoolean().withMessage('all must be a boolean'),
+    body('promptVersion').optional().isString().trim(),
+    body('model').optional().isString().trim(),
+    body('textHash').optional().isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid text hash')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { stale = false, all = false, promptVersion, model, textHash } = req.body;
+
+    // Guard against wiping the whole cache by sending an empty body
+    if (!all && !stale && !promptVersion && !model && !textHash) {
+      throw new AppError('Specify stale, promptVersion, model, textHash or all', 400, 'NO_INVALIDATION_FILTER');
+    }
+
+    const template = await promptTemplateService.getActiveTemplate('classification');
+    const deletedCount = await classificationCacheService.invalidate({
+      stale,
+      promptVersion,
+      model,
+      textHash,
+      current: {
+        model: aiClassificationService.model,
+        promptVersion: template.version
+      }
+    });
+
+    // Log invalidation
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'classification_cache_invalidated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        stale,
+        all,
+        promptVersion,
+        model,
+        textHash,
+        deletedCount
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Invalidated ${deletedCount} cache entries`,
+      data: { deletedCount }
+    });
+  })
+);
+
+// @route   GET /api/admin/prompts
+// @desc    List classification prompt versions
+// @access  Private (Admin)
+router.get('/prompts', asyncHandler(async (req, res) => {
+  const templates = await promptTemplateService.listTemplates('classification');
+
+  res.status(200).json({
+    success: true,
+    data: { templates }
+  });
+}));
+
+// @route   POST /api/admin/prompts
+// @desc    Create a new classification prompt version
+// @access  Private (Admin)
+router.post('/prompts',
+  [
+    body('version')
+      .trim()
+      .matches(/^[\w.-]{1,40}$/)
+      .withMessage('Version may contain letters, numbers, dots, dashes and underscores'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long'),
+    body('systemPrompt').isString().isLength({ min: 50, max: 20000 }).withMessage('System prompt must be 50-20000 characters'),
+    body('userPrompt').isString().isLength({ min: 10, max: 5000 }).withMessage('User prompt must be 10-5000 characters'),
+    body('activate').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { version, description, systemPrompt, userPrompt, activate = false } = req.body;
+
+    const template = await promptTemplateService.createTemplate('classification', {
+      version,
+      description,
+      systemPrompt,
+      userPrompt
+    }, req.user);
+
+    if (activate) {
+      await promptTemplateService.activateTemplate('classification', version, req.user);
+    }
+
+    // Log prompt change
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        setting: 'classification_prompt',
+        newValue: version,
+        activated: activate
+      },
+      severity: 'medium'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt version ${version} created`,
+      data: { template: { ...template, isActive: activate } }
+    });
+  })
+);
+
+// @route   POST /api/admin/prompts/:version/activate
+// @desc    Use a prompt version for new classifications
+// @access  Private (Admin)
+router.post('/prompts/:version/activate',
+  [
+    param('version').matches(/^[\w.-]{1,40}$/).withMessage('Invalid version')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await promptTemplateService.getActiveTemplate('classification');
+    const template = await promptTemplateService.activateTemplate('classification', req.params.version, req.user);
+
+    // Log activation
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        setting: 'classification_prompt',
+        previousValue: previous.version,
+        newValue: template.version
+      },
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Prompt version ${template.version} is now active`,
+      data: { template: { ...template, isActive: true } }
+    });
+  })
+);
+
+// @route   GET /api/admin/prompts/diff
+// @desc    Compare classifications produced by two prompt versions on the same cases
+// @access  Private (Admin)
+router.get('/prompts/diff',
+  [
+    query('from').matches(/^[\w.-]{1,40}$/).withMessage('Invalid from version'),
+    query('to').matches(/^[\w.-]{1,40}$/).withMessage('Invalid to version'),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, limit = 100 } = req.query;
+
+    const diff = await promptTemplateService.compareVersions(from, to, { limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  })
+);
+
+// @route   GET /api/admin/news-rules
+// @desc    List news sensitivity rule versions
+// @access  Private (Admin)
+router.get('/news-rules', asyncHandler(async (req, res) => {
+  const versions = await newsRulesService.listRules();
+
+  res.status(200).json({
+    success: true,
+    data: { versions }
+  });
+}));
+
+// @route   POST /api/admin/news-rules
+// @desc    Create a new version of the news keywords, decay and escalation rules
+// @access  Private (Admin)
+router.post('/news-rules',
+  [
+    body('version')
+      .trim()
+      .matches(/^[\w.-]{1,40}$/)
+      .withMessage('Version may contain letters, numbers, dots, dashes and underscores'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long'),
+    body('keywords').isArray({ min: 1, max: 500 }).withMessage('Keywords must be an array of 1-500 entries'),
+    body('decay').isObject().withMessage('Decay settings are required'),
+    body('escalationRules').isArray({ max: 20 }).withMessage('Escalation rules must be an array of at most 20 rules'),
+    body('activate').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { version, description, keywords, decay, escalationRules, activate = false } = req.body;
+    const previous = await newsSensitivityService.getActiveRules();
+
+    const rules = await newsRulesService.createRules({
+      version,
+      description,
+      keywords,
+      decay,
+      escalationRules
+    }, req.user);
+
+    if (activate) {
+      await newsRulesService.activateRules(version, req.user);
+    }
+
+    // Log rules change
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: activate ? previous.version : undefined,
+        newValue: version,
+        additionalInfo: {
+          setting: 'news_rules',
+          activated: activate,
+          keywords: rules.keywords.length,
+          escalationRules: rules.escalationRules.length
+        }
+      },
+      severity: activate ? 'high' : 'medium'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `News rules version ${version} created`,
+      data: { rules: { ...rules, isActive: activate } }
+    });
+  })
+);
+
+// @route   POST /api/admin/news-rules/dry-run
+// @desc    Show how a rules version, or unsaved rules, would re-score existing cases
+// @access  Private (Admin)
+router.post('/news-rules/dry-run',
+  [
+    body('version').optional().matches(/^[\w.-]{1,40}$/).withMessage('Invalid version'),
+    body('rules').optional().isObject().withMessage('Rules must be an object'),
+    body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { version, rules: draft, limit = 100 } = req.body;
+    if (!version === !draft) {
+      throw new AppError('Specify either a rules version or draft rules', 400, 'NO_NEWS_RULES');
+    }
+
+    let proposed;
+    if (version) {
+      proposed = await newsRulesService.getRules(version);
+      if (!proposed) {
+        throw new AppError(`News rules version ${version} not found`, 404, 'NEWS_RULES_VERSION_NOT_FOUND');
+      }
+    } else {
+      proposed = newsRulesService.validateRules(draft);
+    }
+
+    const result = await newsRulesService.dryRun(proposed, { limit: parseInt(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/admin/news-rules/:version/activate
+// @desc    Use a news rules version for scoring and escalation
+// @access  Private (Admin)
+router.post('/news-rules/:version/activate',
+  [
+    param('version').matches(/^[\w.-]{1,40}$/).withMessage('Invalid version')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await newsSensitivityService.getActiveRules();
+    const rules = await newsRulesService.activateRules(req.params.version, req.user);
+
+    // Log activation
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: previous.version,
+        newValue: rules.version,
+        additionalInfo: { setting: 'news_rules' }
+      },
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `News rules version ${rules.version} is now active`,
+      data: { rules: { ...rules, isActive: true } }
+    });
+  })
+);
+
+// @route   GET /api/admin/assignment-weights
+// @desc    List assignment weight profile versions
+// @access  Private (Admin)
+router.get('/assignment-weights', asyncHandler(async (req, res) => {
+  const versions = await assignmentWeightsService.listProfiles();
+
+  res.status(200).json({
+    success: true,
+    data: { versions }
+  });
+}));
+
+// @route   POST /api/admin/assignment-weights
+// @desc    Create a new version of the assignment scoring weights, for all cases or one court or subject area
+// @access  Private (Admin)
+router.post('/assignment-weights',
+  [
+    body('version')
+      .trim()
+      .matches(/^[\w.-]{1,40}$/)
+      .withMessage('Version may contain letters, numbers, dots, dashes and underscores'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long'),
+    body('scope').optional().isIn(['default', 'court', 'subject']).withMessage('Scope must be default, court or subject'),
+    body('scopeValue').optional().isString().withMessage('Scope value must be a string'),
+    body('weights').isObject().withMessage('Weights are required'),
+    body('minScoreThresholds').isObject().withMessage('Minimum score thresholds are required'),
+    body('activate').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { version, description, scope, scopeValue, weights, minScoreThresholds, activate = false } = req.body;
+
+    const profile = await assignmentWeightsService.createProfile({
+      version,
+      description,
+      scope,
+      scopeValue,
+      weights,
+      minScoreThresholds
+    }, req.user);
+
+    const activation = activate ? await assignmentWeightsService.activateProfile(version, req.user) : null;
+
+    // Log weights change
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: activation ? activation.previousVersion : undefined,
+        newValue: version,
+        additionalInfo: {
+          setting: 'assignment_weights',
+          activated: activate,
+          scope: profile.scope,
+          scopeValue: profile.scopeValue,
+          weights: profile.weights,
+          minScoreThresholds: profile.minScoreThresholds
+        }
+      },
+      severity: activate ? 'high' : 'medium'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Weight profile version ${version} created`,
+      data: { profile: { ...profile, isActive: activate } }
+    });
+  })
+);
+
+// @route   POST /api/admin/assignment-weights/:version/activate
+// @desc    Use a weight profile version for new assignments in its scope
+// @access  Private (Admin)
+router.post('/assignment-weights/:version/activate',
+  [
+    param('version').matches(/^[\w.-]{1,40}$/).withMessage('Invalid version')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { profile, previousVersion } = await assignmentWeightsService.activateProfile(req.params.version, req.user);
+
+    // Log activation
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'system_config_updated',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: previousVersion,
+        newValue: profile.version,
+        additionalInfo: {
+          setting: 'assignment_weights',
+          scope: profile.scope,
+          scopeValue: profile.scopeValue
+        }
+      },
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Weight profile version ${profile.version} is now active`,
+      data: { profile: { ...profile, isActive: true } }
+    });
+  })
+);
+
+// @route   POST /api/admin/assignments/simulate
+// @desc    Replay assignment over past cases with a proposed weight profile or roster, without saving
+// @access  Private (Admin)
+router.post('/assignments/simulate',
+  [
+    body('caseIds').optional().isArray({ min: 1, max: 500 }).withMessage('Case IDs must be an array of 1-500 IDs'),
+    body('caseIds.*').optional().isMongoId().withMessage('Invalid case ID'),
+    body('from').optional().isISO8601().withMessage('Invalid from date'),
+    body('to').optional().isISO8601().withMessage('Invalid to date'),
+    body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    body('version').optional().matches(/^[\w.-]{1,40}$/).withMessage('Invalid version'),
+    body('profile').optional().isObject().withMessage('Profile must be an object'),
+    body('roster').optional().isObject().withMessage('Roster must be an object')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { caseIds, from, to, limit = 100, version, profile: draft, roster } = req.body;
+    if (version && draft) {
+      throw new AppError('Specify either a weight profile version or a draft profile', 400, 'AMBIGUOUS_WEIGHT_PROFILE');
+    }
+    if (!version && !draft && !roster) {
+      throw new AppError('Specify a weight profile, a roster change or both', 400, 'NO_SIMULATION_CHANGE');
+    }
+
+    let profile = null;
+    if (version) {
+      profile = await assignmentWeightsService.getProfile(version);
+      if (!profile) {
+        throw new AppError(`Weight profile version ${version} not found`, 404, 'WEIGHT_PROFILE_VERSION_NOT_FOUND');
+      }
+    } else if (draft) {
+      profile = { version: null, ...assignmentWeightsService.validateProfile(draft), source: 'draft' };
+    }
+
+    const result = await assignmentSimulationService.simulate({
+      caseIds,
+      from,
+      to,
+      limit: parseInt(limit),
+      profile,
+      roster
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/admin/assignments/batch
+// @desc    Preview a batch assignment of all classified, unassigned cases (nothing is saved)
+// @access  Private (Admin)
+router.get('/assignments/batch', asyncHandler(async (req, res) => {
+  const plan = await batchAssignmentService.preview();
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+}));
+
+// @route   POST /api/admin/assignments/batch
+// @desc    Apply previewed batch assignments; each is re-checked before it is saved
+// @access  Private (Admin)
+router.post('/assignments/batch',
+  [
+    body('assignments').isArray({ min: 1, max: 500 }).withMessage('Assignments must be an array of 1-500 entries'),
+    body('assignments.*.caseId').isMongoId().withMessage('Invalid case ID'),
+    body('assignments.*.judgeId').isMongoId().withMessage('Invalid judge ID'),
+    body('assignments.*.lawyerId').isMongoId().withMessage('Invalid lawyer ID')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const caseIds = req.body.assignments.map(assignment => String(assignment.caseId));
+    if (new Set(caseIds).size !== caseIds.length) {
+      throw new AppError('Each case may appear only once', 400, 'DUPLICATE_CASE');
+    }
+
+    const startTime = Date.now();
+    const result = await batchAssignmentService.commit(req.body.assignments);
+
+    // Log batch; each assignment is also logged as case_assigned
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'batch_assignment_committed',
+      targetType: 'system',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: result.summary.assigned > 0,
+        duration: Date.now() - startTime,
+        additionalInfo: {
+          ...result.summary,
+          notAssignedReasons: result.results
+            .filter(entry => !entry.assigned)
+            .reduce((counts, entry) => ({ ...counts, [entry.reason]: (counts[entry.reason] || 0) + 1 }), {})
+        }
+      },
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.summary.assigned} of ${result.summary.requested} cases assigned`,
+      data: result
+    });
+  })
+);
+
 // @route   GET /api/admin/audit-logs
 // @desc    Get audit logs with filters
 // @access  Private (Admin)
@@ -534,6 +1624,7 @@ router.get('/system/health', asyncHandler(async (req, res) => {
       port: mongoose.connection.port,
       name: mongoose.connection.name
     },
+    news: newsSensitivityService.getUsage(),
     environment: process.env.NODE_ENV || 'development'
   };
 
@@ -5,7 +5,11 @@ const Case = require('../models/Case');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const fileService = require('../services/fileService');
-const textExtractionService = require('../services/textExtractionService');
+const jobQueueService = require('../services/jobQueueService');
+const relatedCaseService = require('../services/relatedCaseService');
+const citationService = require('../services/citationService');
+const urgencyService = require('../services/urgencyService');
+const assignmentService = require('../services/assignmentService');
 const encryptionService = require('../utils/encryption');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { auth, authorize } = require('../middleware/auth');
@@ -79,6 +83,7 @@ router.post('/upload',
         
         // Validate PDF file
         fileService.validatePDFBuffer(pdfBuffer);
+        const fileHash = fileService.generateFileHash(pdfBuffer);
         
         // Create initial case record
         const caseData = {
@@ -105,7 +110,7 @@ router.post('/upload',
             caseId: newCase._id,
             clientId: req.user.id,
             mimeType: req.file.mimetype,
-            hash: fileService.generateFileHash(pdfBuffer)
+            hash: fileHash
           }
         );
         
@@ -116,6 +121,7 @@ router.post('/upload',
           originalName: fileInfo.originalName,
           size: fileInfo.size,
           mimeType: req.file.mimetype,
+          hash: fileHash,
           uploadedAt: fileInfo.uploadedAt
         };
         
@@ -130,6 +136,9 @@ router.post('/upload',
         
         await newCase.save();
         
+        // Flag re-uploads of the same PDF; processing still goes ahead
+        const duplicates = await relatedCaseService.findDuplicateUploads(newCase);
+        
         // Log case upload
         await AuditLog.createEntry({
           actorId: req.user.id,
@@ -144,19 +153,16 @@ router.post('/upload',
             success: true,
             caseNumber: newCase.caseNumber,
             fileSize: fileInfo.size,
-            fileName: fileInfo.originalName
+            fileName: fileInfo.originalName,
+            duplicateOf: duplicates.map(duplicate => duplicate.caseNumber)
           },
           severity: 'low'
         });
         
         logger.info(`Case uploaded successfully: ${newCase.caseNumber} by ${req.user.email}`);
         
-        // Start text extraction process asynchronously
-        setImmediate(() => {
-          processCase(newCase._id).catch(error => {
-            logger.error(`Case processing failed for ${newCase.caseNumber}:`, error);
-          });
-        });
+        // Queue the processing pipeline; the worker picks it up and survives restarts
+        await jobQueueService.enqueue('process_case', { caseId: newCase._id });
         
         res.status(201).json({
           success: true,
@@ -168,7 +174,16 @@ router.post('/upload',
               title: newCase.title,
               status: newCase.status,
               submittedAt: newCase.submittedAt
-            }
+            },
+            // Only the client's own earlier uploads are disclosed
+            possibleDuplicates: duplicates
+              .filter(duplicate => String(duplicate.clientId) === String(req.user.id))
+              .map(duplicate => ({
+                id: duplicate._id,
+                caseNumber: duplicate.caseNumber,
+                title: duplicate.title,
+                status: duplicate.status
+              }))
           }
         });
         
@@ -226,6 +241,7 @@ router.get('/:id',
     
     // Get role-filtered view
     const caseData = caseDoc.getSummary(req.user.role);
+    caseData.relatedCases = await relatedCaseService.getRelatedCasesView(caseDoc, req.user);
     
     // Decrypt sensitive fields if user has access
     if (['lawyer', 'judge', 'admin'].includes(req.user.role)) {
@@ -251,12 +267,14 @@ router.get('/:id',
 router.get('/',
   auth,
   [
-    query('status').optional().isIn(['intake', 'processing', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error']),
+    query('status').optional().isIn(['intake', 'processing', 'pending_review', 'classified', 'assigned', 'accepted', 'in_progress', 'completed', 'archived', 'error']),
     query('urgency').optional().isIn(['URGENT', 'MODERATE', 'LOW']),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('sortBy').optional().isIn(['submittedAt', 'updatedAt', 'finalUrgency', 'status']),
-    query('sortOrder').optional().isIn(['asc', 'desc'])
+    query('sortOrder').optional().isIn(['asc', 'desc']),
+    query('statute').optional().matches(/^[\w .()]{2,60}$/).withMessage('Invalid statute'),
+    query('section').optional().matches(/^\d{1,3}[A-Za-z]{0,2}(?:\(\w{1,3}\))*$/).withMessage('Invalid section')
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -271,6 +289,8 @@ router.get('/',
     const {
       status,
       urgency,
+      statute,
+      section,
       page = 1,
       limit = 20,
       sortBy = 'submittedAt',
@@ -301,6 +321,21 @@ router.get('/',
     if (status) query.status = status;
     if (urgency) query.finalUrgency = urgency;
 
+    // Statute/section search; IPC and BNS references match each other via the cross-walk
+    if (section && !statute) {
+      throw new AppError('statute is required when searching by section', 400, 'STATUTE_REQUIRED');
+    }
+    if (statute) {
+      const statuteId = citationService.resolveStatute(statute) || statute.toUpperCase();
+      if (!citationService.isKnownStatute(statuteId)) {
+        throw new AppError(`Unknown statute: ${statute}`, 400, 'UNKNOWN_STATUTE');
+      }
+
+      query.citationKeys = section
+        ? { $in: citationService.getSearchKeys(statuteId, section) }
+        : { $regex: `^${statuteId}:` };
+    }
+
     // Build sort object
     const sort = {};
     sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
@@ -533,6 +568,7 @@ router.post('/:id/reject',
     // Mark for reassignment
     caseDoc.assignment.reassignmentRequested = true;
     caseDoc.assignment.reassignmentReason = reason;
+    caseDoc.assignment.reassignmentRequestedBy = req.user.role;
     caseDoc.status = 'classified'; // Back to classified for reassignment
 
     await caseDoc.save();
@@ -555,12 +591,17 @@ router.post('/:id/reject',
       severity: 'medium'
     });
 
-    // TODO: Trigger reassignment process
-    // setImmediate(() => {
-    //   assignmentService.reassignCase(caseDoc._id).catch(error => {
-    //     logger.error(`Reassignment failed for case ${caseDoc.caseNumber}:`, error);
-    //   });
-    // });
+    // In batch mode the next batch assignment picks the case up without the
+    // rejecting judge or lawyer; otherwise reassign it now
+    if (assignmentService.assignmentMode !== 'batch') {
+      await jobQueueService.enqueue('process_case', {
+        caseId: caseDoc._id,
+        payload: {
+          fromStage: 'assignment',
+          excludeUserIds: [req.user.id]
+        }
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -576,6 +617,157 @@ router.post('/:id/reject',
   })
 );
 
+// Judges may change urgency only on cases assigned to them
+const loadCaseForUrgencyChange = async (req) => {
+  const caseDoc = await Case.findById(req.params.id);
+  if (!caseDoc) {
+    throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+  }
+
+  if (req.user.role === 'judge' && String(caseDoc.assignment?.judgeId) !== String(req.user.id)) {
+    throw new AppError('You are not assigned to this case', 403, 'NOT_ASSIGNED');
+  }
+
+  if (['completed', 'archived'].includes(caseDoc.status)) {
+    throw new AppError(`Cannot change urgency of a ${caseDoc.status} case`, 409, 'CASE_CLOSED');
+  }
+
+  return caseDoc;
+};
+
+// @route   PUT /api/cases/:id/urgency
+// @desc    Raise or lower a case's urgency manually
+// @access  Private (Judge, Admin)
+router.put('/:id/urgency',
+  auth,
+  authorize('judge', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    body('urgency').isIn(['URGENT', 'MODERATE', 'LOW']).withMessage('Invalid urgency'),
+    body('reason')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Reason must be between 10 and 500 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { urgency, reason } = req.body;
+    const caseDoc = await loadCaseForUrgencyChange(req);
+
+    const result = await urgencyService.overrideUrgency(caseDoc, {
+      urgency,
+      reason,
+      user: { ...req.user, ip: req.ip }
+    });
+
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'urgency_overridden',
+      targetType: 'case',
+      targetId: caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: result.previousUrgency,
+        newValue: urgency,
+        additionalInfo: {
+          caseNumber: caseDoc.caseNumber,
+          reason,
+          jobId: result.job ? result.job._id : null
+        }
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.changed ? `Urgency changed to ${urgency}` : `Urgency kept at ${urgency}`,
+      data: {
+        finalUrgency: caseDoc.finalUrgency,
+        urgencyOverride: caseDoc.urgencyOverride,
+        urgencyHistory: caseDoc.urgencyHistory,
+        reassignment: result.job ? { jobId: result.job._id, status: result.job.status } : null
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/cases/:id/urgency
+// @desc    Remove a manual urgency override; classification and escalation rules apply again
+// @access  Private (Judge, Admin)
+router.delete('/:id/urgency',
+  auth,
+  authorize('judge', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    body('reason')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Reason must be between 10 and 500 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const caseDoc = await loadCaseForUrgencyChange(req);
+
+    const result = await urgencyService.clearOverride(caseDoc, {
+      reason,
+      user: { ...req.user, ip: req.ip }
+    });
+
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'urgency_override_cleared',
+      targetType: 'case',
+      targetId: caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: result.previousUrgency,
+        newValue: caseDoc.finalUrgency,
+        additionalInfo: {
+          caseNumber: caseDoc.caseNumber,
+          reason,
+          jobId: result.job ? result.job._id : null
+        }
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Urgency override removed; urgency is ${caseDoc.finalUrgency}`,
+      data: {
+        finalUrgency: caseDoc.finalUrgency,
+        urgencyHistory: caseDoc.urgencyHistory,
+        reassignment: result.job ? { jobId: result.job._id, status: result.job.status } : null
+      }
+    });
+  })
+);
+
 // @route   GET /api/cases/:id/download
 // @desc    Download original PDF
 // @access  Private (Role-based access)
@@ -709,192 +901,4 @@ function canUpdateCaseStatus(user, caseDoc, newStatus) {
   return false;
 }
 
-// Import required services
-const aiClassificationService = require('../services/aiClassificationService');
-const newsSensitivityService = require('../services/newsSensitivityService');
-const assignmentService = require('../services/assignmentService');
-
-// Async function to process case after upload
-async function processCase(caseId) {
-  try {
-    const caseDoc = await Case.findById(caseId);
-    if (!caseDoc) {
-      logger.error(`Case not found for processing: ${caseId}`);
-      return;
-    }
-    
-    logger.info(`Starting processing for case: ${caseDoc.caseNumber}`);
-    
-    // Update status to processing
-    caseDoc.status = 'processing';
-    await caseDoc.save();
-    
-    // Stage 1: Text extraction
-    await caseDoc.addProcessingStage('text_extraction', 'in_progress');
-    
-    try {
-      // Download PDF from GridFS
-      const pdfBuffer = await fileService.downloadFromGridFS(caseDoc.sourcePDF.gridFSId);
-      
-      // Extract text
-      const extractionResult = await textExtractionService.extractText(pdfBuffer, {
-        fallbackToOCR: true
-      });
-      
-      // Encrypt and store extracted text
-      const encryptedText = encryptionService.encrypt(extractionResult.text);
-      caseDoc.extractedText = encryptedText;
-      caseDoc.textExtractionMethod = extractionResult.method;
-      caseDoc.ocrConfidence = extractionResult.confidence;
-      
-      // Update processing stage
-      await caseDoc.updateProcessingStage('text_extraction', 'completed', null, {
-        method: extractionResult.method,
-        confidence: extractionResult.confidence,
-        processingTime: extractionResult.processingTime,
-        wordsCount: extractionResult.metadata.wordsCount
-      });
-      
-      logger.info(`Text extraction completed for case: ${caseDoc.caseNumber}`);
-      
-      // Stage 2: AI Classification
-      await caseDoc.addProcessingStage('ai_classification', 'in_progress');
-      
-      try {
-        const classificationResult = await aiClassificationService.classifyCase(
-          extractionResult.text,
-          caseDoc.title,
-          caseDoc.jurisdiction
-        );
-        
-        // Store AI intake results
-        caseDoc.aiIntake = classificationResult;
-        caseDoc.finalUrgency = classificationResult.urgency;
-        caseDoc.classifiedAt = new Date();
-        
-        await caseDoc.updateProcessingStage('ai_classification', 'completed', null, {
-          urgency: classificationResult.urgency,
-          confidence: classificationResult.confidence,
-          processingTime: classificationResult.metadata.processingTime
-        });
-        
-        logger.info(`AI classification completed for case: ${caseDoc.caseNumber}`, {
-          urgency: classificationResult.urgency,
-          confidence: classificationResult.confidence
-        });
-        
-        // Stage 3: News sensitivity check
-        await caseDoc.addProcessingStage('news_check', 'in_progress');
-        
-        try {
-          const newsSignals = await newsSensitivityService.checkNewsSensitivity(
-            classificationResult,
-            caseDoc.jurisdiction
-          );
-          
-          caseDoc.newsSignals = newsSignals;
-          
-          // Check if urgency should be escalated based on news
-          const escalationResult = newsSensitivityService.shouldEscalateUrgency(
-            newsSignals,
-            caseDoc.finalUrgency
-          );
-          
-          if (escalationResult.shouldEscalate) {
-            caseDoc.finalUrgency = escalationResult.newUrgency;
-            caseDoc.urgencyEscalated = true;
-            caseDoc.escalationReason = escalationResult.reason;
-            
-            logger.info(`Urgency escalated for case: ${caseDoc.caseNumber}`, {
-              from: classificationResult.urgency,
-              to: escalationResult.newUrgency,
-              reason: escalationResult.reason
-            });
-          }
-          
-          await caseDoc.updateProcessingStage('news_check', 'completed', null, {
-            score: newsSignals.score,
-            escalated: escalationResult.shouldEscalate,
-            processingTime: newsSignals.processingTime
-          });
-          
-          logger.info(`News sensitivity check completed for case: ${caseDoc.caseNumber}`, {
-            score: newsSignals.score,
-            escalated: escalationResult.shouldEscalate
-          });
-          
-          // Stage 4: Assignment
-          await caseDoc.addProcessingStage('assignment', 'in_progress');
-          
-          try {
-            caseDoc.status = 'classified';
-            await caseDoc.save();
-            
-            const assignmentResult = await assignmentService.assignCase(caseId);
-            
-            if (assignmentResult.success) {
-              await caseDoc.updateProcessingStage('assignment', 'completed', null, {
-                judgeId: assignmentResult.assignment.judge.id,
-                lawyerId: assignmentResult.assignment.lawyer.id,
-                judgeScore: assignmentResult.assignment.judge.score,
-                lawyerScore: assignmentResult.assignment.lawyer.score,
-                processingTime: assignmentResult.processingTime
-              });
-              
-              logger.info(`Assignment completed for case: ${caseDoc.caseNumber}`, {
-                judge: assignmentResult.assignment.judge.email,
-                lawyer: assignmentResult.assignment.lawyer.email
-              });
-              
-              // Stage 5: Notification
-              await caseDoc.addProcessingStage('notification', 'completed');
-              
-            } else {
-              await caseDoc.updateProcessingStage('assignment', 'failed', 
-                assignmentResult.reason || 'Assignment failed');
-              
-              if (assignmentResult.escalated) {
-                logger.warn(`Case escalated to admin: ${caseDoc.caseNumber}`);
-              }
-            }
-            
-          } catch (assignmentError) {
-            logger.error(`Assignment failed for case ${caseDoc.caseNumber}:`, assignmentError);
-            await caseDoc.updateProcessingStage('assignment', 'failed', assignmentError.message);
-          }
-          
-        } catch (newsError) {
-          logger.error(`News check failed for case ${caseDoc.caseNumber}:`, newsError);
-          await caseDoc.updateProcessingStage('news_check', 'failed', newsError.message);
-          
-          // Continue with assignment even if news check fails
-          caseDoc.status = 'classified';
-          await caseDoc.save();
-          
-          try {
-            await assignmentService.assignCase(caseId);
-          } catch (assignmentError) {
-            logger.error(`Assignment after news failure for case ${caseDoc.caseNumber}:`, assignmentError);
-          }
-        }
-        
-      } catch (classificationError) {
-        logger.error(`AI classification failed for case ${caseDoc.caseNumber}:`, classificationError);
-        await caseDoc.updateProcessingStage('ai_classification', 'failed', classificationError.message);
-        caseDoc.status = 'error';
-        await caseDoc.save();
-      }
-      
-    } catch (extractionError) {
-      logger.error(`Text extraction failed for case ${caseDoc.caseNumber}:`, extractionError);
-      await caseDoc.updateProcessingStage('text_extraction', 'failed', extractionError.message);
-      caseDoc.status = 'error';
-      await caseDoc.save();
-    }
-    
-  } catch (error) {
-    logger.error(`Case processing failed for ${caseId}:`, error);
-  }
-}
-
 module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const { body, query, validationResult, param } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const TriageFeedback = require('../models/TriageFeedback');
+const triageReviewService = require('../services/triageReviewService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { auth, authorizeReviewer } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an admin or a designated triage reviewer
+router.use(auth);
+router.use(authorizeReviewer);
+
+// @route   GET /api/review/queue
+// @desc    Get cases held for triage review, oldest first
+// @access  Private (Admin, Triage reviewer)
+router.get('/queue',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { cases, total } = await triageReviewService.getQueue({ limit, skip: (page - 1) * limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cases,
+        confidenceThreshold: triageReviewService.confidenceThreshold,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/review/feedback
+// @desc    Get completed reviews (labelled feedback)
+// @access  Private (Admin, Triage reviewer)
+router.get('/feedback',
+  [
+    query('decision').optional().isIn(['confirmed', 'overridden']).withMessage('Invalid decision'),
+    query('promptVersion').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid prompt version'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.decision) filter.decision = req.query.decision;
+    if (req.query.promptVersion) filter.promptVersion = req.query.promptVersion;
+
+    const feedback = await TriageFeedback.find(filter)
+      .populate('caseId', 'caseNumber title')
+      .populate('reviewerId', 'email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.status(200).json({
+      success: true,
+      data: { feedback }
+    });
+  })
+);
+
+// @route   POST /api/review/cases/:id
+// @desc    Confirm or correct a held classification and resume processing
+// @access  Private (Admin, Triage reviewer)
+router.post('/cases/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid case ID'),
+    body('urgency').optional().isIn(['URGENT', 'MODERATE', 'LOW']).withMessage('Invalid urgency'),
+    body('subjectMatter').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Subject matter must be between 2 and 200 characters'),
+    body('parties').optional().isArray({ max: 50 }).withMessage('Parties must be an array'),
+    body('parties.*.name').trim().isLength({ min: 1, max: 200 }).withMessage('Each party needs a name'),
+    body('parties.*.type')
+      .isIn(['petitioner', 'respondent', 'accused', 'victim', 'plaintiff', 'defendant'])
+      .withMessage('Invalid party type'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { urgency, subjectMatter, parties, notes } = req.body;
+    const result = await triageReviewService.submitReview(req.params.id, req.user, {
+      urgency,
+      subjectMatter,
+      parties: parties && parties.map(({ name, type }) => ({ name, type })),
+      notes
+    });
+
+    await AuditLog.createEntry({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action: 'triage_review_completed',
+      targetType: 'case',
+      targetId: result.caseDoc._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: {
+        success: true,
+        previousValue: result.feedback.original.urgency,
+        newValue: result.feedback.corrected.urgency,
+        additionalInfo: {
+          caseNumber: result.caseDoc.caseNumber,
+          decision: result.feedback.decision,
+          reasons: result.feedback.reasons,
+          correctedFields: result.feedback.correctedFields,
+          feedbackId: result.feedback._id,
+          jobId: result.job._id
+        }
+      },
+      severity: result.feedback.decision === 'overridden' ? 'medium' : 'low'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Classification ${result.feedback.decision}; processing resumes from ${result.fromStage}`,
+      data: {
+        triageReview: result.caseDoc.triageReview,
+        feedbackId: result.feedback._id,
+        job: {
+          id: result.job._id,
+          status: result.job.status,
+          fromStage: result.fromStage
+        }
+      }
+    });
+  })
+);
+
+module.exports = router;
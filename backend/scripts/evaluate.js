@@ -0,0 +1,211 @@
+// Offline evaluation of urgency classification against a labelled corpus.
+//
+// Usage: node scripts/evaluate.js [options]
+//   --provider <name>        openai | azure | local | rules | stub (default: AI_PROVIDER)
+//   --prompt-version <v>     prompt template version (default: built-in v1; stored
+//                            versions are loaded from MONGODB_URI)
+//   --corpus <file>          .json or .js file exporting an array of labelled cases
+//                            (default: demo/case-scenarios.js)
+//   --feedback               use triage-reviewed cases from MONGODB_URI as the corpus,
+//                            labelled with the reviewer's urgency
+//   --json <file>            write the full report as JSON
+//   --min-accuracy <0-1>     exit with status 1 below this urgency accuracy
+//   --verbose                keep service logging
+//
+// Neither `stub` nor `rules` needs network access or an API key: CI uses `stub` to
+// exercise the harness and `rules --min-accuracy` as a baseline gate.
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const DEFAULT_CORPUS = path.join(__dirname, '../../demo/case-scenarios.js');
+
+function parseArgs(argv) {
+  const options = { verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--provider': options.provider = argv[++i]; break;
+      case '--prompt-version': options.promptVersion = argv[++i]; break;
+      case '--corpus': options.corpus = argv[++i]; break;
+      case '--feedback': options.feedback = true; break;
+      case '--json': options.json = argv[++i]; break;
+      case '--min-accuracy': options.minAccuracy = parseFloat(argv[++i]); break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// The classification service picks its provider when first loaded
+if (options.provider) {
+  process.env.AI_PROVIDER = options.provider;
+}
+
+const logger = require('../utils/logger');
+const classificationEvaluationService = require('../services/classificationEvaluationService');
+const promptTemplateService = require('../services/promptTemplateService');
+
+// Corpus files hold an array, or the demo module's { demoCaseScenarios }
+function loadCorpus(file) {
+  const resolved = path.resolve(file || DEFAULT_CORPUS);
+  const loaded = resolved.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  const corpus = Array.isArray(loaded) ? loaded : loaded.demoCaseScenarios;
+
+  if (!Array.isArray(corpus) || corpus.length === 0) {
+    throw new Error(`No labelled cases found in ${resolved}`);
+  }
+
+  const invalid = corpus.filter(entry => !entry.content || !['URGENT', 'MODERATE', 'LOW'].includes(entry.expectedUrgency));
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} corpus entries lack content or a valid expectedUrgency`);
+  }
+
+  return corpus;
+}
+
+// Reviewed intake: the latest triage decision per case is the label
+async function loadFeedbackCorpus() {
+  const Case = require('../models/Case');
+  const TriageFeedback = require('../models/TriageFeedback');
+  const encryptionService = require('../utils/encryption');
+
+  await connect();
+  const feedback = await TriageFeedback.findLatestPerCase();
+  const cases = await Case.find({ _id: { $in: feedback.map(entry => entry.caseId) } })
+    .select('caseNumber title jurisdiction extractedText');
+  const byId = new Map(cases.map(caseDoc => [String(caseDoc._id), caseDoc]));
+
+  const corpus = feedback
+    .filter(entry => byId.has(String(entry.caseId)))
+    .map(entry => {
+      const caseDoc = byId.get(String(entry.caseId));
+      return {
+        id: caseDoc.caseNumber,
+        title: caseDoc.title,
+        jurisdiction: caseDoc.jurisdiction,
+        content: encryptionService.decrypt(caseDoc.extractedText),
+        expectedUrgency: entry.corrected.urgency
+      };
+    });
+
+  if (corpus.length === 0) {
+    throw new Error('No triage-reviewed cases found');
+  }
+
+  return corpus;
+}
+
+async function connect() {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/panchtatva-justice');
+  }
+}
+
+async function loadTemplate(version) {
+  const builtin = promptTemplateService.getBuiltinTemplates('classification');
+  if (!version) return builtin[0];
+
+  const builtinMatch = builtin.find(template => template.version === version);
+  if (builtinMatch) return builtinMatch;
+
+  // Stored versions live in MongoDB
+  await connect();
+  const template = await promptTemplateService.getTemplate('classification', version);
+  if (!template) {
+    throw new Error(`Prompt version not found: ${version}`);
+  }
+
+  return template;
+}
+
+const pct = value => `${(value * 100).toFixed(1)}%`;
+
+function printReport(report) {
+  const levels = ['URGENT', 'MODERATE', 'LOW'];
+
+  console.log('\n=== CLASSIFICATION EVALUATION ===');
+  console.log(`Provider: ${report.provider} (${report.model})  Prompt: ${report.promptVersion}`);
+  console.log(`Cases: ${report.evaluated}/${report.corpusSize} evaluated, ${report.failed} failed`);
+  console.log(`Urgency accuracy: ${pct(report.accuracy)}`);
+
+  console.log('\nConfusion matrix (rows = expected, columns = predicted)');
+  console.log(''.padEnd(10) + levels.map(level => level.padStart(10)).join(''));
+  for (const expected of levels) {
+    console.log(expected.padEnd(10) + levels.map(predicted =>
+      String(report.confusionMatrix[expected][predicted]).padStart(10)
+    ).join(''));
+  }
+
+  console.log('\nPer urgency level');
+  for (const level of levels) {
+    const { precision, recall, f1, support } = report.perClass[level];
+    console.log(`  ${level.padEnd(10)} precision ${pct(precision).padStart(6)}  recall ${pct(recall).padStart(6)}  f1 ${pct(f1).padStart(6)}  n=${support}`);
+  }
+
+  console.log('\nRisk signals');
+  for (const [label, { precision, recall, support }] of Object.entries(report.riskSignals)) {
+    console.log(`  ${label.padEnd(32)} precision ${pct(precision).padStart(6)}  recall ${pct(recall).padStart(6)}  n=${support}`);
+  }
+
+  console.log('\nConfidence calibration');
+  console.log(`  ECE ${report.calibration.expectedCalibrationError}  Brier ${report.calibration.brierScore}`);
+  for (const bin of report.calibration.bins) {
+    console.log(`  ${bin.range[0].toFixed(1)}-${bin.range[1].toFixed(1)}  n=${String(bin.count).padStart(3)}  avg confidence ${pct(bin.averageConfidence).padStart(6)}  accuracy ${pct(bin.accuracy).padStart(6)}`);
+  }
+
+  const misses = report.results.filter(result => result.error || result.predictedUrgency !== result.expectedUrgency);
+  if (misses.length > 0) {
+    console.log('\nMisclassified');
+    for (const miss of misses) {
+      console.log(`  #${miss.id} ${miss.title}: expected ${miss.expectedUrgency}, got ${miss.error ? `error (${miss.error})` : miss.predictedUrgency}`);
+    }
+  }
+
+  console.log(`\nTokens used: ${report.tokensUsed}  Time: ${report.processingTime}ms`);
+  console.log('=================================\n');
+}
+
+async function main() {
+  if (!options.verbose) {
+    logger.level = 'error';
+  }
+
+  const corpus = options.feedback ? await loadFeedbackCorpus() : loadCorpus(options.corpus);
+  const template = await loadTemplate(options.promptVersion);
+
+  const report = await classificationEvaluationService.evaluate(corpus, { template });
+  printReport(report);
+
+  if (options.json) {
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.json}`);
+  }
+
+  if (options.minAccuracy !== undefined && report.accuracy < options.minAccuracy) {
+    console.error(`Accuracy ${pct(report.accuracy)} is below the required ${pct(options.minAccuracy)}`);
+    return 1;
+  }
+
+  return 0;
+}
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    console.error('Evaluation failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
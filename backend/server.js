@@ -12,6 +12,7 @@ const caseRoutes = require('./routes/cases');
 const adminRoutes = require('./routes/admin');
 const dashboardRoutes = require('./routes/dashboard');
 const fileRoutes = require('./routes/files');
+const reviewRoutes = require('./routes/review');
 const { errorHandler } = require('./middleware/errorHandler');
 const { auditLogger } = require('./middleware/auditLogger');
 const logger = require('./utils/logger');
@@ -60,6 +61,7 @@ app.use('/api/cases', caseRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/review', reviewRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
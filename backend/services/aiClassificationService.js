@@ -1,20 +1,47 @@
-const { OpenAI } = require('openai');
+const { createLLMProvider } = require('./llm');
+const { URGENCY_LEVELS, RISK_SIGNALS, JURISDICTION_SIGNALS } = require('./llm/classificationRules');
+const { renderTemplate } = require('./llm/promptTemplates');
+const promptTemplateService = require('./promptTemplateService');
+const redactionService = require('./redactionService');
+const languageService = require('./languageService');
 const logger = require('../utils/logger');
+const { runWithConcurrency } = require('../utils/concurrency');
 const { AppError } = require('../middleware/errorHandler');
 
+// Most severe first
+const URGENCY_ORDER = ['URGENT', 'MODERATE', 'LOW'];
+
+const COMPLEXITY_LEVELS = ['low', 'medium', 'high', 'very_high'];
+
 class AIClassificationService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Provider is chosen by AI_PROVIDER (openai, azure, local, rules)
+    this.provider = createLLMProvider();
     
-    this.model = 'gpt-3.5-turbo';
+    this.model = this.provider.model;
     this.maxTokens = 4000;
     this.temperature = 0.1; // Low temperature for consistent results
+    
+    // Long documents are classified in overlapping chunks and merged (map-reduce)
+    this.chunkSize = parseInt(process.env.AI_CHUNK_SIZE) || 8000; // characters
+    this.chunkOverlap = parseInt(process.env.AI_CHUNK_OVERLAP) || 500;
+    this.chunkConcurrency = parseInt(process.env.AI_CHUNK_CONCURRENCY) || 3;
+    
+    // Chunks below this confidence cannot raise the merged urgency on their own
+    this.minChunkConfidence = 0.5;
+  }
+  
+  // Swap the provider at runtime (evaluation runs, tests)
+  setProvider(provider) {
+    this.provider = provider;
+    this.model = provider.model;
   }
   
   // Main classification method
-  async classifyCase(extractedText, caseTitle = '', jurisdiction = '') {
+  // options.template: prompt template to use (defaults to the active version)
+  // options.sensitive: redact strictly before text leaves the server
+  // options.language: detected document language code (see languageService)
+  async classifyCase(extractedText, caseTitle = '', jurisdiction = '', options = {}) {
     const startTime = Date.now();
     
     try {
@@ -22,44 +49,72 @@ class AIClassificationService {
         throw new AppError('No text provided for classification', 400, 'NO_TEXT');
       }
       
-      // Prepare the prompt
-      const prompt = this.buildClassificationPrompt(extractedText, caseTitle, jurisdiction);
+      const template = options.template || await promptTemplateService.getActiveTemplate('classification');
       
-      // Call OpenAI API
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        response_format: { type: 'json_object' }
-      });
+      // Personal data is replaced with placeholders before any remote call
+      const redaction = this.createRedactionSession(options);
+      const text = redaction ? redaction.redact(extractedText) : extractedText;
+      const title = redaction ? redaction.redact(caseTitle) : caseTitle;
+      
+      // Map: classify each chunk independently
+      const chunks = this.splitIntoChunks(text);
+      const responses = await runWithConcurrency(chunks, this.chunkConcurrency, (chunk, index) =>
+        this.requestClassification(chunk, title, jurisdiction, { index, total: chunks.length, language: options.language }, template)
+      );
+      
+      // Reduce: merge the chunk results into a single intake
+      let result;
+      let failedChunks = 0;
+      
+      if (chunks.length === 1) {
+        result = this.parseAIResponse(responses[0].content);
+      } else {
+        const chunkResults = responses.map(response => this.parseChunkResponse(response.content));
+        failedChunks = chunkResults.filter(chunkResult => !chunkResult).length;
+        result = this.mergeChunkResults(chunkResults);
+      }
+      
+      // Placeholders map back to the real parties; the raw response stays redacted
+      if (redaction) {
+        result = redaction.restoreIntake(result);
+        result.redaction = redaction.getSummary();
+      }
       
       const processingTime = Date.now() - startTime;
+      const tokenUsage = this.sumTokenUsage(responses);
+      const tokensUsed = tokenUsage.totalTokens;
       
-      // Parse and validate response
-      const result = this.parseAIResponse(response.choices[0].message.content);
+      // Audit trail: what produced this classification
+      result.aiModel = responses[0].model;
+      result.provider = this.provider.name;
+      result.promptVersion = template.version;
+      result.rawResponse = chunks.length === 1
+        ? responses[0].content
+        : JSON.stringify(responses.map(response => response.content));
+      result.tokenUsage = tokenUsage;
+      result.processingTime = processingTime;
+      result.chunkCount = chunks.length;
       
       // Add metadata
       result.metadata = {
-        model: this.model,
+        provider: this.provider.name,
+        model: responses[0].model,
+        promptVersion: template.version,
         processingTime,
-        tokensUsed: response.usage.total_tokens,
+        tokensUsed,
+        chunks: chunks.length,
+        failedChunks,
+        redaction: result.redaction ? result.redaction.level : 'none',
         extractedAt: new Date()
       };
       
       logger.info(`AI classification completed in ${processingTime}ms`, {
+        provider: this.provider.name,
+        promptVersion: template.version,
         urgency: result.urgency,
         confidence: result.confidence,
-        tokensUsed: response.usage.total_tokens
+        chunks: chunks.length,
+        tokensUsed
       });
       
       return result;
@@ -88,10 +143,79 @@ class AIClassificationService {
     }
   }
   
-  // Build the classification prompt
-  buildClassificationPrompt(text, title, jurisdiction) {
+  // Only remote providers get redacted text; local models see the original
+  createRedactionSession({ sensitive = false } = {}) {
+    if (!this.provider.isRemote) return null;
+    return redactionService.createSession({ sensitive });
+  }
+  
+  // Send one chunk of the document to the provider
+  async requestClassification(text, title, jurisdiction, part, template) {
+    return this.provider.complete({
+      task: 'classification',
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt(template)
+        },
+        {
+          role: 'user',
+          content: this.buildClassificationPrompt(text, title, jurisdiction, part, template)
+        }
+      ],
+      input: { text, title, jurisdiction },
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      json: true
+    });
+  }
+  
+  // Split text into overlapping chunks, preferring paragraph or word boundaries
+  splitIntoChunks(text) {
+    if (text.length <= this.chunkSize) {
+      return [text];
+    }
+    
+    const chunks = [];
+    let start = 0;
+    
+    while (start < text.length) {
+      let end = Math.min(start + this.chunkSize, text.length);
+      
+      if (end < text.length) {
+        const minEnd = start + Math.floor(this.chunkSize / 2);
+        const paragraphBreak = text.lastIndexOf('\n\n', end);
+        const wordBreak = text.lastIndexOf(' ', end);
+        
+        if (paragraphBreak > minEnd) {
+          end = paragraphBreak;
+        } else if (wordBreak > minEnd) {
+          end = wordBreak;
+        }
+      }
+      
+      chunks.push(text.substring(start, end));
+      
+      if (end >= text.length) break;
+      start = Math.max(end - this.chunkOverlap, start + 1);
+    }
+    
+    return chunks;
+  }
+  
+  sumTokenUsage(responses) {
+    return responses.reduce((usage, response) => ({
+      promptTokens: usage.promptTokens + (response.usage.promptTokens || 0),
+      completionTokens: usage.completionTokens + (response.usage.completionTokens || 0),
+      totalTokens: usage.totalTokens + (response.usage.totalTokens || 0)
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+  }
+  
+  // Build the classification prompt from the template's user prompt
+  // part: { index, total, language } - index/total when the document was split into chunks
+  buildClassificationPrompt(text, title, jurisdiction, part, template) {
     // Truncate text if too long (keep first and last parts)
-    const maxTextLength = 8000;
+    const maxTextLength = this.chunkSize;
     let processedText = text;
     
     if (text.length > maxTextLength) {
@@ -101,155 +225,254 @@ class AIClassificationService {
                     text.substring(text.length - keepLength);
     }
     
-    return `Please analyze the following legal document and extract structured information:
-
-CASE TITLE: ${title}
-JURISDICTION: ${jurisdiction || 'Not specified'}
-
-DOCUMENT TEXT:
-${processedText}
-
-Please provide a JSON response with the following structure and be very precise with urgency classification according to Indian legal system:`;
+    const partNote = part.total > 1
+      ? `DOCUMENT PART: ${part.index + 1} of ${part.total} (overlapping excerpt of a longer document - report only what appears in this part)\n`
+      : '';
+    const languageNote = this.getLanguageNote(part.language);
+    
+    // Only templates with a {{languageNote}} slot get the note, so each version's prompt stays fixed
+    return renderTemplate(template.userPrompt, {
+      title,
+      jurisdiction: jurisdiction || 'Not specified',
+      partNote,
+      languageNote,
+      text: processedText
+    });
   }
   
-  // System prompt for AI
-  getSystemPrompt() {
-    return `You are an expert Indian legal intake triage assistant with deep knowledge of Indian legal system, IPC, CrPC, CPC, and various Indian laws. Your task is to analyze legal documents and extract structured information for case classification and assignment.
-
-URGENCY CLASSIFICATION GUIDELINES:
-- URGENT: Cases requiring immediate attention (within 24-48 hours)
-  * Rape/POCSO cases (IPC 376, POCSO Act)
-  * Terrorism cases (UAPA, NIA cases)
-  * Ongoing violence/threats to life
-  * Kidnapping/abduction cases
-  * Cases involving minors in danger
-  * Anticipatory bail in serious offenses
-  * Time-barred statutory deadlines (within 7 days)
-  * Public safety emergencies
-  * Custodial violence/death
-  
-- MODERATE: Important cases needing prompt attention (within 1-2 weeks)
-  * Significant financial fraud (>10 lakhs)
-  * Property disputes with possession issues
-  * Domestic violence cases
-  * Cheque bounce cases (NI Act)
-  * Employment disputes with immediate impact
-  * Consumer complaints with ongoing harm
-  * Bail applications in non-heinous crimes
+  // Non-English filings are classified in the original; the JSON stays in English
+  getLanguageNote(language) {
+    if (!language || language === 'en' || !languageService.isSupported(language)) return '';
+    
+    return `DOCUMENT LANGUAGE: ${languageService.getName(language)} (read the document in the original language; ` +
+      'write subjectMatter, riskSignals, jurisdictionSignals and reasoningBrief in English, keep party names as written, ' +
+      'and map offences to their Indian statute sections)\n';
+  }
   
-- LOW: Standard cases with normal processing time
-  * Civil suits for money recovery
-  * Property title disputes
-  * Minor criminal cases (simple hurt, theft)
-  * Contractual disputes
-  * Administrative matters
-  * Routine civil applications
-
-RISK SIGNALS TO IDENTIFY:
-- Threats to life or safety
-- Ongoing criminal activity
-- Involvement of minors
-- Public order concerns
-- Time-sensitive legal deadlines
-- Evidence tampering risks
-- Witness intimidation
-
-JURISDICTION SIGNALS:
-- Court names mentioned
-- Police station names
-- District/state names
-- Case numbers with court codes
-
-You must respond ONLY in valid JSON format with no additional text or explanations. Be conservative with urgency - when in doubt, classify as MODERATE rather than URGENT.`;
+  // System prompt from the template, filled with the shared triage rules
+  getSystemPrompt(template) {
+    const urgencyGuidelines = URGENCY_LEVELS.map(({ level, description, rules }) =>
+      `- ${level}: ${description}\n` + rules.map(rule => `  * ${rule.label}`).join('\n')
+    ).join('\n  \n');
+    const riskSignals = RISK_SIGNALS.map(signal => `- ${signal.label}`).join('\n');
+    const jurisdictionSignals = JURISDICTION_SIGNALS.map(signal => `- ${signal.label}`).join('\n');
+    
+    return renderTemplate(template.systemPrompt, {
+      urgencyGuidelines,
+      riskSignals,
+      jurisdictionSignals
+    });
   }
   
   // Parse and validate AI response
   parseAIResponse(responseContent) {
     try {
-      const parsed = JSON.parse(responseContent);
-      
-      // Validate required fields
-      const required = ['parties', 'subjectMatter', 'urgency', 'confidence'];
-      for (const field of required) {
-        if (!(field in parsed)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
-      
-      // Validate urgency value
-      if (!['URGENT', 'MODERATE', 'LOW'].includes(parsed.urgency)) {
-        logger.warn(`Invalid urgency value: ${parsed.urgency}, defaulting to MODERATE`);
-        parsed.urgency = 'MODERATE';
-      }
-      
-      // Validate confidence value
-      if (typeof parsed.confidence !== 'number' || parsed.confidence < 0 || parsed.confidence > 1) {
-        logger.warn(`Invalid confidence value: ${parsed.confidence}, defaulting to 0.5`);
-        parsed.confidence = 0.5;
-      }
+      return this.normalizeResponse(JSON.parse(responseContent));
+    } catch (error) {
+      logger.error('Failed to parse AI response:', error);
+      logger.error('Raw response:', responseContent);
       
-      // Ensure arrays are arrays
-      if (!Array.isArray(parsed.parties)) {
-        parsed.parties = [];
+      // Return fallback response
+      return this.getFallbackResult();
+    }
+  }
+  
+  // Parse a chunk response; unusable chunks are dropped from the merge
+  parseChunkResponse(responseContent) {
+    try {
+      return this.normalizeResponse(JSON.parse(responseContent));
+    } catch (error) {
+      logger.warn('Discarding unparseable chunk classification:', error.message);
+      return null;
+    }
+  }
+  
+  normalizeResponse(parsed) {
+    // Validate required fields
+    const required = ['parties', 'subjectMatter', 'urgency', 'confidence'];
+    for (const field of required) {
+      if (!(field in parsed)) {
+        throw new Error(`Missing required field: ${field}`);
       }
+    }
+    
+    // Validate urgency value
+    if (!URGENCY_ORDER.includes(parsed.urgency)) {
+      logger.warn(`Invalid urgency value: ${parsed.urgency}, defaulting to MODERATE`);
+      parsed.urgency = 'MODERATE';
+    }
+    
+    // Validate confidence value
+    if (typeof parsed.confidence !== 'number' || parsed.confidence < 0 || parsed.confidence > 1) {
+      logger.warn(`Invalid confidence value: ${parsed.confidence}, defaulting to 0.5`);
+      parsed.confidence = 0.5;
+    }
+    
+    // Ensure arrays are arrays
+    if (!Array.isArray(parsed.parties)) {
+      parsed.parties = [];
+    }
+    
+    if (!Array.isArray(parsed.riskSignals)) {
+      parsed.riskSignals = [];
+    }
+    
+    if (!Array.isArray(parsed.jurisdictionSignals)) {
+      parsed.jurisdictionSignals = [];
+    }
+    
+    // Structure the response
+    return {
+      parties: parsed.parties.map(party => ({
+        name: party.name || '',
+        type: party.type || 'unknown',
+        email: party.email || null,
+        representation: party.representation || null
+      })),
+      subjectMatter: parsed.subjectMatter || 'Not specified',
+      riskSignals: parsed.riskSignals || [],
+      jurisdictionSignals: parsed.jurisdictionSignals || [],
+      urgency: parsed.urgency,
+      confidence: parsed.confidence,
+      reasoningBrief: parsed.reasoningBrief || 'No reasoning provided',
+      legalCategories: parsed.legalCategories || [],
+      estimatedComplexity: parsed.estimatedComplexity || 'medium',
+      suggestedExpertise: parsed.suggestedExpertise || []
+    };
+  }
+  
+  getFallbackResult() {
+    return {
+      parties: [],
+      subjectMatter: 'Classification failed',
+      riskSignals: [],
+      jurisdictionSignals: [],
+      urgency: 'MODERATE',
+      confidence: 0.1,
+      reasoningBrief: 'AI classification failed, manual review required',
+      legalCategories: [],
+      estimatedComplexity: 'unknown',
+      suggestedExpertise: []
+    };
+  }
+  
+  // Merge per-chunk classifications into a single intake
+  mergeChunkResults(chunkResults) {
+    const results = chunkResults.filter(Boolean);
+    if (results.length === 0) {
+      return this.getFallbackResult();
+    }
+    
+    // Urgent facts can sit in any part of the document, so the most severe
+    // reading wins - but only from chunks confident enough to be trusted
+    const confident = results.filter(result => result.confidence >= this.minChunkConfidence);
+    const candidates = confident.length > 0 ? confident : results;
+    const urgency = URGENCY_ORDER.find(level => candidates.some(result => result.urgency === level));
+    
+    // Confidence reflects how strongly and how widely the chunks agree
+    const supporting = results.filter(result => result.urgency === urgency);
+    const agreement = supporting.length / results.length;
+    const supportingConfidence = supporting.reduce((sum, result) => sum + result.confidence, 0) / supporting.length;
+    const confidence = Math.round(supportingConfidence * (0.5 + 0.5 * agreement) * 100) / 100;
+    
+    const lead = supporting.reduce((best, result) => result.confidence > best.confidence ? result : best);
+    
+    return {
+      parties: this.mergeParties(results.flatMap(result => result.parties)),
+      subjectMatter: lead.subjectMatter,
+      riskSignals: this.mergeSignals(results.map(result => result.riskSignals)),
+      jurisdictionSignals: this.mergeSignals(results.map(result => result.jurisdictionSignals)),
+      urgency,
+      confidence,
+      reasoningBrief: `${lead.reasoningBrief} (${supporting.length} of ${results.length} document parts classified ${urgency})`,
+      legalCategories: this.mergeSignals(results.map(result => result.legalCategories)),
+      estimatedComplexity: this.mergeComplexity(results.map(result => result.estimatedComplexity)),
+      suggestedExpertise: this.mergeSignals(results.map(result => result.suggestedExpertise))
+    };
+  }
+  
+  // Dedupe signals case-insensitively, most frequently reported first
+  mergeSignals(signalLists) {
+    const counts = new Map();
+    
+    for (const signal of signalLists.flat()) {
+      if (typeof signal !== 'string' || !signal.trim()) continue;
       
-      if (!Array.isArray(parsed.riskSignals)) {
-        parsed.riskSignals = [];
-      }
+      const key = signal.trim().toLowerCase();
+      const entry = counts.get(key) || { signal: signal.trim(), count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+    
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count)
+      .map(entry => entry.signal);
+  }
+  
+  // Dedupe parties named differently across chunks ("Mr. A. Kumar" / "A Kumar")
+  mergeParties(parties) {
+    const merged = new Map();
+    
+    for (const party of parties) {
+      const key = this.normalizePartyName(party.name);
+      if (!key) continue;
       
-      if (!Array.isArray(parsed.jurisdictionSignals)) {
-        parsed.jurisdictionSignals = [];
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...party });
+        continue;
       }
       
-      // Structure the response
-      return {
-        parties: parsed.parties.map(party => ({
-          name: party.name || '',
-          type: party.type || 'unknown',
-          email: party.email || null,
-          representation: party.representation || null
-        })),
-        subjectMatter: parsed.subjectMatter || 'Not specified',
-        riskSignals: parsed.riskSignals || [],
-        jurisdictionSignals: parsed.jurisdictionSignals || [],
-        urgency: parsed.urgency,
-        confidence: parsed.confidence,
-        reasoningBrief: parsed.reasoningBrief || 'No reasoning provided',
-        legalCategories: parsed.legalCategories || [],
-        estimatedComplexity: parsed.estimatedComplexity || 'medium',
-        suggestedExpertise: parsed.suggestedExpertise || []
-      };
-      
-    } catch (error) {
-      logger.error('Failed to parse AI response:', error);
-      logger.error('Raw response:', responseContent);
-      
-      // Return fallback response
-      return {
-        parties: [],
-        subjectMatter: 'Classification failed',
-        riskSignals: [],
-        jurisdictionSignals: [],
-        urgency: 'MODERATE',
-        confidence: 0.1,
-        reasoningBrief: 'AI classification failed, manual review required',
-        legalCategories: [],
-        estimatedComplexity: 'unknown',
-        suggestedExpertise: []
-      };
+      // Fill in details that only some chunks picked up
+      if (existing.type === 'unknown' && party.type !== 'unknown') existing.type = party.type;
+      existing.email = existing.email || party.email;
+      existing.representation = existing.representation || party.representation;
     }
+    
+    return Array.from(merged.values());
+  }
+  
+  // Comparable form of a party name: no honorifics, punctuation or case
+  normalizePartyName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/\b(?:mr|mrs|ms|dr|shri|smt|sh|kumari|m\/s)\.?(?=\s|$)/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  mergeComplexity(levels) {
+    const known = levels.filter(level => COMPLEXITY_LEVELS.includes(level));
+    
+    return known.length > 0
+      ? known.reduce((max, level) => COMPLEXITY_LEVELS.indexOf(level) > COMPLEXITY_LEVELS.indexOf(max) ? level : max)
+      : 'medium';
   }
   
   // Analyze case complexity
-  async analyzeComplexity(extractedText, aiIntake) {
+  // options.sensitive: redact strictly before text leaves the server
+  async analyzeComplexity(extractedText, aiIntake, options = {}) {
     try {
+      const redaction = this.createRedactionSession(options);
+      let partyNames = aiIntake.parties.map(p => p.name);
+      let subjectMatter = aiIntake.subjectMatter;
+      let excerpt = extractedText.substring(0, 2000);
+      
+      if (redaction) {
+        partyNames.forEach(name => redaction.registerName(name));
+        partyNames = partyNames.map(name => redaction.redact(name));
+        subjectMatter = redaction.redact(subjectMatter);
+        excerpt = redaction.redact(excerpt);
+      }
+      
       const complexityPrompt = `Based on the following legal document analysis, determine the case complexity:
 
-SUBJECT MATTER: ${aiIntake.subjectMatter}
-PARTIES: ${aiIntake.parties.map(p => p.name).join(', ')}
+SUBJECT MATTER: ${subjectMatter}
+PARTIES: ${partyNames.join(', ')}
 RISK SIGNALS: ${aiIntake.riskSignals.join(', ')}
 
-DOCUMENT EXCERPT: ${extractedText.substring(0, 2000)}
+DOCUMENT EXCERPT: ${excerpt}
 
 Rate complexity as: low, medium, high, or very_high
 Consider factors like:
@@ -261,76 +484,46 @@ Consider factors like:
 
 Respond with JSON: {"complexity": "level", "reasoning": "brief explanation"}`;
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+      const response = await this.provider.complete({
+        task: 'complexity',
         messages: [
           { role: 'user', content: complexityPrompt }
         ],
-        max_tokens: 500,
+        // Local providers see the whole document; remote ones only the redacted excerpt
+        input: redaction
+          ? { text: excerpt, aiIntake: { ...aiIntake, subjectMatter, parties: partyNames.map(name => ({ name })) } }
+          : { text: extractedText, aiIntake },
+        maxTokens: 500,
         temperature: 0.1,
-        response_format: { type: 'json_object' }
+        json: true
       });
       
-      const result = JSON.parse(response.choices[0].message.content);
+      const result = JSON.parse(response.content);
+      if (!COMPLEXITY_LEVELS.includes(result.complexity)) {
+        throw new Error(`Unexpected complexity level: ${result.complexity}`);
+      }
+      
+      const reasoning = result.reasoning || 'No reasoning provided';
       return {
-        complexity: result.complexity || 'medium',
-        reasoning: result.reasoning || 'No reasoning provided'
+        complexity: result.complexity,
+        reasoning: redaction && redaction.level !== 'strict' ? redaction.restore(reasoning) : reasoning
       };
       
     } catch (error) {
       logger.error('Complexity analysis failed:', error);
+      
+      // Fall back to the estimate from the classification response
+      const estimate = COMPLEXITY_LEVELS.includes(aiIntake.estimatedComplexity)
+        ? aiIntake.estimatedComplexity
+        : 'medium';
       return {
-        complexity: 'medium',
-        reasoning: 'Complexity analysis failed'
+        complexity: estimate,
+        reasoning: 'Complexity analysis failed; using the classification estimate',
+        fallback: true
       };
     }
   }
   
-  // Extract key dates from document
-  extractKeyDates(text) {
-    const datePatterns = [
-      /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/g,
-      /(\d{1,2}(?:st|nd|rd|th)?\s+(?:January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{4})/gi,
-      /(?:dated?|on|from)\s+(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/gi
-    ];
-    
-    const dates = [];
-    
-    for (const pattern of datePatterns) {
-      const matches = [...text.matchAll(pattern)];
-      for (const match of matches) {
-        dates.push({
-          date: match[1],
-          context: text.substring(Math.max(0, match.index - 50), match.index + 50)
-        });
-      }
-    }
-    
-    return dates;
-  }
-  
-  // Extract monetary amounts
-  extractMonetaryAmounts(text) {
-    const amountPatterns = [
-      /(?:Rs\.?|INR|₹)\s*(\d+(?:,\d+)*(?:\.\d{2})?)/gi,
-      /(\d+(?:,\d+)*(?:\.\d{2})?)\s*(?:rupees?|lakhs?|crores?)/gi
-    ];
-    
-    const amounts = [];
-    
-    for (const pattern of amountPatterns) {
-      const matches = [...text.matchAll(pattern)];
-      for (const match of matches) {
-        amounts.push({
-          amount: match[1],
-          context: text.substring(Math.max(0, match.index - 30), match.index + 30)
-        });
-      }
-    }
-    
-    return amounts;
-  }
-  
   // Validate classification result
   validateClassification(result) {
     const issues = [];
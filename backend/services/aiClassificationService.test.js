@@ -0,0 +1,106 @@
+process.env.AI_PROVIDER = 'rules';
+
+const aiClassificationService = require('./aiClassificationService');
+
+const chunkResult = (urgency, confidence, overrides = {}) => ({
+  parties: [],
+  subjectMatter: `${urgency} reading`,
+  riskSignals: [],
+  jurisdictionSignals: [],
+  urgency,
+  confidence,
+  reasoningBrief: `${urgency} facts`,
+  legalCategories: [],
+  estimatedComplexity: 'medium',
+  suggestedExpertise: [],
+  ...overrides
+});
+
+describe('aiClassificationService', () => {
+  describe('splitIntoChunks', () => {
+    const { chunkSize, chunkOverlap } = aiClassificationService;
+
+    beforeEach(() => {
+      aiClassificationService.chunkSize = 100;
+      aiClassificationService.chunkOverlap = 20;
+    });
+
+    afterEach(() => {
+      aiClassificationService.chunkSize = chunkSize;
+      aiClassificationService.chunkOverlap = chunkOverlap;
+    });
+
+    it('keeps a short document whole', () => {
+      expect(aiClassificationService.splitIntoChunks('Short petition.')).toEqual(['Short petition.']);
+    });
+
+    it('splits long text into overlapping chunks that cover all of it', () => {
+      const text = Array.from({ length: 60 }, (_, index) => `word${index}`).join(' ');
+
+      const chunks = aiClassificationService.splitIntoChunks(text);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(100));
+      expect(chunks[0].startsWith('word0 ')).toBe(true);
+      expect(chunks[chunks.length - 1].endsWith('word59')).toBe(true);
+      for (let index = 1; index < chunks.length; index++) {
+        expect(chunks[index - 1].endsWith(chunks[index].substring(0, 20))).toBe(true);
+      }
+    });
+
+    it('prefers paragraph breaks, then word breaks', () => {
+      const first = 'a'.repeat(70);
+      const chunks = aiClassificationService.splitIntoChunks(`${first}\n\n${'bb '.repeat(40)}`);
+
+      expect(chunks[0]).toBe(first);
+      // Cut before a space, never inside a word
+      chunks.slice(1, -1).forEach(chunk => expect(chunk).toMatch(/ bb$/));
+    });
+  });
+
+  describe('mergeChunkResults', () => {
+    it('takes the most severe reading when confident chunks disagree', () => {
+      const merged = aiClassificationService.mergeChunkResults([
+        chunkResult('LOW', 0.8),
+        chunkResult('URGENT', 0.9, { riskSignals: ['Threats to life or safety'] }),
+        chunkResult('LOW', 0.7, { riskSignals: ['threats to life or safety'] })
+      ]);
+
+      expect(merged.urgency).toBe('URGENT');
+      // One part in three agrees: 0.9 * (0.5 + 0.5 / 3)
+      expect(merged.confidence).toBe(0.6);
+      expect(merged.subjectMatter).toBe('URGENT reading');
+      expect(merged.reasoningBrief).toBe('URGENT facts (1 of 3 document parts classified URGENT)');
+      expect(merged.riskSignals).toEqual(['Threats to life or safety']);
+    });
+
+    it('does not let a low-confidence chunk raise the urgency', () => {
+      const merged = aiClassificationService.mergeChunkResults([
+        chunkResult('URGENT', 0.3),
+        chunkResult('MODERATE', 0.8)
+      ]);
+
+      expect(merged.urgency).toBe('MODERATE');
+      expect(merged.confidence).toBe(0.6);
+    });
+
+    it('uses the low-confidence chunks when no chunk is confident', () => {
+      const merged = aiClassificationService.mergeChunkResults([
+        chunkResult('LOW', 0.4),
+        chunkResult('URGENT', 0.3),
+        chunkResult('LOW', 0.2)
+      ]);
+
+      expect(merged.urgency).toBe('URGENT');
+      expect(merged.confidence).toBe(0.2);
+    });
+
+    it('drops unusable chunks and falls back when none are left', () => {
+      expect(aiClassificationService.mergeChunkResults([null, chunkResult('LOW', 0.9)])).toMatchObject({
+        urgency: 'LOW',
+        confidence: 0.9
+      });
+      expect(aiClassificationService.mergeChunkResults([null, null])).toEqual(aiClassificationService.getFallbackResult());
+    });
+  });
+});
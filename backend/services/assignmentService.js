@@ -1,13 +1,20 @@
 const User = require('../models/User');
 const Case = require('../models/Case');
 const AuditLog = require('../models/AuditLog');
+const AssignmentWeightProfile = require('../models/AssignmentWeightProfile');
+const languageService = require('./languageService');
 const emailService = require('../utils/email');
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
 
 class AssignmentService {
   constructor() {
-    // Scoring weights (total should be 100)
+    // immediate: each case is assigned as it finishes processing; batch: cases
+    // stop before assignment and wait for an admin batch assignment
+    this.assignmentMode = process.env.ASSIGNMENT_MODE === 'batch' ? 'batch' : 'immediate';
+
+    // Built-in scoring weights (the first five total 100; the rest are bonuses).
+    // Admins can replace them per court or subject area; see assignmentWeightsService
     this.scoringWeights = {
       expertiseMatch: 60,    // 0-60 points
       availability: 20,      // 0-20 points
@@ -15,7 +22,8 @@ class AssignmentService {
       seniorityWeight: 5,    // 0-5 points
       rating: 5,             // 0-5 points
       urgencyBonus: 10,      // 0-10 bonus points
-      newsSensitivityBonus: 10 // 0-10 bonus points
+      newsSensitivityBonus: 10, // 0-10 bonus points
+      languageMatch: 10      // 0-10 bonus points
     };
     
     // Minimum scores for assignment
@@ -23,10 +31,93 @@ class AssignmentService {
       judge: 40,
       lawyer: 35
     };
+    
+    // Judge seniority preferred per case complexity; others are only used when none qualify
+    this.complexitySeniority = {
+      very_high: ['senior', 'chief']
+    };
+    
+    // Practice areas and the subject matter words that indicate them
+    this.subjectPracticeAreas = {
+      'criminal': ['IPC', 'CrPC', 'murder', 'rape', 'theft', 'fraud', 'assault'],
+      'civil': ['property', 'contract', 'tort', 'recovery', 'possession'],
+      'cyber': ['IT Act', 'cyber', 'online', 'digital', 'computer'],
+      'corporate': ['company', 'corporate', 'merger', 'acquisition', 'securities'],
+      'family': ['marriage', 'divorce', 'custody', 'maintenance', 'dowry'],
+      'constitutional': ['fundamental rights', 'PIL', 'writ', 'constitutional'],
+      'tax': ['income tax', 'GST', 'customs', 'excise', 'tax'],
+      'labor': ['employment', 'labor', 'industrial', 'workman'],
+      'environmental': ['environment', 'pollution', 'forest', 'wildlife'],
+      'intellectual_property': ['patent', 'trademark', 'copyright', 'IP']
+    };
+    
+    // Used wherever no stored weight profile is active
+    this.builtinProfile = {
+      version: 'v1',
+      description: 'Original weights and thresholds',
+      scope: 'default',
+      scopeValue: null,
+      weights: this.scoringWeights,
+      minScoreThresholds: this.minScoreThresholds,
+      source: 'builtin'
+    };
+    
+    // Active profile lookups are cached briefly; workers pick up activations within this window
+    this.profileCacheTtl = 60 * 1000;
+    this.activeProfiles = null;
+  }
+  
+  // Stored weight profiles currently active, across all scopes
+  async getActiveProfiles() {
+    if (this.activeProfiles && this.activeProfiles.expiresAt > Date.now()) {
+      return this.activeProfiles.profiles;
+    }
+    
+    let profiles = [];
+    try {
+      const stored = await AssignmentWeightProfile.find({ isActive: true });
+      profiles = stored.map(profile => profile.toProfile());
+    } catch (error) {
+      logger.error('Failed to load assignment weight profiles, using built-in:', error);
+    }
+    
+    this.activeProfiles = { profiles, expiresAt: Date.now() + this.profileCacheTtl };
+    
+    return profiles;
+  }
+  
+  clearProfileCache() {
+    this.activeProfiles = null;
+  }
+  
+  // Weight profile for a case: its court's, else its first practice area's, else the default.
+  // profiles: active profiles to choose from (a simulation passes its own)
+  async resolveWeightProfile(criteria, profiles = null) {
+    profiles = profiles || await this.getActiveProfiles();
+    const court = (criteria.jurisdiction || '').trim().toLowerCase();
+    
+    const courtProfile = court && profiles.find(profile =>
+      profile.scope === 'court' && profile.scopeValue.toLowerCase() === court
+    );
+    if (courtProfile) return courtProfile;
+    
+    for (const area of criteria.practiceAreas) {
+      const subjectProfile = profiles.find(profile =>
+        profile.scope === 'subject' && profile.scopeValue === area
+      );
+      if (subjectProfile) return subjectProfile;
+    }
+    
+    return profiles.find(profile => profile.scope === 'default') || this.builtinProfile;
+  }
+  
+  // Profile that scoring uses for these criteria
+  getProfile(criteria) {
+    return criteria.profile || this.builtinProfile;
   }
   
-  // Main assignment method
-  async assignCase(caseId) {
+  // Main assignment method; excludeUserIds are judges or lawyers who rejected the case
+  async assignCase(caseId, { excludeUserIds = [] } = {}) {
     const startTime = Date.now();
     
     try {
@@ -38,6 +129,8 @@ class AssignmentService {
       
       // Extract assignment criteria from AI intake
       const criteria = this.extractAssignmentCriteria(caseDoc);
+      criteria.profile = await this.resolveWeightProfile(criteria);
+      criteria.excludeUserIds = excludeUserIds.map(String);
       
       // Find available judges and lawyers
       const [availableJudges, availableLawyers] = await Promise.all([
@@ -49,8 +142,9 @@ class AssignmentService {
       const rankedJudges = await this.scoreAndRankJudges(availableJudges, caseDoc, criteria);
       const rankedLawyers = await this.scoreAndRankLawyers(availableLawyers, caseDoc, criteria);
       
-      // Select best candidates
-      const selectedJudge = this.selectBestCandidate(rankedJudges, 'judge');
+      // Select best candidates; cases linked by an admin stay with the same judge
+      const linkedJudge = await this.findLinkedJudge(caseDoc, criteria);
+      const selectedJudge = linkedJudge || this.selectBestCandidate(rankedJudges, 'judge');
       const selectedLawyer = this.selectBestCandidate(rankedLawyers, 'lawyer');
       
       if (!selectedJudge || !selectedLawyer) {
@@ -63,29 +157,7 @@ class AssignmentService {
         };
       }
       
-      // Create assignment
-      const assignment = {
-        judgeId: selectedJudge.user._id,
-        lawyerId: selectedLawyer.user._id,
-        judgeScore: selectedJudge.scoreBreakdown,
-        lawyerScore: selectedLawyer.scoreBreakdown,
-        assignedAt: new Date()
-      };
-      
-      // Update case
-      caseDoc.assignment = assignment;
-      caseDoc.status = 'assigned';
-      caseDoc.assignedAt = new Date();
-      await caseDoc.save();
-      
-      // Update user loads
-      await this.updateUserLoads(selectedJudge.user, selectedLawyer.user);
-      
-      // Send notifications
-      await this.sendAssignmentNotifications(caseDoc, selectedJudge.user, selectedLawyer.user);
-      
-      // Log assignment
-      await this.logAssignment(caseDoc, selectedJudge, selectedLawyer);
+      await this.applyAssignment(caseDoc, selectedJudge, selectedLawyer, criteria.profile);
       
       const processingTime = Date.now() - startTime;
       
@@ -109,7 +181,8 @@ class AssignmentService {
             email: selectedLawyer.user.email,
             name: selectedLawyer.user.lawyerProfile.name,
             score: selectedLawyer.totalScore
-          }
+          },
+          weightProfile: criteria.profile.version
         },
         processingTime
       };
@@ -120,6 +193,39 @@ class AssignmentService {
     }
   }
   
+  // Save an assignment of scored candidates ({ user, scoreBreakdown, totalScore }),
+  // update loads, notify and audit
+  async applyAssignment(caseDoc, selectedJudge, selectedLawyer, profile) {
+    // Create assignment
+    const assignment = {
+      judgeId: selectedJudge.user._id,
+      lawyerId: selectedLawyer.user._id,
+      judgeScore: selectedJudge.scoreBreakdown,
+      lawyerScore: selectedLawyer.scoreBreakdown,
+      weightProfile: {
+        version: profile.version,
+        scope: profile.scope,
+        scopeValue: profile.scopeValue
+      },
+      assignedAt: new Date()
+    };
+    
+    // Update case
+    caseDoc.assignment = assignment;
+    caseDoc.status = 'assigned';
+    caseDoc.assignedAt = new Date();
+    await caseDoc.save();
+    
+    // Update user loads
+    await this.updateUserLoads(selectedJudge.user, selectedLawyer.user);
+    
+    // Send notifications
+    await this.sendAssignmentNotifications(caseDoc, selectedJudge.user, selectedLawyer.user);
+    
+    // Log assignment
+    await this.logAssignment(caseDoc, selectedJudge, selectedLawyer, profile);
+  }
+  
   // Extract assignment criteria from case
   extractAssignmentCriteria(caseDoc) {
     const criteria = {
@@ -128,7 +234,8 @@ class AssignmentService {
       urgency: caseDoc.finalUrgency,
       newsSensitivityScore: caseDoc.newsSignals?.score || 0,
       jurisdiction: caseDoc.jurisdiction,
-      complexity: caseDoc.aiIntake?.estimatedComplexity || 'medium',
+      complexity: caseDoc.aiIntake?.complexity || caseDoc.aiIntake?.estimatedComplexity || 'medium',
+      languages: caseDoc.language?.languages || [],
       conflictEmails: []
     };
     
@@ -167,23 +274,10 @@ class AssignmentService {
   
   // Map subject matter to practice areas
   mapSubjectToPracticeAreas(subjectMatter) {
-    const mapping = {
-      'criminal': ['IPC', 'CrPC', 'murder', 'rape', 'theft', 'fraud', 'assault'],
-      'civil': ['property', 'contract', 'tort', 'recovery', 'possession'],
-      'cyber': ['IT Act', 'cyber', 'online', 'digital', 'computer'],
-      'corporate': ['company', 'corporate', 'merger', 'acquisition', 'securities'],
-      'family': ['marriage', 'divorce', 'custody', 'maintenance', 'dowry'],
-      'constitutional': ['fundamental rights', 'PIL', 'writ', 'constitutional'],
-      'tax': ['income tax', 'GST', 'customs', 'excise', 'tax'],
-      'labor': ['employment', 'labor', 'industrial', 'workman'],
-      'environmental': ['environment', 'pollution', 'forest', 'wildlife'],
-      'intellectual_property': ['patent', 'trademark', 'copyright', 'IP']
-    };
-    
     const areas = [];
     const lowerSubject = subjectMatter.toLowerCase();
     
-    for (const [area, keywords] of Object.entries(mapping)) {
+    for (const [area, keywords] of Object.entries(this.subjectPracticeAreas)) {
       if (keywords.some(keyword => lowerSubject.includes(keyword))) {
         areas.push(area);
       }
@@ -210,9 +304,53 @@ class AssignmentService {
       query['judgeProfile.conflicts.email'] = { $nin: criteria.conflictEmails };
     }
     
+    if (criteria.excludeUserIds && criteria.excludeUserIds.length > 0) {
+      query._id = { $nin: criteria.excludeUserIds };
+    }
+    
     return await User.find(query);
   }
   
+  // Judge already handling a case this one is linked to, if they can take it
+  async findLinkedJudge(caseDoc, criteria) {
+    const linkedCaseIds = caseDoc.getRelatedCaseIds('linked');
+    if (linkedCaseIds.length === 0) return null;
+    
+    const linkedCases = await Case.find({
+      _id: { $in: linkedCaseIds },
+      'assignment.judgeId': { $exists: true },
+      status: { $in: ['assigned', 'accepted', 'in_progress'] }
+    }).select('caseNumber assignment.judgeId');
+    
+    for (const linkedCase of linkedCases) {
+      const judge = await User.findById(linkedCase.assignment.judgeId);
+      const profile = judge && judge.judgeProfile;
+      
+      const available = judge && judge.isActive &&
+        !(criteria.excludeUserIds || []).includes(String(judge._id)) &&
+        profile.currentDailyLoad < profile.maxDailyIntake &&
+        !(profile.conflicts || []).some(conflict => criteria.conflictEmails.includes(conflict.email));
+      
+      if (!available) {
+        logger.warn(`Linked judge unavailable for case ${caseDoc.caseNumber}`, {
+          linkedCase: linkedCase.caseNumber,
+          judgeId: linkedCase.assignment.judgeId
+        });
+        continue;
+      }
+      
+      logger.info(`Assigning case ${caseDoc.caseNumber} to judge of linked case ${linkedCase.caseNumber}`);
+      
+      return {
+        user: judge,
+        ...(await this.scoreJudge(judge, caseDoc, criteria)),
+        linkedCaseNumber: linkedCase.caseNumber
+      };
+    }
+    
+    return null;
+  }
+  
   // Find available lawyers
   async findAvailableLawyers(criteria) {
     const query = {
@@ -231,33 +369,61 @@ class AssignmentService {
       query['lawyerProfile.conflicts.email'] = { $nin: criteria.conflictEmails };
     }
     
+    if (criteria.excludeUserIds && criteria.excludeUserIds.length > 0) {
+      query._id = { $nin: criteria.excludeUserIds };
+    }
+    
     return await User.find(query);
   }
   
+  // In-memory equivalent of the findAvailableJudges / findAvailableLawyers filters
+  isEligibleCandidate(user, criteria) {
+    const isJudge = user.role === 'judge';
+    const profile = isJudge ? user.judgeProfile : user.lawyerProfile;
+    if (!profile || user.isActive === false) return false;
+    
+    const load = isJudge ? profile.currentDailyLoad : profile.currentCaseLoad;
+    const capacity = isJudge ? profile.maxDailyIntake : profile.maxConcurrentCases;
+    const areas = (isJudge ? profile.specializationTags : profile.practiceAreas) || [];
+    const wanted = isJudge ? criteria.specializationTags : criteria.practiceAreas;
+    
+    return load < capacity &&
+      (wanted.length === 0 || areas.some(area => wanted.includes(area))) &&
+      !(profile.conflicts || []).some(conflict => criteria.conflictEmails.includes(conflict.email));
+  }
+  
   // Score and rank judges
   async scoreAndRankJudges(judges, caseDoc, criteria) {
     const scoredJudges = [];
     
+    const requiredSeniority = this.complexitySeniority[criteria.complexity];
+    const { minScoreThresholds } = this.getProfile(criteria);
+    
     for (const judge of judges) {
       const score = await this.scoreJudge(judge, caseDoc, criteria);
-      if (score.totalScore >= this.minScoreThresholds.judge) {
+      if (score.totalScore >= minScoreThresholds.judge) {
         scoredJudges.push({
           user: judge,
-          ...score
+          ...score,
+          meetsSeniority: !requiredSeniority || requiredSeniority.includes(judge.judgeProfile.seniorityLevel)
         });
       }
     }
     
-    return scoredJudges.sort((a, b) => b.totalScore - a.totalScore);
+    // Judges senior enough for the complexity come first, then by score
+    return scoredJudges.sort((a, b) =>
+      Number(b.meetsSeniority) - Number(a.meetsSeniority) || b.totalScore - a.totalScore
+    );
   }
   
   // Score and rank lawyers
   async scoreAndRankLawyers(lawyers, caseDoc, criteria) {
     const scoredLawyers = [];
+    const { minScoreThresholds } = this.getProfile(criteria);
     
     for (const lawyer of lawyers) {
       const score = await this.scoreLawyer(lawyer, caseDoc, criteria);
-      if (score.totalScore >= this.minScoreThresholds.lawyer) {
+      if (score.totalScore >= minScoreThresholds.lawyer) {
         scoredLawyers.push({
           user: lawyer,
           ...score
@@ -271,51 +437,60 @@ class AssignmentService {
   // Score individual judge
   async scoreJudge(judge, caseDoc, criteria) {
     const profile = judge.judgeProfile;
+    const { weights } = this.getProfile(criteria);
     const scoreBreakdown = {};
     
     // Expertise match (0-60)
     scoreBreakdown.expertiseMatch = this.calculateExpertiseMatch(
       profile.specializationTags,
       criteria.specializationTags,
-      this.scoringWeights.expertiseMatch
+      weights.expertiseMatch
     );
     
     // Availability (0-20)
     scoreBreakdown.availability = this.calculateAvailability(
       profile.currentDailyLoad,
       profile.maxDailyIntake,
-      this.scoringWeights.availability
+      weights.availability
     );
     
     // Load balance (0-10)
     scoreBreakdown.loadBalance = this.calculateLoadBalance(
       profile.currentDailyLoad,
       profile.maxDailyIntake,
-      this.scoringWeights.loadBalance
+      weights.loadBalance
     );
     
     // Seniority weight (0-5)
     scoreBreakdown.seniorityWeight = this.calculateSeniorityWeight(
       profile.seniorityLevel,
       criteria.urgency,
-      this.scoringWeights.seniorityWeight
+      criteria.complexity,
+      weights.seniorityWeight
     );
     
     // Rating (0-5)
-    scoreBreakdown.rating = Math.min(profile.rating || 0, this.scoringWeights.rating);
+    scoreBreakdown.rating = this.calculateRating(profile.rating, weights.rating);
     
     // Urgency bonus (0-10)
     scoreBreakdown.urgencyBonus = this.calculateUrgencyBonus(
       criteria.urgency,
       profile.seniorityLevel,
-      this.scoringWeights.urgencyBonus
+      weights.urgencyBonus
     );
     
     // News sensitivity bonus (0-10)
     scoreBreakdown.newsSensitivityBonus = this.calculateNewsSensitivityBonus(
       criteria.newsSensitivityScore,
       profile.seniorityLevel,
-      this.scoringWeights.newsSensitivityBonus
+      weights.newsSensitivityBonus
+    );
+    
+    // Language match (0-10)
+    scoreBreakdown.languageMatch = this.calculateLanguageMatch(
+      profile.languages,
+      criteria.languages,
+      weights.languageMatch
     );
     
     const totalScore = Object.values(scoreBreakdown).reduce((sum, score) => sum + score, 0);
@@ -329,51 +504,59 @@ class AssignmentService {
   // Score individual lawyer
   async scoreLawyer(lawyer, caseDoc, criteria) {
     const profile = lawyer.lawyerProfile;
+    const { weights } = this.getProfile(criteria);
     const scoreBreakdown = {};
     
     // Expertise match (0-60)
     scoreBreakdown.expertiseMatch = this.calculateExpertiseMatch(
       profile.practiceAreas,
       criteria.practiceAreas,
-      this.scoringWeights.expertiseMatch
+      weights.expertiseMatch
     );
     
     // Availability (0-20)
     scoreBreakdown.availability = this.calculateAvailability(
       profile.currentCaseLoad,
       profile.maxConcurrentCases,
-      this.scoringWeights.availability
+      weights.availability
     );
     
     // Load balance (0-10)
     scoreBreakdown.loadBalance = this.calculateLoadBalance(
       profile.currentCaseLoad,
       profile.maxConcurrentCases,
-      this.scoringWeights.loadBalance
+      weights.loadBalance
     );
     
     // Experience weight (using seniority weight slot) (0-5)
     scoreBreakdown.seniorityWeight = this.calculateExperienceWeight(
       profile.yearsOfExperience,
       criteria.complexity,
-      this.scoringWeights.seniorityWeight
+      weights.seniorityWeight
     );
     
     // Rating (0-5)
-    scoreBreakdown.rating = Math.min(profile.rating || 0, this.scoringWeights.rating);
+    scoreBreakdown.rating = this.calculateRating(profile.rating, weights.rating);
     
     // Urgency bonus (0-10)
     scoreBreakdown.urgencyBonus = this.calculateUrgencyBonus(
       criteria.urgency,
       profile.yearsOfExperience > 10 ? 'senior' : 'junior',
-      this.scoringWeights.urgencyBonus
+      weights.urgencyBonus
     );
     
     // News sensitivity bonus (0-10)
     scoreBreakdown.newsSensitivityBonus = this.calculateNewsSensitivityBonus(
       criteria.newsSensitivityScore,
       profile.yearsOfExperience > 10 ? 'senior' : 'junior',
-      this.scoringWeights.newsSensitivityBonus
+      weights.newsSensitivityBonus
+    );
+    
+    // Language match (0-10)
+    scoreBreakdown.languageMatch = this.calculateLanguageMatch(
+      profile.languages,
+      criteria.languages,
+      weights.languageMatch
     );
     
     const totalScore = Object.values(scoreBreakdown).reduce((sum, score) => sum + score, 0);
@@ -398,6 +581,21 @@ class AssignmentService {
     return Math.round(matchRatio * maxScore);
   }
   
+  // Calculate language match score (share of the filing's languages the user works in)
+  calculateLanguageMatch(userLanguages, caseLanguages, maxScore) {
+    if (!caseLanguages || caseLanguages.length === 0) return 0;
+    
+    const known = (userLanguages || []).map(language => languageService.normalizeCode(language));
+    const matches = caseLanguages.filter(language => known.includes(language));
+    
+    return Math.round((matches.length / caseLanguages.length) * maxScore);
+  }
+  
+  // Calculate rating score (ratings are out of 5)
+  calculateRating(rating, maxScore) {
+    return (Math.min(rating || 0, 5) / 5) * maxScore;
+  }
+  
   // Calculate availability score
   calculateAvailability(currentLoad, maxLoad, maxScore) {
     if (maxLoad === 0) return 0;
@@ -416,7 +614,7 @@ class AssignmentService {
   }
   
   // Calculate seniority weight
-  calculateSeniorityWeight(seniorityLevel, urgency, maxScore) {
+  calculateSeniorityWeight(seniorityLevel, urgency, complexity, maxScore) {
     const seniorityScores = {
       'junior': 1,
       'senior': 3,
@@ -430,7 +628,13 @@ class AssignmentService {
       baseScore *= 1.5;
     }
     
-    return Math.min(Math.round(baseScore), maxScore);
+    // Complex matters favour senior judges
+    if (complexity === 'high' || complexity === 'very_high') {
+      baseScore *= seniorityLevel === 'junior' ? 0.5 : 1.5;
+    }
+    
+    // Scores above are out of 5
+    return Math.min(Math.round(baseScore * maxScore / 5), maxScore);
   }
   
   // Calculate experience weight for lawyers
@@ -445,7 +649,7 @@ class AssignmentService {
     const multiplier = complexityMultipliers[complexity] || 1;
     const experienceScore = Math.min(yearsOfExperience / 20, 1) * maxScore * multiplier;
     
-    return Math.round(experienceScore);
+    return Math.min(Math.round(experienceScore), maxScore);
   }
   
   // Calculate urgency bonus
@@ -534,7 +738,7 @@ class AssignmentService {
   }
   
   // Log assignment for audit
-  async logAssignment(caseDoc, selectedJudge, selectedLawyer) {
+  async logAssignment(caseDoc, selectedJudge, selectedLawyer, profile) {
     await AuditLog.createEntry({
       actorId: null, // System action
       actorEmail: 'system',
@@ -553,7 +757,11 @@ class AssignmentService {
         lawyerEmail: selectedLawyer.user.email,
         lawyerScore: selectedLawyer.totalScore,
         urgency: caseDoc.finalUrgency,
-        newsSensitivityScore: caseDoc.newsSignals?.score || 0
+        newsSensitivityScore: caseDoc.newsSignals?.score || 0,
+        additionalInfo: {
+          weightProfile: profile.version,
+          weightProfileScope: profile.scope
+        }
       },
       severity: 'low'
     });
@@ -586,20 +794,14 @@ class AssignmentService {
     logger.warn(`Case escalated to admin: ${caseDoc.caseNumber}`);
   }
   
-  // Manual reassignment (admin/judge/lawyer request)
-  async reassignCase(caseId, requestedBy, reason) {
-    const caseDoc = await Case.findById(caseId);
-    if (!caseDoc || !caseDoc.assignment) {
-      throw new AppError('Case not found or not assigned', 404, 'CASE_NOT_FOUND');
-    }
-    
-    // Clear current assignment
+  // Clear a case's assignment and give the judge and lawyer their capacity back
+  async releaseAssignment(caseDoc) {
     const oldAssignment = caseDoc.assignment;
     caseDoc.assignment = undefined;
     caseDoc.status = 'classified';
     
     // Decrease load counts
-    if (oldAssignment.judgeId) {
+    if (oldAssignment && oldAssignment.judgeId) {
       const judge = await User.findById(oldAssignment.judgeId);
       if (judge) {
         judge.judgeProfile.currentDailyLoad = Math.max(0, judge.judgeProfile.currentDailyLoad - 1);
@@ -607,7 +809,7 @@ class AssignmentService {
       }
     }
     
-    if (oldAssignment.lawyerId) {
+    if (oldAssignment && oldAssignment.lawyerId) {
       const lawyer = await User.findById(oldAssignment.lawyerId);
       if (lawyer) {
         lawyer.lawyerProfile.currentCaseLoad = Math.max(0, lawyer.lawyerProfile.currentCaseLoad - 1);
@@ -617,6 +819,19 @@ class AssignmentService {
     
     await caseDoc.save();
     
+    return oldAssignment;
+  }
+  
+  // Manual reassignment (admin/judge/lawyer request)
+  async reassignCase(caseId, requestedBy, reason) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc || !caseDoc.assignment) {
+      throw new AppError('Case not found or not assigned', 404, 'CASE_NOT_FOUND');
+    }
+    
+    // Clear current assignment
+    const oldAssignment = await this.releaseAssignment(caseDoc);
+    
     // Log reassignment request
     await AuditLog.createEntry({
       actorId: requestedBy.id,
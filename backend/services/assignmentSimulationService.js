@@ -0,0 +1,343 @@
+const User = require('../models/User');
+const Case = require('../models/Case');
+const assignmentService = require('./assignmentService');
+const { AppError } = require('../middleware/errorHandler');
+
+const SENIORITY_LEVELS = ['junior', 'senior', 'chief'];
+
+// What-if replays of assignment over past cases. Each run replays the cases
+// twice - under the current weight profiles and roster, and under the proposed
+// ones - so differences come from the proposal alone. Nothing is saved.
+//
+// Simulated loads start at zero: judge intake resets for each assignment day,
+// lawyer load counts every replayed case. Admin case links are not replayed.
+class AssignmentSimulationService {
+  constructor() {
+    this.maxRosterChanges = 50;
+  }
+
+  // options: { caseIds, from, to, limit, profile, roster: { add, remove } }
+  async simulate({ caseIds, from, to, limit = 100, profile = null, roster = {} }) {
+    const changes = this.validateRoster(roster);
+
+    const [cases, users, activeProfiles] = await Promise.all([
+      this.loadCases({ caseIds, from, to, limit }),
+      User.find({ role: { $in: ['judge', 'lawyer'] }, isActive: true }).select('email role judgeProfile lawyerProfile'),
+      assignmentService.getActiveProfiles()
+    ]);
+
+    const currentRoster = users.map(user => user.toObject());
+    const proposedRoster = [
+      ...currentRoster.filter(user => !changes.remove.includes(String(user._id))),
+      ...changes.add
+    ];
+    const proposedProfiles = profile ? this.withProfile(activeProfiles, profile) : activeProfiles;
+
+    const baseline = await this.replay(cases, currentRoster, activeProfiles);
+    const proposed = await this.replay(cases, proposedRoster, proposedProfiles);
+
+    const assignmentChanges = [];
+    const belowThreshold = [];
+
+    cases.forEach((caseDoc, index) => {
+      const before = baseline[index];
+      const after = proposed[index];
+      const judgeChanged = this.idOf(before.judge) !== this.idOf(after.judge);
+      const lawyerChanged = this.idOf(before.lawyer) !== this.idOf(after.lawyer);
+
+      if (judgeChanged || lawyerChanged) {
+        assignmentChanges.push({
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          urgency: caseDoc.finalUrgency,
+          judgeChanged,
+          lawyerChanged,
+          current: this.describe(before),
+          proposed: this.describe(after)
+        });
+      }
+
+      if (!after.judge || !after.lawyer) {
+        belowThreshold.push({
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          urgency: caseDoc.finalUrgency,
+          missing: after.missing,
+          bestJudgeScore: after.bestJudgeScore,
+          bestLawyerScore: after.bestLawyerScore,
+          minScoreThresholds: after.minScoreThresholds,
+          weightProfile: after.weightProfile,
+          assignableBefore: Boolean(before.judge && before.lawyer)
+        });
+      }
+    });
+
+    const load = {
+      judges: this.loadDistribution(baseline, proposed, 'judge'),
+      lawyers: this.loadDistribution(baseline, proposed, 'lawyer')
+    };
+
+    return {
+      proposal: {
+        weightProfile: profile ? { version: profile.version || null, scope: profile.scope, scopeValue: profile.scopeValue || null } : null,
+        rosterAdded: changes.add.map(user => ({ id: user._id, role: user.role, name: this.nameOf(user) })),
+        rosterRemoved: changes.remove
+      },
+      summary: {
+        casesReplayed: cases.length,
+        assignmentsChanged: assignmentChanges.length,
+        judgeChanged: assignmentChanges.filter(change => change.judgeChanged).length,
+        lawyerChanged: assignmentChanges.filter(change => change.lawyerChanged).length,
+        unassignable: {
+          current: baseline.filter(outcome => !outcome.judge || !outcome.lawyer).length,
+          proposed: belowThreshold.length
+        },
+        newlyUnassignable: belowThreshold.filter(entry => entry.assignableBefore).length,
+        maxJudgeLoad: {
+          current: Math.max(0, ...load.judges.map(entry => entry.current)),
+          proposed: Math.max(0, ...load.judges.map(entry => entry.proposed))
+        },
+        maxLawyerLoad: {
+          current: Math.max(0, ...load.lawyers.map(entry => entry.current)),
+          proposed: Math.max(0, ...load.lawyers.map(entry => entry.proposed))
+        }
+      },
+      load,
+      belowThreshold,
+      changes: assignmentChanges
+    };
+  }
+
+  // Explicit cases, or assigned cases in the date range, oldest assignment first
+  async loadCases({ caseIds, from, to, limit }) {
+    const query = caseIds && caseIds.length > 0
+      ? { _id: { $in: caseIds } }
+      : { 'assignment.judgeId': { $exists: true } };
+
+    if (!caseIds && (from || to)) {
+      query.assignedAt = {};
+      if (from) query.assignedAt.$gte = new Date(from);
+      if (to) query.assignedAt.$lte = new Date(to);
+    }
+
+    return Case.find(query)
+      .select('caseNumber jurisdiction finalUrgency aiIntake newsSignals.score language assignedAt createdAt clientId')
+      .populate('clientId', 'email')
+      .sort({ assignedAt: 1, createdAt: 1 })
+      .limit(limit);
+  }
+
+  // Active profiles as they would be after activating `profile`
+  withProfile(activeProfiles, profile) {
+    const sameScope = candidate => candidate.scope === profile.scope &&
+      (candidate.scopeValue || '').toLowerCase() === (profile.scopeValue || '').toLowerCase();
+
+    const others = activeProfiles.filter(candidate => !sameScope(candidate));
+
+    // Activating the built-in profile just clears the stored default
+    return profile.source === 'builtin' ? others : [...others, profile];
+  }
+
+  // Assign each case in order under a roster and set of profiles
+  async replay(cases, roster, profiles) {
+    const judgeLoads = new Map();
+    const lawyerLoads = new Map();
+    const outcomes = [];
+    let day = null;
+
+    for (const caseDoc of cases) {
+      const caseDay = new Date(caseDoc.assignedAt || caseDoc.createdAt).toDateString();
+      if (caseDay !== day) {
+        judgeLoads.clear();
+        day = caseDay;
+      }
+
+      const criteria = assignmentService.extractAssignmentCriteria(caseDoc);
+      criteria.profile = await assignmentService.resolveWeightProfile(criteria, profiles);
+
+      const judges = roster
+        .filter(user => user.role === 'judge')
+        .map(user => this.withLoad(user, judgeLoads.get(String(user._id)) || 0))
+        .filter(user => assignmentService.isEligibleCandidate(user, criteria));
+      const lawyers = roster
+        .filter(user => user.role === 'lawyer')
+        .map(user => this.withLoad(user, lawyerLoads.get(String(user._id)) || 0))
+        .filter(user => assignmentService.isEligibleCandidate(user, criteria));
+
+      const judge = assignmentService.selectBestCandidate(
+        await assignmentService.scoreAndRankJudges(judges, caseDoc, criteria), 'judge'
+      );
+      const lawyer = assignmentService.selectBestCandidate(
+        await assignmentService.scoreAndRankLawyers(lawyers, caseDoc, criteria), 'lawyer'
+      );
+
+      const outcome = {
+        weightProfile: criteria.profile.version || 'draft',
+        minScoreThresholds: criteria.profile.minScoreThresholds
+      };
+
+      // As in assignCase, a case missing either is escalated and gets neither
+      if (judge && lawyer) {
+        outcome.judge = judge;
+        outcome.lawyer = lawyer;
+        judgeLoads.set(String(judge.user._id), (judgeLoads.get(String(judge.user._id)) || 0) + 1);
+        lawyerLoads.set(String(lawyer.user._id), (lawyerLoads.get(String(lawyer.user._id)) || 0) + 1);
+      } else {
+        outcome.missing = [!judge && 'judge', !lawyer && 'lawyer'].filter(Boolean);
+        outcome.bestJudgeScore = await this.bestScore(judges, caseDoc, criteria);
+        outcome.bestLawyerScore = await this.bestScore(lawyers, caseDoc, criteria);
+      }
+
+      outcomes.push(outcome);
+    }
+
+    return outcomes;
+  }
+
+  // Copy of a user with the simulated load in place of the live one
+  withLoad(user, load) {
+    return user.role === 'judge'
+      ? { ...user, judgeProfile: { ...user.judgeProfile, currentDailyLoad: load } }
+      : { ...user, lawyerProfile: { ...user.lawyerProfile, currentCaseLoad: load } };
+  }
+
+  // Highest score among candidates, threshold or not; null when there are none
+  async bestScore(candidates, caseDoc, criteria) {
+    let best = null;
+    for (const user of candidates) {
+      const { totalScore } = user.role === 'judge'
+        ? await assignmentService.scoreJudge(user, caseDoc, criteria)
+        : await assignmentService.scoreLawyer(user, caseDoc, criteria);
+      best = best === null ? totalScore : Math.max(best, totalScore);
+    }
+    return best;
+  }
+
+  // Cases per judge or lawyer in each replay, busiest first
+  loadDistribution(baseline, proposed, role) {
+    const counts = new Map();
+    const count = (outcomes, key) => outcomes.forEach(outcome => {
+      const selected = outcome[role];
+      if (!selected) return;
+      const id = String(selected.user._id);
+      const entry = counts.get(id) || { id, name: this.nameOf(selected.user), current: 0, proposed: 0 };
+      entry[key]++;
+      counts.set(id, entry);
+    });
+
+    count(baseline, 'current');
+    count(proposed, 'proposed');
+
+    return [...counts.values()]
+      .map(entry => ({ ...entry, delta: entry.proposed - entry.current }))
+      .sort((a, b) => b.proposed - a.proposed || b.current - a.current);
+  }
+
+  describe(outcome) {
+    const summarize = selected => selected
+      ? { id: selected.user._id, name: this.nameOf(selected.user), score: selected.totalScore }
+      : null;
+
+    return {
+      judge: summarize(outcome.judge),
+      lawyer: summarize(outcome.lawyer),
+      weightProfile: outcome.weightProfile
+    };
+  }
+
+  idOf(selected) {
+    return selected ? String(selected.user._id) : null;
+  }
+
+  nameOf(user) {
+    const profile = user.role === 'judge' ? user.judgeProfile : user.lawyerProfile;
+    return (profile && profile.name) || user.email || null;
+  }
+
+  // Normalized { add: [user], remove: [userId] }. Added judges and lawyers are
+  // hypothetical users with ids like "proposed-judge-1".
+  validateRoster({ add = [], remove = [] } = {}) {
+    const invalid = message => new AppError(`Invalid roster: ${message}`, 400, 'INVALID_ROSTER');
+    const areas = Object.keys(assignmentService.subjectPracticeAreas);
+
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      throw invalid('add and remove must be arrays');
+    }
+    if (add.length + remove.length > this.maxRosterChanges) {
+      throw invalid(`at most ${this.maxRosterChanges} roster changes`);
+    }
+
+    const added = add.map((entry, index) => {
+      const label = `added entry ${index + 1}`;
+      const name = String(entry.name || '').trim();
+      if (!name) throw invalid(`${label} needs a name`);
+
+      const languages = Array.isArray(entry.languages) ? entry.languages : ['en'];
+      const rating = Number(entry.rating ?? 0);
+      if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+        throw invalid(`${label} rating must be between 0 and 5`);
+      }
+
+      const checkAreas = list => {
+        if (!Array.isArray(list) || list.length === 0 || list.some(area => !areas.includes(area))) {
+          throw invalid(`${label} needs practice areas from: ${areas.join(', ')}`);
+        }
+        return list;
+      };
+
+      if (entry.role === 'judge') {
+        const seniorityLevel = entry.seniorityLevel || 'junior';
+        if (!SENIORITY_LEVELS.includes(seniorityLevel)) {
+          throw invalid(`${label} seniorityLevel must be one of: ${SENIORITY_LEVELS.join(', ')}`);
+        }
+        const maxDailyIntake = parseInt(entry.maxDailyIntake ?? 5, 10);
+        if (!(maxDailyIntake >= 1)) throw invalid(`${label} maxDailyIntake must be at least 1`);
+
+        return {
+          _id: `proposed-judge-${index + 1}`,
+          role: 'judge',
+          judgeProfile: {
+            name,
+            specializationTags: checkAreas(entry.specializationTags),
+            seniorityLevel,
+            maxDailyIntake,
+            currentDailyLoad: 0,
+            rating,
+            languages,
+            conflicts: []
+          }
+        };
+      }
+
+      if (entry.role === 'lawyer') {
+        const yearsOfExperience = Number(entry.yearsOfExperience ?? 0);
+        if (!Number.isFinite(yearsOfExperience) || yearsOfExperience < 0) {
+          throw invalid(`${label} yearsOfExperience must be 0 or more`);
+        }
+        const maxConcurrentCases = parseInt(entry.maxConcurrentCases ?? 10, 10);
+        if (!(maxConcurrentCases >= 1)) throw invalid(`${label} maxConcurrentCases must be at least 1`);
+
+        return {
+          _id: `proposed-lawyer-${index + 1}`,
+          role: 'lawyer',
+          lawyerProfile: {
+            name,
+            practiceAreas: checkAreas(entry.practiceAreas),
+            yearsOfExperience,
+            maxConcurrentCases,
+            currentCaseLoad: 0,
+            rating,
+            languages,
+            conflicts: []
+          }
+        };
+      }
+
+      throw invalid(`${label} role must be judge or lawyer`);
+    });
+
+    return { add: added, remove: remove.map(String) };
+  }
+}
+
+module.exports = new AssignmentSimulationService();
@@ -0,0 +1,162 @@
+const AssignmentWeightProfile = require('../models/AssignmentWeightProfile');
+const assignmentService = require('./assignmentService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+// Weights that split the 100 base points, and bonuses added on top
+const BASE_WEIGHTS = ['expertiseMatch', 'availability', 'loadBalance', 'seniorityWeight', 'rating'];
+const BONUS_WEIGHTS = ['urgencyBonus', 'newsSensitivityBonus', 'languageMatch'];
+const BASE_TOTAL = 100;
+const MAX_BONUS = 20;
+const MAX_BONUS_TOTAL = 40;
+
+// Admin management of the versioned assignment weight profiles. Scoring reads
+// the active profiles through assignmentService.resolveWeightProfile().
+class AssignmentWeightsService {
+  async getProfile(version) {
+    const stored = await AssignmentWeightProfile.findOne({ version });
+    if (stored) return stored.toProfile();
+
+    const builtin = assignmentService.builtinProfile;
+    return version === builtin.version ? { ...builtin } : null;
+  }
+
+  // Built-in and stored versions, newest first
+  async listProfiles() {
+    const stored = (await AssignmentWeightProfile.find().sort({ createdAt: -1 })).map(profile => profile.toProfile());
+    const defaultActive = stored.some(profile => profile.scope === 'default' && profile.isActive);
+
+    return [
+      ...stored,
+      { ...assignmentService.builtinProfile, isActive: !defaultActive }
+    ];
+  }
+
+  async createProfile({ version, description, ...input }, user) {
+    const profile = this.validateProfile(input);
+
+    const exists = await this.getProfile(version);
+    if (exists) {
+      throw new AppError(`Weight profile version ${version} already exists`, 409, 'WEIGHT_PROFILE_VERSION_EXISTS');
+    }
+
+    const created = await AssignmentWeightProfile.create({
+      version,
+      description,
+      ...profile,
+      createdBy: user.id
+    });
+
+    return created.toProfile();
+  }
+
+  // Make a version the one used for its court, subject area or all other cases
+  async activateProfile(version, user) {
+    const profile = await this.getProfile(version);
+    if (!profile) {
+      throw new AppError(`Weight profile version ${version} not found`, 404, 'WEIGHT_PROFILE_VERSION_NOT_FOUND');
+    }
+
+    // Court names match case-insensitively, as in resolveWeightProfile
+    const sameScope = value => (value || '').toLowerCase() === (profile.scopeValue || '').toLowerCase();
+    const previous = (await AssignmentWeightProfile.find({ isActive: true, scope: profile.scope }))
+      .filter(active => sameScope(active.scopeValue));
+
+    await AssignmentWeightProfile.updateMany(
+      { _id: { $in: previous.map(active => active._id) } },
+      { $set: { isActive: false } }
+    );
+
+    // The built-in profile is the default whenever no stored default is active
+    if (profile.source === 'stored') {
+      await AssignmentWeightProfile.updateOne(
+        { version },
+        { $set: { isActive: true, activatedAt: new Date(), activatedBy: user.id } }
+      );
+    }
+
+    assignmentService.clearProfileCache();
+    logger.info(`Assignment weight profile activated: ${version}`, {
+      scope: profile.scope,
+      scopeValue: profile.scopeValue,
+      by: user.email
+    });
+
+    return {
+      profile,
+      previousVersion: previous.length > 0
+        ? previous[0].version
+        : (profile.scope === 'default' ? assignmentService.builtinProfile.version : null)
+    };
+  }
+
+  // Normalized { scope, scopeValue, weights, minScoreThresholds }; throws on
+  // weights that do not add up or thresholds no candidate could reach
+  validateProfile({ scope = 'default', scopeValue, weights, minScoreThresholds }) {
+    const invalid = message => new AppError(`Invalid weight profile: ${message}`, 400, 'INVALID_WEIGHT_PROFILE');
+
+    const normalized = { scope, weights: {}, minScoreThresholds: {} };
+
+    if (scope === 'default') {
+      if (scopeValue) throw invalid('a default profile applies to all cases and takes no scopeValue');
+    } else if (scope === 'court') {
+      normalized.scopeValue = String(scopeValue || '').trim();
+      if (normalized.scopeValue.length < 2 || normalized.scopeValue.length > 200) {
+        throw invalid('a court profile needs the court name as scopeValue');
+      }
+    } else if (scope === 'subject') {
+      const areas = Object.keys(assignmentService.subjectPracticeAreas);
+      if (!areas.includes(scopeValue)) {
+        throw invalid(`a subject profile needs a scopeValue from: ${areas.join(', ')}`);
+      }
+      normalized.scopeValue = scopeValue;
+    } else {
+      throw invalid('scope must be default, court or subject');
+    }
+
+    if (!weights || typeof weights !== 'object') {
+      throw invalid('weights are required');
+    }
+
+    for (const key of [...BASE_WEIGHTS, ...BONUS_WEIGHTS]) {
+      const value = Number(weights[key]);
+      const max = BONUS_WEIGHTS.includes(key) ? MAX_BONUS : BASE_TOTAL;
+      if (weights[key] === undefined || !Number.isFinite(value) || value < 0 || value > max) {
+        throw invalid(`${key} must be between 0 and ${max}`);
+      }
+      normalized.weights[key] = value;
+    }
+
+    const baseTotal = BASE_WEIGHTS.reduce((sum, key) => sum + normalized.weights[key], 0);
+    if (Math.abs(baseTotal - BASE_TOTAL) > 0.01) {
+      throw invalid(`${BASE_WEIGHTS.join(', ')} must total ${BASE_TOTAL} (got ${baseTotal})`);
+    }
+
+    const bonusTotal = BONUS_WEIGHTS.reduce((sum, key) => sum + normalized.weights[key], 0);
+    if (bonusTotal > MAX_BONUS_TOTAL) {
+      throw invalid(`bonuses (${BONUS_WEIGHTS.join(', ')}) must total at most ${MAX_BONUS_TOTAL}`);
+    }
+
+    // Expertise is what the candidate search filters on, so it must count
+    if (normalized.weights.expertiseMatch === 0) {
+      throw invalid('expertiseMatch must be above 0');
+    }
+
+    if (!minScoreThresholds || typeof minScoreThresholds !== 'object') {
+      throw invalid('minScoreThresholds are required');
+    }
+
+    for (const role of ['judge', 'lawyer']) {
+      const value = Number(minScoreThresholds[role]);
+      // Bonuses are not guaranteed, so the threshold must be reachable on base points alone
+      if (minScoreThresholds[role] === undefined || !Number.isFinite(value) || value < 0 || value > BASE_TOTAL) {
+        throw invalid(`minScoreThresholds.${role} must be between 0 and ${BASE_TOTAL}`);
+      }
+      normalized.minScoreThresholds[role] = value;
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = new AssignmentWeightsService();
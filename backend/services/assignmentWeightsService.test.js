@@ -0,0 +1,116 @@
+jest.mock('../utils/email', () => ({}));
+
+const assignmentWeightsService = require('./assignmentWeightsService');
+const assignmentService = require('./assignmentService');
+
+const validWeights = () => ({
+  expertiseMatch: 50,
+  availability: 20,
+  loadBalance: 15,
+  seniorityWeight: 10,
+  rating: 5,
+  urgencyBonus: 15,
+  newsSensitivityBonus: 10,
+  languageMatch: 10
+});
+
+const profileInput = (overrides = {}) => ({
+  weights: validWeights(),
+  minScoreThresholds: { judge: 40, lawyer: 35 },
+  ...overrides
+});
+
+describe('assignmentWeightsService.validateProfile', () => {
+  const expectInvalid = (input, message) => {
+    let error = null;
+    try {
+      assignmentWeightsService.validateProfile(input);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_WEIGHT_PROFILE' });
+    expect(error.message).toMatch(message);
+  };
+
+  it('accepts weights that total 100 with bonuses in range', () => {
+    expect(assignmentWeightsService.validateProfile(profileInput())).toEqual({
+      scope: 'default',
+      weights: validWeights(),
+      minScoreThresholds: { judge: 40, lawyer: 35 }
+    });
+  });
+
+  it('requires the base weights to total 100', () => {
+    expectInvalid(profileInput({ weights: { ...validWeights(), rating: 10 } }), /must total 100 \(got 105\)/);
+    expectInvalid(profileInput({ weights: { ...validWeights(), availability: 10 } }), /must total 100 \(got 90\)/);
+  });
+
+  it('caps each bonus at 20', () => {
+    expectInvalid(profileInput({ weights: { ...validWeights(), urgencyBonus: 21, languageMatch: 0 } }), /urgencyBonus must be between 0 and 20/);
+    expect(() => assignmentWeightsService.validateProfile(
+      profileInput({ weights: { ...validWeights(), urgencyBonus: 20, newsSensitivityBonus: 10, languageMatch: 10 } })
+    )).not.toThrow();
+  });
+
+  it('caps the bonuses together at 40', () => {
+    expectInvalid(
+      profileInput({ weights: { ...validWeights(), urgencyBonus: 20, newsSensitivityBonus: 20, languageMatch: 5 } }),
+      /must total at most 40/
+    );
+  });
+
+  it('rejects missing, negative and zero expertise weights', () => {
+    const { rating, ...missingRating } = validWeights();
+    expectInvalid(profileInput({ weights: missingRating }), /rating must be between 0 and 100/);
+    expectInvalid(profileInput({ weights: { ...validWeights(), rating: -5, availability: 30 } }), /rating must be between/);
+    expectInvalid(
+      profileInput({ weights: { ...validWeights(), expertiseMatch: 0, availability: 70 } }),
+      /expertiseMatch must be above 0/
+    );
+  });
+
+  it('requires thresholds between 0 and 100', () => {
+    expectInvalid(profileInput({ minScoreThresholds: { judge: 40 } }), /minScoreThresholds.lawyer/);
+    expectInvalid(profileInput({ minScoreThresholds: { judge: 120, lawyer: 35 } }), /minScoreThresholds.judge/);
+  });
+
+  it('checks the scope value', () => {
+    expectInvalid(profileInput({ scopeValue: 'Delhi High Court' }), /takes no scopeValue/);
+    expectInvalid(profileInput({ scope: 'court', scopeValue: ' ' }), /court name/);
+    expectInvalid(profileInput({ scope: 'subject', scopeValue: 'maritime' }), /subject profile needs a scopeValue/);
+    expectInvalid(profileInput({ scope: 'district' }), /scope must be default, court or subject/);
+
+    expect(assignmentWeightsService.validateProfile(profileInput({ scope: 'court', scopeValue: '  Delhi High Court ' })))
+      .toMatchObject({ scope: 'court', scopeValue: 'Delhi High Court' });
+    expect(assignmentWeightsService.validateProfile(profileInput({ scope: 'subject', scopeValue: 'cyber' })))
+      .toMatchObject({ scope: 'subject', scopeValue: 'cyber' });
+  });
+});
+
+describe('assignmentService.resolveWeightProfile', () => {
+  const profiles = [
+    { version: 'default-v2', scope: 'default' },
+    { version: 'cyber-v1', scope: 'subject', scopeValue: 'cyber' },
+    { version: 'criminal-v1', scope: 'subject', scopeValue: 'criminal' },
+    { version: 'delhi-v1', scope: 'court', scopeValue: 'Delhi High Court' }
+  ];
+
+  const resolve = (criteria, active = profiles) =>
+    assignmentService.resolveWeightProfile({ jurisdiction: '', practiceAreas: [], ...criteria }, active)
+      .then(profile => profile.version);
+
+  it("prefers the case's court, matched case-insensitively", async () => {
+    await expect(resolve({ jurisdiction: ' delhi high court ', practiceAreas: ['cyber'] })).resolves.toBe('delhi-v1');
+  });
+
+  it('falls back to the first practice area with a profile', async () => {
+    await expect(resolve({ jurisdiction: 'Bombay High Court', practiceAreas: ['civil', 'criminal', 'cyber'] }))
+      .resolves.toBe('criminal-v1');
+  });
+
+  it('falls back to the active default, then the built-in profile', async () => {
+    await expect(resolve({ practiceAreas: ['family'] })).resolves.toBe('default-v2');
+    await expect(resolve({ practiceAreas: ['family'] }, profiles.filter(profile => profile.scope !== 'default')))
+      .resolves.toBe(assignmentService.builtinProfile.version);
+  });
+});
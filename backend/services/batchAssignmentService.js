@@ -0,0 +1,408 @@
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const assignmentService = require('./assignmentService');
+const logger = require('../utils/logger');
+
+const URGENCY_TIERS = ['URGENT', 'MODERATE', 'LOW'];
+
+// Assigns the whole queue of cases waiting for a judge and lawyer at once (see
+// isQueued; with ASSIGNMENT_MODE=batch the pipeline leaves every new case here).
+// assignCase gives each case the best judge and lawyer in turn, so an early case
+// can take the only specialist a later urgent case needed. Here each urgency tier is
+// solved as one capacitated matching - as many cases as possible, then the
+// highest total score - with urgent cases matched first.
+//
+// preview() proposes assignments without saving; commit() re-checks each one
+// against current loads and conflicts before applying it.
+class BatchAssignmentService {
+  constructor() {
+    this.maxCases = parseInt(process.env.BATCH_ASSIGNMENT_MAX_CASES) || 500;
+  }
+
+  async preview() {
+    const [candidates, judges, lawyers] = await Promise.all([
+      Case.find({
+        $or: [
+          { status: 'classified' },
+          { status: 'error', 'assignment.judgeId': { $exists: false }, 'processingStages.stage': 'assignment' }
+        ]
+      })
+        .populate('clientId')
+        .sort({ submittedAt: 1 })
+        .limit(this.maxCases),
+      User.find({ role: 'judge', isActive: true }),
+      User.find({ role: 'lawyer', isActive: true })
+    ]);
+    const queue = candidates.filter(caseDoc => this.isQueued(caseDoc));
+
+    // Free slots per judge and lawyer, used up as the plan assigns cases
+    const capacity = new Map([
+      ...judges.map(judge => [String(judge._id), judge.judgeProfile.maxDailyIntake - judge.judgeProfile.currentDailyLoad]),
+      ...lawyers.map(lawyer => [String(lawyer._id), lawyer.lawyerProfile.maxConcurrentCases - lawyer.lawyerProfile.currentCaseLoad])
+    ]);
+
+    const skipped = [];
+    const entries = [];
+
+    for (const caseDoc of queue) {
+      // Cases still in the pipeline are assigned by it
+      if (await Job.findActiveForCase(caseDoc._id)) {
+        skipped.push({ caseId: caseDoc._id, caseNumber: caseDoc.caseNumber, reason: 'processing' });
+        continue;
+      }
+
+      // A rejected case's current judge and lawyer get its slots back when it is reassigned
+      if (caseDoc.assignment && caseDoc.assignment.judgeId) {
+        for (const id of [caseDoc.assignment.judgeId, caseDoc.assignment.lawyerId].map(String)) {
+          if (capacity.has(id)) capacity.set(id, capacity.get(id) + 1);
+        }
+      }
+
+      entries.push(await this.buildOptions(caseDoc, judges, lawyers));
+    }
+
+    const assignments = [];
+    const unassigned = [];
+
+    const tierOf = entry => {
+      const index = URGENCY_TIERS.indexOf(entry.caseDoc.finalUrgency);
+      return index === -1 ? URGENCY_TIERS.length : index;
+    };
+
+    for (let tier = 0; tier <= URGENCY_TIERS.length; tier++) {
+      const tierEntries = entries.filter(entry => tierOf(entry) === tier);
+      const { matched, unmatched } = this.matchTier(tierEntries, capacity);
+
+      assignments.push(...matched);
+      unassigned.push(...unmatched);
+    }
+
+    const average = values => (values.length > 0
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : 0);
+
+    const byUrgency = {};
+    for (const entry of entries) {
+      const urgency = entry.caseDoc.finalUrgency || 'UNKNOWN';
+      byUrgency[urgency] = byUrgency[urgency] || { cases: 0, proposed: 0 };
+      byUrgency[urgency].cases++;
+    }
+    assignments.forEach(assignment => { byUrgency[assignment.urgency || 'UNKNOWN'].proposed++; });
+
+    return {
+      generatedAt: new Date(),
+      summary: {
+        queued: queue.length,
+        proposed: assignments.length,
+        unassigned: unassigned.length,
+        skipped: skipped.length,
+        byUrgency,
+        averageJudgeScore: average(assignments.map(assignment => assignment.judge.score)),
+        averageLawyerScore: average(assignments.map(assignment => assignment.lawyer.score))
+      },
+      assignments,
+      unassigned,
+      skipped
+    };
+  }
+
+  // Cases waiting for a judge and lawyer: classified and unassigned (held by the
+  // pipeline in batch mode, or released for reassignment), rejected by their
+  // judge or lawyer, or escalated to an admin when assignment found no candidates
+  isQueued(caseDoc) {
+    const assigned = Boolean(caseDoc.assignment && caseDoc.assignment.judgeId);
+
+    if (caseDoc.status === 'classified') {
+      return !assigned || caseDoc.assignment.reassignmentRequested;
+    }
+
+    if (caseDoc.status === 'error' && !assigned && caseDoc.aiIntake) {
+      const last = caseDoc.processingStages[caseDoc.processingStages.length - 1];
+      return Boolean(last) && last.stage === 'assignment' && last.status === 'failed';
+    }
+
+    return false;
+  }
+
+  // Id of the judge or lawyer who rejected the case; they are not offered it again
+  getRejectedBy(caseDoc) {
+    const assignment = caseDoc.assignment;
+    if (!assignment || !assignment.reassignmentRequested) return null;
+
+    const id = assignment.reassignmentRequestedBy === 'lawyer' ? assignment.lawyerId : assignment.judgeId;
+    return id ? String(id) : null;
+  }
+
+  // A linked case's judge, unless they rejected this case
+  async findLinkedJudge(caseDoc, criteria) {
+    const linkedJudge = await assignmentService.findLinkedJudge(caseDoc, criteria);
+    return linkedJudge && String(linkedJudge.user._id) !== this.getRejectedBy(caseDoc) ? linkedJudge : null;
+  }
+
+  isAvailableTo(caseDoc, user, criteria) {
+    return String(user._id) !== this.getRejectedBy(caseDoc) && assignmentService.isEligibleCandidate(user, criteria);
+  }
+
+  // Scored judges and lawyers a case may go to, as with assignCase: above the
+  // profile's thresholds, senior enough judges only when any qualify, and the
+  // linked case's judge when there is one. Scores use loads before the batch.
+  async buildOptions(caseDoc, judges, lawyers) {
+    const criteria = assignmentService.extractAssignmentCriteria(caseDoc);
+    criteria.profile = await assignmentService.resolveWeightProfile(criteria);
+
+    const linkedJudge = await this.findLinkedJudge(caseDoc, criteria);
+
+    let rankedJudges;
+    if (linkedJudge) {
+      rankedJudges = [linkedJudge];
+    } else {
+      rankedJudges = await assignmentService.scoreAndRankJudges(
+        judges.filter(judge => this.isAvailableTo(caseDoc, judge, criteria)), caseDoc, criteria
+      );
+      if (rankedJudges.some(judge => judge.meetsSeniority)) {
+        rankedJudges = rankedJudges.filter(judge => judge.meetsSeniority);
+      }
+    }
+
+    const rankedLawyers = await assignmentService.scoreAndRankLawyers(
+      lawyers.filter(lawyer => this.isAvailableTo(caseDoc, lawyer, criteria)), caseDoc, criteria
+    );
+
+    const toOption = candidate => ({
+      id: String(candidate.user._id),
+      name: candidate.user.role === 'judge' ? candidate.user.judgeProfile.name : candidate.user.lawyerProfile.name,
+      score: candidate.totalScore
+    });
+
+    return {
+      caseDoc,
+      profile: criteria.profile,
+      linked: Boolean(linkedJudge),
+      judgeOptions: rankedJudges.map(toOption),
+      lawyerOptions: rankedLawyers.map(toOption)
+    };
+  }
+
+  // Match one urgency tier, taking slots from `capacity`. A case needs both a
+  // judge and a lawyer, so cases left with only one are dropped and the tier
+  // re-solved, freeing their slot for another case.
+  matchTier(entries, capacity) {
+    const unmatched = [];
+    let candidates = [];
+
+    for (const entry of entries) {
+      if (entry.judgeOptions.length === 0 || entry.lawyerOptions.length === 0) {
+        unmatched.push(this.describeUnassigned(entry, entry.judgeOptions.length === 0 ? 'no_eligible_judge' : 'no_eligible_lawyer'));
+      } else {
+        candidates.push(entry);
+      }
+    }
+
+    let judges = [];
+    let lawyers = [];
+
+    for (;;) {
+      judges = solveMatching(candidates.map(entry => entry.judgeOptions), capacity);
+      lawyers = solveMatching(candidates.map(entry => entry.lawyerOptions), capacity);
+
+      const incomplete = candidates.filter((entry, index) => !judges[index] || !lawyers[index]);
+      if (incomplete.length === 0) break;
+
+      incomplete.forEach(entry => unmatched.push(this.describeUnassigned(entry, 'capacity')));
+      candidates = candidates.filter(entry => !incomplete.includes(entry));
+    }
+
+    const matched = candidates.map((entry, index) => {
+      capacity.set(judges[index].id, capacity.get(judges[index].id) - 1);
+      capacity.set(lawyers[index].id, capacity.get(lawyers[index].id) - 1);
+
+      return {
+        caseId: entry.caseDoc._id,
+        caseNumber: entry.caseDoc.caseNumber,
+        title: entry.caseDoc.title,
+        urgency: entry.caseDoc.finalUrgency,
+        judge: judges[index],
+        lawyer: lawyers[index],
+        // Whether the case got its highest-scoring candidate, as it would alone
+        firstChoiceJudge: entry.judgeOptions[0].id === judges[index].id,
+        firstChoiceLawyer: entry.lawyerOptions[0].id === lawyers[index].id,
+        linked: entry.linked,
+        weightProfile: entry.profile.version
+      };
+    });
+
+    return { matched, unmatched };
+  }
+
+  describeUnassigned(entry, reason) {
+    return {
+      caseId: entry.caseDoc._id,
+      caseNumber: entry.caseDoc.caseNumber,
+      urgency: entry.caseDoc.finalUrgency,
+      reason,
+      eligibleJudges: entry.judgeOptions.length,
+      eligibleLawyers: entry.lawyerOptions.length
+    };
+  }
+
+  // Apply previewed assignments ([{ caseId, judgeId, lawyerId }]) in order. Each is
+  // re-checked, since cases, loads and conflicts may have changed since the preview.
+  async commit(assignments) {
+    const results = [];
+
+    for (const { caseId, judgeId, lawyerId } of assignments) {
+      try {
+        results.push({ caseId, judgeId, lawyerId, ...(await this.commitOne(caseId, judgeId, lawyerId)) });
+      } catch (error) {
+        logger.error(`Batch assignment failed for case ${caseId}:`, error);
+        results.push({ caseId, judgeId, lawyerId, assigned: false, reason: 'error', error: error.message });
+      }
+    }
+
+    const assigned = results.filter(result => result.assigned).length;
+    logger.info(`Batch assignment committed: ${assigned} of ${results.length} cases assigned`);
+
+    return {
+      summary: { requested: results.length, assigned, notAssigned: results.length - assigned },
+      results
+    };
+  }
+
+  async commitOne(caseId, judgeId, lawyerId) {
+    const caseDoc = await Case.findById(caseId).populate('clientId');
+    if (!caseDoc || !this.isQueued(caseDoc)) {
+      return { assigned: false, reason: 'case_changed' };
+    }
+
+    if (await Job.findActiveForCase(caseDoc._id)) {
+      return { assigned: false, reason: 'processing' };
+    }
+
+    const criteria = assignmentService.extractAssignmentCriteria(caseDoc);
+    criteria.profile = await assignmentService.resolveWeightProfile(criteria);
+    const { minScoreThresholds } = criteria.profile;
+
+    const [judge, lawyer, linkedJudge] = await Promise.all([
+      User.findOne({ _id: judgeId, role: 'judge' }),
+      User.findOne({ _id: lawyerId, role: 'lawyer' }),
+      this.findLinkedJudge(caseDoc, criteria)
+    ]);
+
+    // A linked case's judge is kept whatever their score, as in assignCase
+    let selectedJudge = null;
+    if (linkedJudge) {
+      if (String(linkedJudge.user._id) === String(judgeId)) selectedJudge = linkedJudge;
+    } else if (judge && this.isAvailableTo(caseDoc, judge, criteria)) {
+      const score = await assignmentService.scoreJudge(judge, caseDoc, criteria);
+      if (score.totalScore >= minScoreThresholds.judge) selectedJudge = { user: judge, ...score };
+    }
+
+    if (!selectedJudge) {
+      return { assigned: false, reason: 'judge_unavailable' };
+    }
+
+    let selectedLawyer = null;
+    if (lawyer && this.isAvailableTo(caseDoc, lawyer, criteria)) {
+      const score = await assignmentService.scoreLawyer(lawyer, caseDoc, criteria);
+      if (score.totalScore >= minScoreThresholds.lawyer) selectedLawyer = { user: lawyer, ...score };
+    }
+
+    if (!selectedLawyer) {
+      return { assigned: false, reason: 'lawyer_unavailable' };
+    }
+
+    // A rejected case's current judge and lawyer get their slots back first
+    if (caseDoc.assignment && caseDoc.assignment.judgeId) {
+      await assignmentService.releaseAssignment(caseDoc);
+    }
+
+    await assignmentService.applyAssignment(caseDoc, selectedJudge, selectedLawyer, criteria.profile);
+
+    // The pipeline stopped before these stages; applyAssignment has done both,
+    // so a later resumed run must not assign or notify again
+    await caseDoc.addProcessingStage('assignment', 'completed', {
+      judgeId: selectedJudge.user._id,
+      lawyerId: selectedLawyer.user._id,
+      judgeScore: selectedJudge.totalScore,
+      lawyerScore: selectedLawyer.totalScore,
+      weightProfile: criteria.profile.version,
+      batch: true
+    });
+    await caseDoc.addProcessingStage('notification', 'completed', { sentBy: 'assignment' });
+
+    return {
+      assigned: true,
+      caseNumber: caseDoc.caseNumber,
+      judgeScore: selectedJudge.totalScore,
+      lawyerScore: selectedLawyer.totalScore
+    };
+  }
+}
+
+// Capacitated bipartite matching by min-cost flow (successive shortest paths):
+// assigns as many cases as possible and, among those, the highest total score.
+// options[i]: [{ id, score }] for case i; capacity: Map id -> free slots (not changed).
+// Returns the chosen option, or null, for each case.
+function solveMatching(options, capacity) {
+  const ids = [...new Set(options.flat().map(option => option.id))].filter(id => (capacity.get(id) || 0) > 0);
+  const caseCount = options.length;
+  const nodeOf = new Map(ids.map((id, index) => [id, caseCount + 1 + index]));
+  const source = 0;
+  const sink = caseCount + ids.length + 1;
+  const graph = Array.from({ length: sink + 1 }, () => []);
+
+  const addEdge = (from, to, cap, cost, option) => {
+    graph[from].push({ to, cap, cost, rev: graph[to].length, option });
+    graph[to].push({ to: from, cap: 0, cost: -cost, rev: graph[from].length - 1 });
+  };
+
+  options.forEach((caseOptions, index) => {
+    addEdge(source, index + 1, 1, 0);
+    caseOptions.forEach(option => {
+      if (nodeOf.has(option.id)) addEdge(index + 1, nodeOf.get(option.id), 1, -option.score, option);
+    });
+  });
+  ids.forEach(id => addEdge(nodeOf.get(id), sink, capacity.get(id), 0));
+
+  // Each augmenting path assigns one more case along the cheapest route (Bellman-Ford queue;
+  // costs are negative scores)
+  for (;;) {
+    const dist = new Array(graph.length).fill(Infinity);
+    const previous = new Array(graph.length).fill(null);
+    const queued = new Array(graph.length).fill(false);
+    const queue = [source];
+    dist[source] = 0;
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      queued[node] = false;
+      graph[node].forEach((edge, index) => {
+        if (edge.cap > 0 && dist[node] + edge.cost < dist[edge.to]) {
+          dist[edge.to] = dist[node] + edge.cost;
+          previous[edge.to] = { node, index };
+          if (!queued[edge.to]) {
+            queued[edge.to] = true;
+            queue.push(edge.to);
+          }
+        }
+      });
+    }
+
+    if (dist[sink] === Infinity) break;
+
+    for (let node = sink; node !== source; node = previous[node].node) {
+      const edge = graph[previous[node].node][previous[node].index];
+      edge.cap -= 1;
+      graph[node][edge.rev].cap += 1;
+    }
+  }
+
+  return options.map((caseOptions, index) => {
+    const used = graph[index + 1].find(edge => edge.option && edge.cap === 0);
+    return used ? used.option : null;
+  });
+}
+
+module.exports = new BatchAssignmentService();
+module.exports.solveMatching = solveMatching;
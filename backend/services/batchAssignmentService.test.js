@@ -0,0 +1,176 @@
+jest.mock('../utils/email', () => ({}));
+
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const batchAssignmentService = require('./batchAssignmentService');
+
+const { solveMatching } = batchAssignmentService;
+
+const judge = (id, maxDailyIntake, currentDailyLoad = 0) => ({
+  _id: id, role: 'judge', judgeProfile: { name: id, maxDailyIntake, currentDailyLoad }
+});
+const lawyer = (id, maxConcurrentCases, currentCaseLoad = 0) => ({
+  _id: id, role: 'lawyer', lawyerProfile: { name: id, maxConcurrentCases, currentCaseLoad }
+});
+const queuedCase = (caseNumber, finalUrgency, assignment) => ({
+  _id: `case-${caseNumber}`, caseNumber, title: caseNumber, finalUrgency, status: 'classified', assignment
+});
+
+describe('batchAssignmentService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('solveMatching', () => {
+    it('gives a judge no more cases than their free slots', () => {
+      const options = [1, 2, 3].map(() => [{ id: 'j1', score: 90 }, { id: 'j2', score: 50 }]);
+      const capacity = new Map([['j1', 1], ['j2', 2]]);
+
+      const chosen = solveMatching(options, capacity).map(option => option.id);
+
+      expect(chosen.filter(id => id === 'j1')).toHaveLength(1);
+      expect(chosen.filter(id => id === 'j2')).toHaveLength(2);
+      expect(capacity.get('j1')).toBe(1);
+    });
+
+    it('assigns as many cases as possible before maximising the score', () => {
+      const options = [
+        [{ id: 'j1', score: 60 }],
+        [{ id: 'j1', score: 90 }, { id: 'j2', score: 40 }]
+      ];
+
+      const chosen = solveMatching(options, new Map([['j1', 1], ['j2', 1]]));
+
+      expect(chosen.map(option => option.id)).toEqual(['j1', 'j2']);
+    });
+
+    it('leaves a case unmatched when none of its candidates has a free slot', () => {
+      expect(solveMatching([[{ id: 'j1', score: 90 }]], new Map([['j1', 0]]))).toEqual([null]);
+    });
+  });
+
+  describe('matchTier', () => {
+    const entry = (caseNumber, judgeOptions, lawyerOptions) => ({
+      caseDoc: queuedCase(caseNumber, 'URGENT'),
+      profile: { version: 'builtin' },
+      linked: false,
+      judgeOptions,
+      lawyerOptions
+    });
+
+    it('drops cases left without a lawyer and re-solves the judges without them', () => {
+      const capacity = new Map([['j1', 1], ['j2', 1], ['l1', 0], ['l2', 1]]);
+      const entries = [
+        entry('A', [{ id: 'j1', score: 90 }], [{ id: 'l1', score: 80 }]),
+        entry('B', [{ id: 'j1', score: 70 }, { id: 'j2', score: 40 }], [{ id: 'l2', score: 60 }])
+      ];
+
+      const { matched, unmatched } = batchAssignmentService.matchTier(entries, capacity);
+
+      expect(unmatched).toEqual([expect.objectContaining({ caseNumber: 'A', reason: 'capacity' })]);
+      expect(matched).toHaveLength(1);
+      expect(matched[0]).toMatchObject({ caseNumber: 'B', judge: { id: 'j1' }, lawyer: { id: 'l2' }, firstChoiceJudge: true });
+      expect(capacity.get('j1')).toBe(0);
+      expect(capacity.get('j2')).toBe(1);
+    });
+
+    it('reports cases without any eligible judge or lawyer', () => {
+      const { matched, unmatched } = batchAssignmentService.matchTier([
+        entry('A', [], [{ id: 'l1', score: 80 }]),
+        entry('B', [{ id: 'j1', score: 80 }], [])
+      ], new Map([['j1', 1], ['l1', 1]]));
+
+      expect(matched).toEqual([]);
+      expect(unmatched.map(({ caseNumber, reason }) => [caseNumber, reason])).toEqual([
+        ['A', 'no_eligible_judge'],
+        ['B', 'no_eligible_lawyer']
+      ]);
+    });
+  });
+
+  describe('preview', () => {
+    const mockQueue = ({ cases, judges, lawyers, options }) => {
+      jest.spyOn(Case, 'find').mockReturnValue({
+        populate: () => ({ sort: () => ({ limit: () => Promise.resolve(cases) }) })
+      });
+      jest.spyOn(User, 'find').mockImplementation(query => Promise.resolve(query.role === 'judge' ? judges : lawyers));
+      jest.spyOn(Job, 'findActiveForCase').mockResolvedValue(null);
+      jest.spyOn(batchAssignmentService, 'buildOptions').mockImplementation(async caseDoc => ({
+        caseDoc,
+        profile: { version: 'builtin' },
+        linked: false,
+        ...options[caseDoc.caseNumber]
+      }));
+    };
+
+    it('matches urgent cases before earlier, less urgent ones', async () => {
+      const only = {
+        judgeOptions: [{ id: 'j1', score: 80 }],
+        lawyerOptions: [{ id: 'l1', score: 80 }]
+      };
+      mockQueue({
+        cases: [queuedCase('LOW-1', 'LOW'), queuedCase('MOD-1', 'MODERATE'), queuedCase('URG-1', 'URGENT')],
+        judges: [judge('j1', 1)],
+        lawyers: [lawyer('l1', 5)],
+        options: { 'LOW-1': only, 'MOD-1': only, 'URG-1': only }
+      });
+
+      const result = await batchAssignmentService.preview();
+
+      expect(result.assignments.map(assignment => assignment.caseNumber)).toEqual(['URG-1']);
+      expect(result.unassigned.map(({ caseNumber, reason }) => [caseNumber, reason])).toEqual([
+        ['MOD-1', 'capacity'],
+        ['LOW-1', 'capacity']
+      ]);
+      expect(result.summary.byUrgency).toEqual({
+        LOW: { cases: 1, proposed: 0 },
+        MODERATE: { cases: 1, proposed: 0 },
+        URGENT: { cases: 1, proposed: 1 }
+      });
+    });
+
+    it("gives a rejected case's current judge and lawyer its slots back", async () => {
+      const rejected = queuedCase('REJ-1', 'MODERATE', {
+        judgeId: 'j1',
+        lawyerId: 'l1',
+        reassignmentRequested: true,
+        reassignmentRequestedBy: 'lawyer'
+      });
+      mockQueue({
+        cases: [rejected],
+        // Both at their limit, counting this case
+        judges: [judge('j1', 1, 1)],
+        lawyers: [lawyer('l1', 1, 1), lawyer('l2', 1)],
+        options: {
+          'REJ-1': {
+            judgeOptions: [{ id: 'j1', score: 80 }],
+            lawyerOptions: [{ id: 'l2', score: 70 }]
+          }
+        }
+      });
+
+      const result = await batchAssignmentService.preview();
+
+      expect(result.assignments).toEqual([
+        expect.objectContaining({ caseNumber: 'REJ-1', judge: expect.objectContaining({ id: 'j1' }), lawyer: expect.objectContaining({ id: 'l2' }) })
+      ]);
+      expect(result.unassigned).toEqual([]);
+    });
+
+    it('skips cases still being processed', async () => {
+      mockQueue({
+        cases: [queuedCase('URG-1', 'URGENT')],
+        judges: [judge('j1', 1)],
+        lawyers: [lawyer('l1', 1)],
+        options: {}
+      });
+      Job.findActiveForCase.mockResolvedValue({ _id: 'job-1' });
+
+      const result = await batchAssignmentService.preview();
+
+      expect(result.skipped).toEqual([{ caseId: 'case-URG-1', caseNumber: 'URG-1', reason: 'processing' }]);
+      expect(batchAssignmentService.buildOptions).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const { URGENCY_LEVELS, STATUTORY_DEADLINES } = require('./llm/classificationRules');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const DATE_PATTERNS = [
+  // 12/03/2024, 12-03-24 (day first)
+  { pattern: /\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})\b/g, parts: ['day', 'month', 'year'] },
+  // 12th March 2024
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+(\\d{4})\\b`, 'gi'), parts: ['day', 'monthName', 'year'] },
+  // March 12, 2024 / Tue Mar 12 2024
+  { pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parts: ['monthName', 'day', 'year'] }
+];
+
+// What a date refers to, from the words just before it. First match wins.
+const DATE_CONTEXTS = [
+  { type: 'limitation', pattern: /limitation|last date|deadline|time[- ]barred|on or before/i },
+  { type: 'hearing', pattern: /hearing|next date|listed (?:on|for)|adjourned/i },
+  { type: 'dishonour', pattern: /dishono|bounced|returned unpaid/i },
+  { type: 'notice', pattern: /\bnotice\b/i },
+  { type: 'arrest', pattern: /arrest/i },
+  { type: 'fir', pattern: /\bfir\b|first information|registered on|lodged/i },
+  { type: 'judgment', pattern: /judg(?:e)?ment|decree|order dated|impugned order/i },
+  { type: 'incident', pattern: /incident|occurred|happened|took place|was (?:hacked|stolen|abducted|attacked|assaulted)/i },
+  { type: 'due', pattern: /\bdue\b|payable|invoice/i },
+  { type: 'filing', pattern: /^\s*date\s*:|filed on|\bdated\b/i }
+];
+
+// Rupee multipliers for Indian units
+const UNITS = {
+  thousand: 1e3,
+  lakh: 1e5,
+  crore: 1e7
+};
+
+const AMOUNT_PATTERNS = [
+  /(?:Rs\.?|INR|₹)\s*(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|cr\b\.?|thousand)?/gi,
+  /\b(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|crores?)\b/gi,
+  /\b(\d[\d,]*(?:\.\d+)?)\s*rupees\b/gi
+];
+
+// Dates, money amounts and statutory deadlines found in case text
+class CaseFactsService {
+  constructor() {
+    // Deadlines closer than this are flagged as approaching
+    this.deadlineWarningDays = parseInt(process.env.DEADLINE_WARNING_DAYS) || 7;
+  }
+
+  // Everything stored on case.caseFacts
+  extract(text, { now = new Date() } = {}) {
+    const keyDates = this.extractKeyDates(text);
+    const amounts = this.extractMonetaryAmounts(text);
+
+    return {
+      keyDates,
+      amounts,
+      maxAmount: amounts.length > 0 ? Math.max(...amounts.map(amount => amount.value)) : 0,
+      deadlines: this.calculateDeadlines(text, keyDates),
+      extractedAt: now
+    };
+  }
+
+  // Normalised dates with the event they refer to
+  extractKeyDates(text) {
+    const found = [];
+
+    for (const { pattern, parts } of DATE_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        if (found.some(entry => this.overlaps(entry, match))) continue;
+
+        const date = this.parseDate(match, parts);
+        if (!date) continue;
+
+        found.push({
+          type: this.getDateType(text, match.index),
+          date,
+          raw: match[0].trim(),
+          context: this.getContext(text, match),
+          index: match.index,
+          length: match[0].length
+        });
+      }
+    }
+
+    return found
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, length, ...keyDate }) => keyDate);
+  }
+
+  parseDate(match, parts) {
+    const values = {};
+    parts.forEach((part, position) => { values[part] = match[position + 1]; });
+
+    const day = parseInt(values.day);
+    const month = values.monthName
+      ? MONTHS.indexOf(values.monthName.substring(0, 3).toLowerCase())
+      : parseInt(values.month) - 1;
+    let year = parseInt(values.year);
+    if (values.year.length === 2) year += year < 50 ? 2000 : 1900;
+
+    if (month < 0 || month > 11 || day < 1 || day > 31 || year < 1900 || year > 2100) return null;
+
+    const date = new Date(Date.UTC(year, month, day));
+    // Rejects 31/02 and similar
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  // Look back to the start of the sentence for words describing the date
+  getDateType(text, index) {
+    const before = text.substring(Math.max(0, index - 80), index);
+    const sentence = before.split(/\n|\.(?=\s|$)/).pop();
+
+    const context = DATE_CONTEXTS.find(({ pattern }) => pattern.test(sentence));
+    return context ? context.type : 'other';
+  }
+
+  // Amounts converted to rupees ("Rs. 1.2 Crores" -> 12000000)
+  extractMonetaryAmounts(text) {
+    const found = [];
+
+    for (const pattern of AMOUNT_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        if (found.some(entry => this.overlaps(entry, match))) continue;
+
+        const value = this.parseAmount(match[1], match[2]);
+        if (!value) continue;
+
+        found.push({
+          value,
+          unit: this.getUnit(match[2]),
+          raw: match[0].trim(),
+          context: this.getContext(text, match),
+          index: match.index,
+          length: match[0].length
+        });
+      }
+    }
+
+    return found
+      .sort((a, b) => a.index - b.index)
+      .map(({ index, length, ...amount }) => amount);
+  }
+
+  parseAmount(number, unit) {
+    const value = parseFloat(number.replace(/,/g, ''));
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    return Math.round(value * (UNITS[this.getUnit(unit)] || 1));
+  }
+
+  getUnit(unit) {
+    if (!unit) return 'rupees';
+    const normalized = unit.toLowerCase();
+    if (normalized.startsWith('cr')) return 'crore';
+    if (normalized.startsWith('la')) return 'lakh';
+    if (normalized === 'thousand') return 'thousand';
+    return 'rupees';
+  }
+
+  // Statutory limits from the rules table plus limitation dates stated in the document
+  calculateDeadlines(text, keyDates) {
+    const deadlines = [];
+
+    for (const rule of STATUTORY_DEADLINES) {
+      if (!rule.applies.some(pattern => pattern.test(text))) continue;
+
+      // The latest triggering event starts the clock
+      const triggers = keyDates.filter(keyDate => rule.from.includes(keyDate.type));
+      if (triggers.length === 0) continue;
+      const trigger = triggers.reduce((latest, keyDate) => (keyDate.date > latest.date ? keyDate : latest));
+
+      deadlines.push({
+        label: rule.label,
+        dueDate: new Date(trigger.date.getTime() + rule.days * 24 * 60 * 60 * 1000),
+        source: 'statute',
+        basis: `${rule.days} days from ${trigger.type} date ${trigger.raw}`
+      });
+    }
+
+    for (const keyDate of keyDates.filter(entry => entry.type === 'limitation')) {
+      deadlines.push({
+        label: 'Limitation date stated in document',
+        dueDate: keyDate.date,
+        source: 'document',
+        basis: keyDate.context
+      });
+    }
+
+    return deadlines.sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  // Deadlines due between now and the warning window
+  getApproachingDeadlines(deadlines = [], { now = new Date(), withinDays = this.deadlineWarningDays } = {}) {
+    const limit = now.getTime() + withinDays * 24 * 60 * 60 * 1000;
+
+    return deadlines.filter(deadline => {
+      const due = new Date(deadline.dueDate).getTime();
+      return due >= this.startOfDay(now) && due <= limit;
+    });
+  }
+
+  // Urgency rules that depend on extracted facts (amount thresholds, deadlines).
+  // Returns the most severe match, or null.
+  getFactBasedUrgency(text, facts, { now = new Date() } = {}) {
+    for (const { level, rules } of URGENCY_LEVELS) {
+      for (const rule of rules) {
+        if (rule.minAmount && rule.patterns.some(pattern => pattern.test(text)) &&
+            (facts.maxAmount || 0) >= rule.minAmount) {
+          return {
+            urgency: level,
+            rule: rule.label,
+            reason: `${rule.label}: amount of Rs. ${this.formatAmount(facts.maxAmount)} in document`
+          };
+        }
+
+        if (rule.deadlineWithinDays) {
+          const [deadline] = this.getApproachingDeadlines(facts.deadlines, { now, withinDays: rule.deadlineWithinDays });
+          if (deadline) {
+            return {
+              urgency: level,
+              rule: rule.label,
+              reason: `${rule.label}: ${deadline.label} due ${new Date(deadline.dueDate).toDateString()}`
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // 12000000 -> "1.2 crore"
+  formatAmount(value) {
+    if (value >= UNITS.crore) return `${Math.round((value / UNITS.crore) * 100) / 100} crore`;
+    if (value >= UNITS.lakh) return `${Math.round((value / UNITS.lakh) * 100) / 100} lakh`;
+    return value.toLocaleString('en-IN');
+  }
+
+  overlaps(entry, match) {
+    return match.index < entry.index + entry.length && entry.index < match.index + match[0].length;
+  }
+
+  getContext(text, match) {
+    return text
+      .substring(Math.max(0, match.index - 40), match.index + match[0].length + 40)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  startOfDay(date) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+}
+
+module.exports = new CaseFactsService();
@@ -0,0 +1,548 @@
+const Case = require('../models/Case');
+const AuditLog = require('../models/AuditLog');
+const fileService = require('./fileService');
+const textExtractionService = require('./textExtractionService');
+const aiClassificationService = require('./aiClassificationService');
+const classificationCacheService = require('./classificationCacheService');
+const promptTemplateService = require('./promptTemplateService');
+const ClassificationRecord = require('../models/ClassificationRecord');
+const newsSensitivityService = require('./newsSensitivityService');
+const newsMonitoringService = require('./newsMonitoringService');
+const relatedCaseService = require('./relatedCaseService');
+const caseFactsService = require('./caseFactsService');
+const citationService = require('./citationService');
+const languageService = require('./languageService');
+const assignmentService = require('./assignmentService');
+const urgencyService = require('./urgencyService');
+const triageReviewService = require('./triageReviewService');
+const newsQueryPolicyService = require('./newsQueryPolicyService');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class CasePipelineService {
+  constructor() {
+    // Ordered pipeline stages; each one checkpoints into processingStages
+    this.stages = ['text_extraction', 'ai_classification', 'complexity_analysis', 'related_case_check', 'news_check', 'assignment', 'notification'];
+
+    // Stages whose failure does not stop the pipeline
+    this.optionalStages = ['complexity_analysis', 'related_case_check', 'news_check'];
+  }
+
+  // Run (or resume) the pipeline for a case
+  // options: { fromStage, forceOCR, skipCache, requestedBy, excludeUserIds } - requestedBy is set for
+  // admin reprocessing, excludeUserIds keeps a rejecting judge or lawyer off the case
+  async processCase(caseId, options = {}) {
+    const { fromStage = null } = options;
+
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc) {
+      const error = new AppError(`Case not found for processing: ${caseId}`, 404, 'CASE_NOT_FOUND');
+      error.retryable = false;
+      throw error;
+    }
+
+    // Stages left in progress belong to a run that died mid-way
+    await caseDoc.failInterruptedStages();
+
+    const startIndex = this.getStartIndex(caseDoc, fromStage);
+    if (startIndex === -1) {
+      logger.info(`Nothing to process for case: ${caseDoc.caseNumber}`);
+      return { caseId, completedStages: [] };
+    }
+
+    logger.info(`Starting processing for case: ${caseDoc.caseNumber}`, {
+      fromStage: this.stages[startIndex],
+      resumed: startIndex > 0 && !fromStage
+    });
+
+    // Re-running assignment on an assigned case starts from a clean slate
+    if (fromStage && startIndex <= this.stages.indexOf('assignment') && caseDoc.assignment) {
+      await assignmentService.releaseAssignment(caseDoc);
+    }
+
+    caseDoc.status = 'processing';
+    await caseDoc.save();
+
+    const context = { options };
+    const completedStages = [];
+
+    for (const stage of this.stages.slice(startIndex)) {
+      // Doubtful classifications wait for a reviewer; the review resumes the pipeline
+      if (stage === 'assignment' && triageReviewService.isPending(caseDoc)) {
+        caseDoc.status = 'pending_review';
+        await caseDoc.save();
+
+        logger.info(`Case held for triage review: ${caseDoc.caseNumber}`, {
+          reasons: caseDoc.triageReview.reasons,
+          completedStages
+        });
+
+        return { caseId, completedStages, heldForReview: true };
+      }
+
+      if (stage === 'assignment' && assignmentService.assignmentMode === 'batch') {
+        caseDoc.status = 'classified';
+        await caseDoc.save();
+
+        logger.info(`Case queued for batch assignment: ${caseDoc.caseNumber}`, { completedStages });
+
+        return { caseId, completedStages, heldForBatch: true };
+      }
+
+      await this.runStage(caseDoc, stage, context);
+      completedStages.push(stage);
+    }
+
+    logger.info(`Processing completed for case: ${caseDoc.caseNumber}`, { completedStages });
+
+    return { caseId, completedStages };
+  }
+
+  // Determine where to start: an explicit stage, or the first stage not yet completed
+  getStartIndex(caseDoc, fromStage) {
+    if (fromStage) {
+      const index = this.stages.indexOf(fromStage);
+      if (index === -1) {
+        throw new AppError(`Unknown processing stage: ${fromStage}`, 400, 'INVALID_STAGE');
+      }
+      return index;
+    }
+
+    return this.stages.findIndex(stage => !caseDoc.isStageCompleted(stage));
+  }
+
+  // Run a single stage with checkpointing
+  async runStage(caseDoc, stage, context) {
+    const attempt = caseDoc.processingStages.filter(s => s.stage === stage).length + 1;
+    await caseDoc.addProcessingStage(stage, 'in_progress', { attempt });
+
+    try {
+      const metadata = await this.getStageHandler(stage).call(this, caseDoc, context);
+      await caseDoc.updateProcessingStage(stage, 'completed', null, metadata || {});
+      await this.logStageAttempt(caseDoc, stage, attempt, context.options, { success: true });
+    } catch (error) {
+      logger.error(`Stage ${stage} failed for case ${caseDoc.caseNumber}:`, error);
+      await caseDoc.updateProcessingStage(stage, 'failed', error.message);
+      await this.logStageAttempt(caseDoc, stage, attempt, context.options, {
+        success: false,
+        errorCode: error.code,
+        errorMessage: error.message
+      });
+
+      if (this.optionalStages.includes(stage)) {
+        // Continue the pipeline even if an optional stage fails
+        return;
+      }
+
+      // Client errors will fail the same way on retry
+      if (error.statusCode && error.statusCode < 500 && error.statusCode !== 429) {
+        error.retryable = false;
+      }
+
+      throw error;
+    }
+  }
+
+  getStageHandler(stage) {
+    const handlers = {
+      text_extraction: this.runTextExtraction,
+      ai_classification: this.runClassification,
+      complexity_analysis: this.runComplexityAnalysis,
+      related_case_check: this.runRelatedCaseCheck,
+      news_check: this.runNewsCheck,
+      assignment: this.runAssignment,
+      notification: this.runNotification
+    };
+
+    return handlers[stage];
+  }
+
+  // Stage 1: Text extraction
+  async runTextExtraction(caseDoc, context) {
+    // Download PDF from GridFS
+    const pdfBuffer = await fileService.downloadFromGridFS(caseDoc.sourcePDF.gridFSId);
+
+    const extractionResult = await textExtractionService.extractText(pdfBuffer, {
+      fallbackToOCR: true,
+      forceOCR: !!context.options.forceOCR
+    });
+
+    // Encrypt and store extracted text
+    caseDoc.extractedText = encryptionService.encrypt(extractionResult.text);
+    caseDoc.textExtractionMethod = extractionResult.method;
+    caseDoc.ocrConfidence = extractionResult.confidence;
+    caseDoc.textHash = classificationCacheService.computeTextHash(extractionResult.text);
+    caseDoc.language = extractionResult.language;
+    caseDoc.citations = citationService.extractCitations(extractionResult.text);
+    caseDoc.citationKeys = citationService.getCitationKeys(caseDoc.citations);
+    this.markSensitive(caseDoc, extractionResult.text);
+
+    context.text = extractionResult.text;
+
+    logger.info(`Text extraction completed for case: ${caseDoc.caseNumber}`);
+
+    return {
+      method: extractionResult.method,
+      confidence: extractionResult.confidence,
+      processingTime: extractionResult.processingTime,
+      wordsCount: extractionResult.metadata.wordsCount,
+      pages: extractionResult.metadata.pages,
+      ocrPages: extractionResult.metadata.ocrPages,
+      pageConfidences: extractionResult.metadata.pageConfidences,
+      ocrLanguages: extractionResult.metadata.ocrLanguages,
+      language: extractionResult.language.code,
+      citations: caseDoc.citations.length,
+      sensitive: caseDoc.isSensitive
+    };
+  }
+
+  // Sexual-offence cases are redacted strictly from here on; a case once
+  // marked sensitive stays so
+  markSensitive(caseDoc, text) {
+    if (!caseDoc.isSensitive && newsQueryPolicyService.isSensitiveFiling(text, caseDoc.citations)) {
+      caseDoc.isSensitive = true;
+      logger.info(`Case marked sensitive: ${caseDoc.caseNumber}`);
+    }
+  }
+
+  // Stage 2: AI classification
+  async runClassification(caseDoc, context) {
+    const text = this.getCaseText(caseDoc, context);
+    const textHash = caseDoc.textHash || classificationCacheService.computeTextHash(text);
+    // Cases extracted before language detection existed
+    if (!caseDoc.language || !caseDoc.language.code) {
+      caseDoc.language = languageService.detect(text);
+    }
+    this.markSensitive(caseDoc, text);
+    const template = await promptTemplateService.getActiveTemplate('classification');
+    const cacheKey = {
+      model: aiClassificationService.model,
+      promptVersion: template.version
+    };
+
+    // Repeat documents reuse the stored classification
+    const cachedIntake = context.options.skipCache
+      ? null
+      : await classificationCacheService.get(textHash, cacheKey);
+
+    if (cachedIntake) {
+      caseDoc.aiIntake = {
+        ...cachedIntake,
+        promptVersion: template.version,
+        fromCache: true,
+        tokenUsage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        extractedAt: new Date()
+      };
+      caseDoc.classifiedAt = new Date();
+      this.applyCaseFacts(caseDoc, context);
+      triageReviewService.requestReview(caseDoc);
+      await this.recordClassification(caseDoc, caseDoc.aiIntake);
+
+      logger.info(`AI classification reused from cache for case: ${caseDoc.caseNumber}`, {
+        urgency: cachedIntake.urgency,
+        textHash
+      });
+
+      return {
+        urgency: cachedIntake.urgency,
+        confidence: cachedIntake.confidence,
+        promptVersion: template.version,
+        cached: true,
+        reviewReasons: caseDoc.triageReview ? caseDoc.triageReview.reasons : [],
+        ...this.summarizeCaseFacts(caseDoc)
+      };
+    }
+
+    const classificationResult = await aiClassificationService.classifyCase(
+      text,
+      caseDoc.title,
+      caseDoc.jurisdiction,
+      { template, sensitive: caseDoc.isSensitive, language: caseDoc.language && caseDoc.language.code }
+    );
+
+    // Only trustworthy results are worth reusing
+    if (aiClassificationService.validateClassification(classificationResult).isValid) {
+      const { metadata, ...intake } = classificationResult;
+      await classificationCacheService.set(textHash, {
+        ...cacheKey,
+        provider: metadata.provider,
+        sourceCaseId: caseDoc._id
+      }, intake);
+    }
+
+    caseDoc.aiIntake = classificationResult;
+    caseDoc.classifiedAt = new Date();
+    this.applyCaseFacts(caseDoc, context);
+    triageReviewService.requestReview(caseDoc);
+    await this.recordClassification(caseDoc, classificationResult);
+
+    logger.info(`AI classification completed for case: ${caseDoc.caseNumber}`, {
+      urgency: classificationResult.urgency,
+      confidence: classificationResult.confidence
+    });
+
+    return {
+      urgency: classificationResult.urgency,
+      confidence: classificationResult.confidence,
+      promptVersion: template.version,
+      chunks: classificationResult.metadata.chunks,
+      tokensUsed: classificationResult.metadata.tokensUsed,
+      processingTime: classificationResult.metadata.processingTime,
+      reviewReasons: caseDoc.triageReview ? caseDoc.triageReview.reasons : [],
+      ...this.summarizeCaseFacts(caseDoc)
+    };
+  }
+
+  // Store dates, amounts and deadlines from the text, then apply the fact-based urgency rules
+  applyCaseFacts(caseDoc, context) {
+    caseDoc.caseFacts = caseFactsService.extract(this.getCaseText(caseDoc, context));
+    this.resetUrgency(caseDoc, context);
+  }
+
+  // Classified urgency, raised by fact-based rules, or the manual override.
+  // News escalation starts from here so re-runs do not compound.
+  resetUrgency(caseDoc, context) {
+    urgencyService.applyUrgency(caseDoc, urgencyService.getBaseUrgency(caseDoc, this.getCaseText(caseDoc, context)));
+  }
+
+  summarizeCaseFacts(caseDoc) {
+    const facts = caseDoc.caseFacts;
+    return {
+      keyDates: facts.keyDates.length,
+      maxAmount: facts.maxAmount,
+      approachingDeadlines: caseFactsService.getApproachingDeadlines(facts.deadlines).length,
+      finalUrgency: caseDoc.finalUrgency
+    };
+  }
+
+  // Keep every classification so prompt versions can be compared later
+  async recordClassification(caseDoc, intake) {
+    try {
+      await ClassificationRecord.create({
+        caseId: caseDoc._id,
+        promptVersion: intake.promptVersion,
+        model: intake.aiModel,
+        provider: intake.provider,
+        fromCache: !!intake.fromCache,
+        urgency: intake.urgency,
+        confidence: intake.confidence,
+        subjectMatter: intake.subjectMatter,
+        riskSignals: intake.riskSignals,
+        reasoningBrief: intake.reasoningBrief,
+        chunkCount: intake.chunkCount,
+        rawResponse: intake.rawResponse,
+        tokenUsage: intake.tokenUsage
+      });
+    } catch (error) {
+      logger.error('Failed to record classification:', error);
+    }
+  }
+
+  // Stage 3: Complexity analysis
+  async runComplexityAnalysis(caseDoc, context) {
+    const result = await aiClassificationService.analyzeComplexity(
+      this.getCaseText(caseDoc, context),
+      caseDoc.aiIntake.toObject(),
+      { sensitive: caseDoc.isSensitive }
+    );
+
+    caseDoc.aiIntake.complexity = result.complexity;
+    caseDoc.aiIntake.complexityReasoning = result.reasoning;
+    caseDoc.aiIntake.complexityAnalyzedAt = new Date();
+
+    logger.info(`Complexity analysis completed for case: ${caseDoc.caseNumber}`, {
+      complexity: result.complexity
+    });
+
+    return {
+      complexity: result.complexity,
+      fallback: !!result.fallback
+    };
+  }
+
+  // Stage 4: Duplicate and related case detection
+  async runRelatedCaseCheck(caseDoc) {
+    const matches = await relatedCaseService.detectRelatedCases(caseDoc);
+
+    return {
+      duplicates: matches.filter(match => match.relation === 'duplicate').length,
+      related: matches.filter(match => match.relation === 'related').length
+    };
+  }
+
+  // Stage 5: News sensitivity check
+  async runNewsCheck(caseDoc, context) {
+    // Escalation always starts from the base urgency so re-runs do not compound
+    const base = urgencyService.getBaseUrgency(caseDoc, this.getCaseText(caseDoc, context));
+
+    const newsSignals = await newsSensitivityService.checkNewsSensitivity(
+      caseDoc.aiIntake,
+      caseDoc.jurisdiction,
+      { isSensitive: caseDoc.isSensitive, citations: caseDoc.citations }
+    );
+
+    caseDoc.newsSignals = { ...(caseDoc.newsSignals ? caseDoc.newsSignals.toObject() : {}), ...newsSignals };
+
+    // Check if urgency should be escalated based on news
+    const rules = await newsSensitivityService.getActiveRules();
+    const change = urgencyService.getNewsEscalation(caseDoc, base, rules);
+    const escalated = change.source === 'news';
+
+    if (escalated) {
+      logger.info(`Urgency escalated for case: ${caseDoc.caseNumber}`, {
+        from: base.urgency,
+        to: change.urgency,
+        reason: change.reason
+      });
+    }
+
+    urgencyService.applyUrgency(caseDoc, change);
+    newsMonitoringService.recordCheck(caseDoc, newsSignals, {
+      trigger: 'intake',
+      escalatedTo: escalated ? change.urgency : undefined
+    });
+
+    logger.info(`News sensitivity check completed for case: ${caseDoc.caseNumber}`, {
+      score: newsSignals.score,
+      escalated
+    });
+
+    return {
+      score: newsSignals.score,
+      stories: newsSignals.storyCount || 0,
+      escalated,
+      overridden: base.source === 'human',
+      blockedTerms: newsSignals.query ? newsSignals.query.blocked.length : 0,
+      processingTime: newsSignals.processingTime
+    };
+  }
+
+  // Stage 6: Assignment
+  async runAssignment(caseDoc, context) {
+    // A previous run may have assigned the case before it could checkpoint
+    if (caseDoc.assignment && caseDoc.assignment.judgeId) {
+      return {
+        judgeId: caseDoc.assignment.judgeId,
+        lawyerId: caseDoc.assignment.lawyerId,
+        alreadyAssigned: true
+      };
+    }
+
+    caseDoc.status = 'classified';
+    await caseDoc.save();
+
+    const assignmentResult = await assignmentService.assignCase(caseDoc._id, {
+      excludeUserIds: context.options.excludeUserIds
+    });
+
+    if (!assignmentResult.success) {
+      if (assignmentResult.escalated) {
+        logger.warn(`Case escalated to admin: ${caseDoc.caseNumber}`);
+      }
+
+      // Retrying will not produce candidates; an admin has to step in
+      const error = new AppError(assignmentResult.reason || 'Assignment failed', 422, 'ASSIGNMENT_FAILED');
+      error.retryable = false;
+      throw error;
+    }
+
+    // assignCase sends the notifications itself
+    context.notificationsSent = true;
+
+    logger.info(`Assignment completed for case: ${caseDoc.caseNumber}`, {
+      judge: assignmentResult.assignment.judge.email,
+      lawyer: assignmentResult.assignment.lawyer.email
+    });
+
+    return {
+      judgeId: assignmentResult.assignment.judge.id,
+      lawyerId: assignmentResult.assignment.lawyer.id,
+      judgeScore: assignmentResult.assignment.judge.score,
+      lawyerScore: assignmentResult.assignment.lawyer.score,
+      weightProfile: assignmentResult.assignment.weightProfile,
+      processingTime: assignmentResult.processingTime
+    };
+  }
+
+  // Stage 7: Notification
+  async runNotification(caseDoc, context) {
+    if (context.notificationsSent) {
+      return { sentBy: 'assignment' };
+    }
+
+    // Resumed after assignment: the notifications may never have gone out
+    const assignedCase = await Case.findById(caseDoc._id)
+      .populate('clientId')
+      .populate('assignment.judgeId')
+      .populate('assignment.lawyerId');
+
+    if (!assignedCase.assignment || !assignedCase.assignment.judgeId) {
+      throw new AppError('Case has no assignment to notify', 409, 'NOT_ASSIGNED');
+    }
+
+    await assignmentService.sendAssignmentNotifications(
+      assignedCase,
+      assignedCase.assignment.judgeId,
+      assignedCase.assignment.lawyerId
+    );
+
+    return { sentBy: 'notification' };
+  }
+
+  // Record admin-requested stage attempts in the audit trail
+  async logStageAttempt(caseDoc, stage, attempt, options, result) {
+    if (!options.requestedBy) return;
+
+    try {
+      await AuditLog.createEntry({
+        actorId: options.requestedBy.id,
+        actorEmail: options.requestedBy.email,
+        actorRole: options.requestedBy.role,
+        action: 'case_stage_reprocessed',
+        targetType: 'case',
+        targetId: caseDoc._id,
+        ip: options.requestedBy.ip || '127.0.0.1',
+        metadata: {
+          ...result,
+          caseNumber: caseDoc.caseNumber,
+          stage,
+          attempt,
+          fromStage: options.fromStage
+        },
+        severity: result.success ? 'low' : 'medium'
+      });
+    } catch (error) {
+      logger.error('Failed to create audit log entry:', error);
+    }
+  }
+
+  // Decrypted case text, from this run or from the stored checkpoint
+  getCaseText(caseDoc, context) {
+    if (!context.text) {
+      context.text = encryptionService.decrypt(caseDoc.extractedText);
+    }
+    return context.text;
+  }
+
+  // Called by the job worker once all retries are used up
+  async markProcessingFailed(caseId, error) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc) return;
+
+    caseDoc.status = 'error';
+    await caseDoc.save();
+
+    logger.error(`Case processing failed for ${caseDoc.caseNumber}:`, { error: error.message });
+  }
+
+  // Job handler for the worker
+  getJobHandler() {
+    return {
+      run: (job) => this.processCase(job.caseId, job.payload || {}),
+      onExhausted: (job, error) => this.markProcessingFailed(job.caseId, error)
+    };
+  }
+}
+
+module.exports = new CasePipelineService();
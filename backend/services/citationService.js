@@ -0,0 +1,165 @@
+const { STATUTES, CROSSWALK } = require('./legal/statutes');
+
+// 420, 498A, 376(2)(n), 66C
+const SECTION = '\\d{1,3}[A-Z]{0,2}(?:\\s?\\(\\w{1,3}\\))*';
+const SECTION_LIST = `${SECTION}(?:\\s*(?:,|\\/|&|and|r\\/w|read with)\\s*${SECTION})*`;
+
+const ALIAS = STATUTES
+  .map(statute => statute.aliases.map(alias => `(?:${alias})`).join('|'))
+  .join('|');
+// Statute name with an optional enactment year ("IT Act 2000", "NI Act, 1881")
+const STATUTE_NAME = `\\b(?:${ALIAS})(?:,?\\s*(?:18|19|20)\\d{2})?(?![A-Za-z])`;
+
+// Reverse cross-walk: new section -> old section, where the mapping is one-to-one
+const REVERSE_CROSSWALK = {};
+for (const [oldStatute, sections] of Object.entries(CROSSWALK)) {
+  const newStatute = STATUTES.find(statute => statute.id === oldStatute).replacedBy;
+  REVERSE_CROSSWALK[newStatute] = REVERSE_CROSSWALK[newStatute] || {};
+  for (const [oldSection, newSection] of Object.entries(sections)) {
+    REVERSE_CROSSWALK[newStatute][newSection] = `${oldStatute}:${oldSection}`;
+  }
+}
+
+// Finds statute/section references and maps them to canonical IDs
+class CitationService {
+  // Canonical citations found in text, deduplicated
+  extractCitations(text) {
+    const statutes = this.findStatuteMentions(text);
+    const citations = new Map();
+
+    // "Section 420 of the IPC", "u/s 376 IPC", "Sections 66, 66C IT Act"
+    const sectionPattern = new RegExp(`(?:\\bsections?|\\bsecs?\\.?|\\bu\\/s\\.?|\\bs\\.)\\s*(${SECTION_LIST})`, 'gi');
+    // "376 IPC", "IPC 376", "IPC Section 307"
+    const barePatterns = [
+      new RegExp(`\\b(${SECTION_LIST})\\s*(?:of\\s+(?:the\\s+)?)?(?=${STATUTE_NAME})`, 'gi'),
+      new RegExp(`(?<=${STATUTE_NAME})\\s*,?\\s*(?:sections?\\s*|secs?\\.?\\s*|s\\.\\s*)?(${SECTION_LIST})\\b`, 'gi')
+    ];
+
+    for (const pattern of [sectionPattern, ...barePatterns]) {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index + match[0].indexOf(match[1]);
+        const statute = this.findStatuteFor(statutes, start, start + match[1].length, text);
+        if (!statute) continue;
+
+        for (const section of this.splitSectionList(match[1])) {
+          const citation = this.normalize(statute, section, match[0].trim());
+          if (citation && !citations.has(citation.id)) {
+            citations.set(citation.id, citation);
+          }
+        }
+      }
+    }
+
+    return Array.from(citations.values());
+  }
+
+  findStatuteMentions(text) {
+    const pattern = new RegExp(STATUTE_NAME, 'gi');
+    return Array.from(text.matchAll(pattern), match => ({
+      id: this.resolveStatute(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    })).filter(mention => mention.id);
+  }
+
+  // Statute ID for a matched name ("I.P.C." -> IPC)
+  resolveStatute(name) {
+    const statute = STATUTES.find(({ aliases }) =>
+      aliases.some(alias => new RegExp(`^(?:${alias})(?:,?\\s*(?:18|19|20)\\d{2})?$`, 'i').test(name.trim()))
+    );
+    return statute ? statute.id : null;
+  }
+
+  // The statute right after the sections, else right before, else elsewhere in the sentence
+  findStatuteFor(statutes, start, end, text) {
+    const after = statutes.find(mention => mention.start >= end && mention.start - end <= 25);
+    if (after) return after.id;
+
+    const before = statutes.filter(mention => mention.end <= start && start - mention.end <= 25).pop();
+    if (before) return before.id;
+
+    const sentenceStart = Math.max(text.lastIndexOf('.', start - 1), text.lastIndexOf('\n', start - 1));
+    const sentenceEnd = text.slice(end).search(/[.\n]/);
+    const sameSentence = statutes.find(mention =>
+      mention.start > sentenceStart && (sentenceEnd === -1 || mention.start < end + sentenceEnd)
+    );
+    return sameSentence ? sameSentence.id : null;
+  }
+
+  splitSectionList(list) {
+    return list
+      .split(/\s*(?:,|\/|&|\band\b|r\/w|read with)\s*/i)
+      .map(section => section.trim())
+      .filter(Boolean);
+  }
+
+  // Citation with its canonical ID and the cross-walked equivalent, if any
+  normalize(statuteId, rawSection, raw) {
+    const match = rawSection.replace(/\s+/g, '').toUpperCase().match(/^(\d{1,3}[A-Z]{0,2})((?:\(\w{1,3}\))*)$/);
+    if (!match) return null;
+
+    const [, section, subsection] = match;
+    const statute = STATUTES.find(entry => entry.id === statuteId);
+    // Clause letters are lower case in the codes: 376(2)(n), 125(a)
+    const clause = subsection.replace(/\(([A-Z]+)\)/g, (_, letters) => `(${letters.toLowerCase()})`);
+
+    return {
+      id: `${statuteId}:${section}`,
+      statute: statuteId,
+      statuteName: statute.name,
+      section,
+      subsection: clause || undefined,
+      equivalent: this.getEquivalent(statuteId, section, clause),
+      raw: raw.substring(0, 100)
+    };
+  }
+
+  // IPC:420 -> BNS:318(4); BNS:318(4) -> IPC:420
+  getEquivalent(statuteId, section, subsection = '') {
+    const forward = CROSSWALK[statuteId] && CROSSWALK[statuteId][section];
+    if (forward) {
+      const newStatute = STATUTES.find(entry => entry.id === statuteId).replacedBy;
+      return `${newStatute}:${forward}`;
+    }
+
+    const reverse = REVERSE_CROSSWALK[statuteId];
+    if (reverse) {
+      return reverse[`${section}${subsection}`] || reverse[section] || undefined;
+    }
+
+    return undefined;
+  }
+
+  // Index keys for search: each citation and its equivalent, without subsections
+  getCitationKeys(citations) {
+    const keys = new Set();
+    for (const citation of citations) {
+      keys.add(citation.id);
+      if (citation.equivalent) {
+        keys.add(citation.equivalent.replace(/\(.*$/, ''));
+      }
+    }
+    return Array.from(keys);
+  }
+
+  // Search keys for a statute/section filter; both codes match after the cross-walk
+  getSearchKeys(statute, section) {
+    const statuteId = this.resolveStatute(statute) || statute.toUpperCase();
+    if (!this.isKnownStatute(statuteId)) return [];
+
+    const citation = this.normalize(statuteId, section, '');
+    if (!citation) return [];
+
+    const keys = [citation.id];
+    if (citation.equivalent) {
+      keys.push(citation.equivalent.replace(/\(.*$/, ''));
+    }
+    return keys;
+  }
+
+  isKnownStatute(statuteId) {
+    return STATUTES.some(entry => entry.id === statuteId);
+  }
+}
+
+module.exports = new CitationService();
@@ -0,0 +1,96 @@
+const ClassificationCache = require('../models/ClassificationCache');
+const fileService = require('./fileService');
+const logger = require('../utils/logger');
+
+class ClassificationCacheService {
+  constructor() {
+    this.enabled = process.env.CLASSIFICATION_CACHE_ENABLED !== 'false';
+    this.ttlDays = parseInt(process.env.CLASSIFICATION_CACHE_TTL_DAYS) || 90;
+  }
+
+  // Hash of the extracted text; whitespace is normalized so re-extractions of the
+  // same document (different line breaks, OCR spacing) share an entry
+  computeTextHash(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    return fileService.generateFileHash(Buffer.from(normalized, 'utf8'));
+  }
+
+  // Find a cached classification; returns the stored aiIntake or null
+  async get(textHash, { model, promptVersion }) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = await ClassificationCache.findAndTouch(textHash, model, promptVersion);
+      if (!entry) return null;
+
+      logger.info('Classification cache hit', { textHash, model, promptVersion, hits: entry.hits });
+      return entry.result;
+    } catch (error) {
+      // A cache failure should never block classification
+      logger.error('Classification cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Store a classification result
+  async set(textHash, { model, promptVersion, provider, sourceCaseId }, result) {
+    if (!this.enabled) return;
+
+    try {
+      await ClassificationCache.findOneAndUpdate(
+        { textHash, model, promptVersion },
+        {
+          $set: {
+            provider,
+            result,
+            sourceCaseId,
+            expiresAt: new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Classification cache write failed:', error);
+    }
+  }
+
+  // Remove entries matching the filter; `stale` removes everything not produced by
+  // the current model and prompt version
+  async invalidate({ textHash, model, promptVersion, stale = false, current = {} } = {}) {
+    const filter = {};
+
+    if (stale) {
+      filter.$or = [
+        { model: { $ne: current.model } },
+        { promptVersion: { $ne: current.promptVersion } }
+      ];
+    }
+    if (textHash) filter.textHash = textHash;
+    if (model) filter.model = model;
+    if (promptVersion) filter.promptVersion = promptVersion;
+
+    const result = await ClassificationCache.deleteMany(filter);
+
+    logger.info(`Invalidated ${result.deletedCount} classification cache entries`, { filter });
+
+    return result.deletedCount;
+  }
+
+  // Entry and hit counts per model/prompt version
+  async getStats() {
+    return ClassificationCache.aggregate([
+      {
+        $group: {
+          _id: { model: '$model', promptVersion: '$promptVersion' },
+          entries: { $sum: 1 },
+          hits: { $sum: '$hits' },
+          lastHitAt: { $max: '$lastHitAt' }
+        }
+      },
+      { $sort: { '_id.promptVersion': -1, '_id.model': 1 } }
+    ]);
+  }
+}
+
+module.exports = new ClassificationCacheService();
@@ -0,0 +1,221 @@
+const aiClassificationService = require('./aiClassificationService');
+const { RISK_SIGNALS } = require('./llm/classificationRules');
+const newsQueryPolicyService = require('./newsQueryPolicyService');
+const citationService = require('./citationService');
+const logger = require('../utils/logger');
+const { cleanText } = require('../utils/textCleaning');
+
+const URGENCY_LEVELS = ['URGENT', 'MODERATE', 'LOW'];
+
+// Offline accuracy checks for urgency classification against a labelled corpus.
+// Corpus entries: { title, content, expectedUrgency, expectedRiskSignals?, jurisdiction? }
+class ClassificationEvaluationService {
+  constructor() {
+    this.calibrationBins = 5;
+  }
+
+  // Classify every corpus entry and score the results
+  async evaluate(corpus, { template } = {}) {
+    const startTime = Date.now();
+    const results = [];
+
+    // Sequential on purpose: evaluation runs should not trip provider rate limits
+    for (const [index, entry] of corpus.entries()) {
+      try {
+        // Same cleaning as extracted documents get in the pipeline
+        const content = cleanText(entry.content);
+        const classification = await aiClassificationService.classifyCase(
+          content,
+          entry.title || '',
+          entry.jurisdiction || '',
+          {
+            template,
+            sensitive: newsQueryPolicyService.isSensitiveFiling(content, citationService.extractCitations(content))
+          }
+        );
+
+        results.push({
+          id: entry.id || index + 1,
+          title: entry.title,
+          expectedUrgency: entry.expectedUrgency,
+          predictedUrgency: classification.urgency,
+          confidence: classification.confidence,
+          expectedRiskSignals: entry.expectedRiskSignals,
+          predictedRiskSignals: this.canonicalizeRiskSignals(classification.riskSignals),
+          tokensUsed: classification.tokenUsage ? classification.tokenUsage.totalTokens : 0
+        });
+      } catch (error) {
+        logger.error(`Evaluation failed for corpus entry ${entry.title}:`, error);
+        results.push({
+          id: entry.id || index + 1,
+          title: entry.title,
+          expectedUrgency: entry.expectedUrgency,
+          error: error.message
+        });
+      }
+    }
+
+    const scored = results.filter(result => !result.error);
+
+    return {
+      provider: aiClassificationService.provider.name,
+      model: aiClassificationService.model,
+      promptVersion: template ? template.version : null,
+      corpusSize: corpus.length,
+      evaluated: scored.length,
+      failed: results.length - scored.length,
+      accuracy: this.calculateAccuracy(scored),
+      confusionMatrix: this.buildConfusionMatrix(scored),
+      perClass: this.calculatePerClassMetrics(scored),
+      riskSignals: this.calculateRiskSignalMetrics(scored.filter(result => Array.isArray(result.expectedRiskSignals))),
+      calibration: this.calculateCalibration(scored),
+      tokensUsed: scored.reduce((sum, result) => sum + result.tokensUsed, 0),
+      processingTime: Date.now() - startTime,
+      results
+    };
+  }
+
+  calculateAccuracy(results) {
+    if (results.length === 0) return 0;
+    const correct = results.filter(result => result.predictedUrgency === result.expectedUrgency).length;
+    return this.round(correct / results.length);
+  }
+
+  // matrix[expected][predicted] = count
+  buildConfusionMatrix(results) {
+    const matrix = {};
+    for (const expected of URGENCY_LEVELS) {
+      matrix[expected] = {};
+      for (const predicted of URGENCY_LEVELS) {
+        matrix[expected][predicted] = 0;
+      }
+    }
+
+    for (const result of results) {
+      if (matrix[result.expectedUrgency] && result.predictedUrgency in matrix[result.expectedUrgency]) {
+        matrix[result.expectedUrgency][result.predictedUrgency]++;
+      }
+    }
+
+    return matrix;
+  }
+
+  calculatePerClassMetrics(results) {
+    const metrics = {};
+
+    for (const level of URGENCY_LEVELS) {
+      const truePositives = results.filter(r => r.expectedUrgency === level && r.predictedUrgency === level).length;
+      const predicted = results.filter(r => r.predictedUrgency === level).length;
+      const actual = results.filter(r => r.expectedUrgency === level).length;
+
+      metrics[level] = this.precisionRecall(truePositives, predicted, actual);
+    }
+
+    return metrics;
+  }
+
+  // Precision/recall per risk signal over entries that carry risk labels
+  calculateRiskSignalMetrics(results) {
+    const metrics = {};
+
+    for (const { label } of RISK_SIGNALS) {
+      const truePositives = results.filter(r =>
+        r.expectedRiskSignals.includes(label) && r.predictedRiskSignals.includes(label)
+      ).length;
+      const predicted = results.filter(r => r.predictedRiskSignals.includes(label)).length;
+      const actual = results.filter(r => r.expectedRiskSignals.includes(label)).length;
+
+      metrics[label] = this.precisionRecall(truePositives, predicted, actual);
+    }
+
+    return metrics;
+  }
+
+  // Reliability bins: does a 0.8 confidence mean right 80% of the time?
+  calculateCalibration(results) {
+    const bins = Array.from({ length: this.calibrationBins }, (_, index) => ({
+      range: [this.round(index / this.calibrationBins), this.round((index + 1) / this.calibrationBins)],
+      count: 0,
+      confidenceSum: 0,
+      correct: 0
+    }));
+
+    for (const result of results) {
+      const index = Math.min(Math.floor(result.confidence * this.calibrationBins), this.calibrationBins - 1);
+      bins[index].count++;
+      bins[index].confidenceSum += result.confidence;
+      if (result.predictedUrgency === result.expectedUrgency) bins[index].correct++;
+    }
+
+    let expectedCalibrationError = 0;
+    let brierSum = 0;
+
+    for (const result of results) {
+      const outcome = result.predictedUrgency === result.expectedUrgency ? 1 : 0;
+      brierSum += Math.pow(result.confidence - outcome, 2);
+    }
+
+    const reliability = bins.map(bin => {
+      const averageConfidence = bin.count > 0 ? bin.confidenceSum / bin.count : 0;
+      const accuracy = bin.count > 0 ? bin.correct / bin.count : 0;
+
+      if (results.length > 0) {
+        expectedCalibrationError += (bin.count / results.length) * Math.abs(accuracy - averageConfidence);
+      }
+
+      return {
+        range: bin.range,
+        count: bin.count,
+        averageConfidence: this.round(averageConfidence),
+        accuracy: this.round(accuracy)
+      };
+    });
+
+    return {
+      expectedCalibrationError: this.round(expectedCalibrationError),
+      brierScore: results.length > 0 ? this.round(brierSum / results.length) : 0,
+      bins: reliability
+    };
+  }
+
+  // Map free-text risk signals from the model onto the rule labels
+  canonicalizeRiskSignals(signals = []) {
+    const normalize = text => String(text).toLowerCase().replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+    const labels = new Set();
+
+    for (const signal of signals) {
+      const normalized = normalize(signal);
+      if (normalized.length < 4) continue;
+
+      const match = RISK_SIGNALS.find(({ label }) => {
+        const normalizedLabel = normalize(label);
+        return normalized === normalizedLabel ||
+          normalized.includes(normalizedLabel) ||
+          normalizedLabel.includes(normalized);
+      });
+
+      if (match) labels.add(match.label);
+    }
+
+    return Array.from(labels);
+  }
+
+  precisionRecall(truePositives, predicted, actual) {
+    const precision = predicted > 0 ? truePositives / predicted : 0;
+    const recall = actual > 0 ? truePositives / actual : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return {
+      precision: this.round(precision),
+      recall: this.round(recall),
+      f1: this.round(f1),
+      support: actual
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new ClassificationEvaluationService();
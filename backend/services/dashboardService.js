@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Case = require('../models/Case');
 const AuditLog = require('../models/AuditLog');
+const caseFactsService = require('./caseFactsService');
 const logger = require('../utils/logger');
 
 class DashboardService {
@@ -38,7 +39,7 @@ class DashboardService {
         totalCases: await Case.countDocuments({ clientId: userId }),
         activeCases: await Case.countDocuments({ 
           clientId: userId, 
-          status: { $in: ['intake', 'processing', 'classified', 'assigned', 'accepted', 'in_progress'] }
+          status: { $in: ['intake', 'processing', 'pending_review', 'classified', 'assigned', 'accepted', 'in_progress'] }
         }),
         completedCases: await Case.countDocuments({ 
           clientId: userId, 
@@ -123,10 +124,14 @@ class DashboardService {
         averageProcessingTime: await this.calculateAverageProcessingTime(userId, 'lawyer')
       };
 
+      const approachingDeadlines = await this.getApproachingDeadlines({ 'assignment.lawyerId': userId });
+      stats.approachingDeadlines = approachingDeadlines.length;
+
       return {
         success: true,
         data: {
           stats,
+          approachingDeadlines,
           assignedCases,
           completedCases,
           recentActivity,
@@ -202,10 +207,14 @@ class DashboardService {
         })
       };
 
+      const approachingDeadlines = await this.getApproachingDeadlines({ 'assignment.judgeId': userId });
+      stats.approachingDeadlines = approachingDeadlines.length;
+
       return {
         success: true,
         data: {
           stats,
+          approachingDeadlines,
           assignedCases,
           completedCases,
           recentActivity,
@@ -378,6 +387,21 @@ class DashboardService {
     };
   }
 
+  // Assigned cases with a deadline in the warning window, soonest first
+  async getApproachingDeadlines(filter) {
+    const cases = await Case.findWithApproachingDeadlines(caseFactsService.deadlineWarningDays, filter)
+      .limit(10)
+      .select('caseNumber title finalUrgency caseFacts.deadlines');
+
+    return cases.map(caseDoc => ({
+      _id: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      title: caseDoc.title,
+      finalUrgency: caseDoc.finalUrgency,
+      deadlines: caseFactsService.getApproachingDeadlines(caseDoc.caseFacts.deadlines)
+    }));
+  }
+
   // Calculate average processing time for a user
   async calculateAverageProcessingTime(userId, userRole) {
     try {
@@ -0,0 +1,294 @@
+const os = require('os');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+
+    // Polling and retry configuration
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.lockTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+    this.heartbeatInterval = Math.floor(this.lockTimeout / 3); // lock renewal while a job runs
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.baseBackoff = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000; // 30 seconds
+    this.maxBackoff = 60 * 60 * 1000; // 1 hour
+
+    this.running = false;
+    this.timer = null;
+    this.activeJob = null;
+  }
+
+  // Register a handler for a job type
+  // handler: { run(job), onExhausted(job, error) }
+  registerHandler(type, handler) {
+    if (!handler || typeof handler.run !== 'function') {
+      throw new Error(`Invalid handler for job type: ${type}`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job to the queue
+  async enqueue(type, { caseId, payload = {}, runAt = new Date(), maxAttempts } = {}) {
+    if (caseId) {
+      // Only one active job per case - the pipeline resumes from its checkpoints anyway
+      const existing = await Job.findActiveForCase(caseId, type);
+      if (existing) {
+        logger.debug(`Job already active for case ${caseId}: ${existing._id}`);
+        return existing;
+      }
+    }
+
+    let job;
+    try {
+      job = await Job.create({
+        type,
+        caseId,
+        payload,
+        runAt,
+        maxAttempts: maxAttempts || this.maxAttempts
+      });
+    } catch (error) {
+      // Another enqueue for the case won the race past the check above
+      if (error.code === 11000 && caseId) {
+        const existing = await Job.findActiveForCase(caseId, type);
+        if (existing) {
+          logger.debug(`Job already active for case ${caseId}: ${existing._id}`);
+          return existing;
+        }
+      }
+      throw error;
+    }
+
+    logger.info(`Job enqueued: ${type} (${job._id})`, { caseId });
+    return job;
+  }
+
+  // Atomically claim the next due job
+  async claimNext() {
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAt: { $lte: new Date() },
+        type: { $in: Array.from(this.handlers.keys()) }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedAt: new Date(),
+          lockedBy: this.workerId
+        },
+        $inc: { attempts: 1 }
+      },
+      {
+        sort: { runAt: 1, createdAt: 1 },
+        new: true
+      }
+    );
+  }
+
+  // Mark a job as completed
+  async complete(job) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { status: 'completed', completedAt: new Date() },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+  }
+
+  // Record a failure and either schedule a retry or give up
+  async fail(job, error) {
+    const exhausted = !job.canRetry() || error.retryable === false;
+    const update = {
+      $set: { lastError: error.message },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    };
+
+    if (exhausted) {
+      update.$set.status = 'failed';
+      update.$set.failedAt = new Date();
+    } else {
+      update.$set.status = 'queued';
+      update.$set.runAt = new Date(Date.now() + this.calculateBackoff(job.attempts));
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, update);
+
+    return { exhausted, nextRunAt: update.$set.runAt };
+  }
+
+  // Exponential backoff with jitter
+  calculateBackoff(attempts) {
+    const delay = this.baseBackoff * Math.pow(2, Math.max(0, attempts - 1));
+    const jitter = Math.random() * this.baseBackoff;
+    return Math.min(delay + jitter, this.maxBackoff);
+  }
+
+  // Requeue jobs whose worker died while holding the lock. A job that has used
+  // all its attempts fails instead, so a job that crashes its worker (e.g. OCR
+  // running out of memory) is not picked up forever.
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - this.lockTimeout);
+    const stale = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: cutoff },
+      type: { $in: Array.from(this.handlers.keys()) }
+    });
+
+    let recovered = 0;
+    for (const job of stale) {
+      const exhausted = !job.canRetry();
+      const update = exhausted
+        ? { status: 'failed', failedAt: new Date(), lastError: 'Worker lock expired on the final attempt' }
+        : { status: 'queued', runAt: new Date(), lastError: 'Worker lock expired' };
+
+      // Skip the job if its worker renewed the lock since it was read
+      const result = await Job.updateOne(
+        { _id: job._id, status: 'running', lockedAt: job.lockedAt },
+        { $set: update, $unset: { lockedAt: 1, lockedBy: 1 } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      recovered++;
+      if (exhausted) {
+        logger.error(`Job failed permanently after its worker lock expired: ${job.type} (${job._id})`, {
+          attempts: job.attempts,
+          lockedBy: job.lockedBy
+        });
+        await this.runExhaustedHook(job, new Error(update.lastError));
+      }
+    }
+
+    if (recovered > 0) {
+      logger.warn(`Recovered ${recovered} stale jobs`);
+    }
+
+    return recovered;
+  }
+
+  async runExhaustedHook(job, error) {
+    const handler = this.handlers.get(job.type);
+    if (!handler || typeof handler.onExhausted !== 'function') return;
+
+    try {
+      await handler.onExhausted(job, error);
+    } catch (hookError) {
+      logger.error(`onExhausted hook failed for job ${job._id}:`, hookError);
+    }
+  }
+
+  // Keep renewing the lock of a running job so a long stage (e.g. OCR of a
+  // large scan) is not taken for a dead worker's. Returns a stop function.
+  startHeartbeat(job) {
+    const timer = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => logger.warn(`Failed to renew lock for job ${job._id}:`, error));
+    }, this.heartbeatInterval);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  // Run a single claimed job through its handler
+  async processJob(job) {
+    const handler = this.handlers.get(job.type);
+    this.activeJob = job;
+    const stopHeartbeat = this.startHeartbeat(job);
+
+    try {
+      await handler.run(job);
+      await this.complete(job);
+      logger.info(`Job completed: ${job.type} (${job._id})`, { attempts: job.attempts });
+    } catch (error) {
+      const { exhausted, nextRunAt } = await this.fail(job, error);
+
+      if (exhausted) {
+        logger.error(`Job failed permanently: ${job.type} (${job._id})`, { error: error.message });
+        await this.runExhaustedHook(job, error);
+      } else {
+        logger.warn(`Job failed, retry scheduled: ${job.type} (${job._id})`, {
+          attempts: job.attempts,
+          nextRunAt,
+          error: error.message
+        });
+      }
+    } finally {
+      stopHeartbeat();
+      this.activeJob = null;
+    }
+  }
+
+  // Poll loop: process jobs one at a time until the queue is drained, then wait
+  async tick() {
+    if (!this.running) return;
+
+    try {
+      await this.recoverStaleJobs();
+
+      let job = await this.claimNext();
+      while (job && this.running) {
+        await this.processJob(job);
+        job = await this.claimNext();
+      }
+    } catch (error) {
+      logger.error('Job worker poll failed:', error);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.tick(), this.pollInterval);
+    }
+  }
+
+  // Start the worker loop
+  start() {
+    if (this.running) return;
+
+    if (this.handlers.size === 0) {
+      throw new AppError('No job handlers registered', 500, 'NO_JOB_HANDLERS');
+    }
+
+    this.running = true;
+    logger.info(`Job worker started: ${this.workerId}`, {
+      types: Array.from(this.handlers.keys()),
+      pollInterval: this.pollInterval
+    });
+    this.tick();
+  }
+
+  // Stop polling and wait for the in-flight job to finish
+  async stop(timeout = 30000) {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const deadline = Date.now() + timeout;
+    while (this.activeJob && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    logger.info(`Job worker stopped: ${this.workerId}`);
+  }
+
+  // Get queue statistics
+  async getQueueStats() {
+    const stats = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return stats.map(stat => ({
+      type: stat._id.type,
+      status: stat._id.status,
+      count: stat.count
+    }));
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,43 @@
+const Job = require('../models/Job');
+const jobQueueService = require('./jobQueueService');
+
+describe('jobQueueService.enqueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps one active job per case and type in the database', () => {
+    expect(Job.schema.indexes()).toContainEqual([
+      { caseId: 1, type: 1 },
+      expect.objectContaining({
+        unique: true,
+        partialFilterExpression: { caseId: { $exists: true }, status: { $in: ['queued', 'running'] } }
+      })
+    ]);
+  });
+
+  it('returns the active job instead of creating another', async () => {
+    const active = { _id: 'job-1', status: 'queued' };
+    jest.spyOn(Job, 'findActiveForCase').mockResolvedValue(active);
+    const create = jest.spyOn(Job, 'create');
+
+    await expect(jobQueueService.enqueue('process_case', { caseId: 'case-1' })).resolves.toBe(active);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('returns the job of a concurrent enqueue that inserted first', async () => {
+    const winner = { _id: 'job-2', status: 'queued' };
+    jest.spyOn(Job, 'findActiveForCase').mockResolvedValueOnce(null).mockResolvedValueOnce(winner);
+    jest.spyOn(Job, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await expect(jobQueueService.enqueue('process_case', { caseId: 'case-1' })).resolves.toBe(winner);
+    expect(Job.findActiveForCase).toHaveBeenLastCalledWith('case-1', 'process_case');
+  });
+
+  it('rethrows other insert errors', async () => {
+    jest.spyOn(Job, 'findActiveForCase').mockResolvedValue(null);
+    jest.spyOn(Job, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(jobQueueService.enqueue('process_case', { caseId: 'case-1' })).rejects.toThrow('connection lost');
+  });
+});
@@ -0,0 +1,113 @@
+// Languages of Indian court filings, by script. Codes are ISO 639-1 (as in the
+// `languages` profile field); `tesseract` is the traineddata name for OCR.
+const LANGUAGES = {
+  en: { name: 'English', script: 'Latin', tesseract: 'eng' },
+  hi: { name: 'Hindi', script: 'Devanagari', tesseract: 'hin' },
+  mr: { name: 'Marathi', script: 'Devanagari', tesseract: 'mar' },
+  bn: { name: 'Bengali', script: 'Bengali', tesseract: 'ben' },
+  pa: { name: 'Punjabi', script: 'Gurmukhi', tesseract: 'pan' },
+  gu: { name: 'Gujarati', script: 'Gujarati', tesseract: 'guj' },
+  or: { name: 'Odia', script: 'Oriya', tesseract: 'ori' },
+  ta: { name: 'Tamil', script: 'Tamil', tesseract: 'tam' },
+  te: { name: 'Telugu', script: 'Telugu', tesseract: 'tel' },
+  kn: { name: 'Kannada', script: 'Kannada', tesseract: 'kan' },
+  ml: { name: 'Malayalam', script: 'Malayalam', tesseract: 'mal' },
+  ur: { name: 'Urdu', script: 'Arabic', tesseract: 'urd' }
+};
+
+// Unicode blocks; script names follow Tesseract's OSD output
+const SCRIPTS = [
+  { script: 'Latin', pattern: /[A-Za-z]/g, language: 'en' },
+  { script: 'Devanagari', pattern: /[\u0900-\u097F]/g, language: 'hi' },
+  { script: 'Bengali', pattern: /[\u0980-\u09FF]/g, language: 'bn' },
+  { script: 'Gurmukhi', pattern: /[\u0A00-\u0A7F]/g, language: 'pa' },
+  { script: 'Gujarati', pattern: /[\u0A80-\u0AFF]/g, language: 'gu' },
+  { script: 'Oriya', pattern: /[\u0B00-\u0B7F]/g, language: 'or' },
+  { script: 'Tamil', pattern: /[\u0B80-\u0BFF]/g, language: 'ta' },
+  { script: 'Telugu', pattern: /[\u0C00-\u0C7F]/g, language: 'te' },
+  { script: 'Kannada', pattern: /[\u0C80-\u0CFF]/g, language: 'kn' },
+  { script: 'Malayalam', pattern: /[\u0D00-\u0D7F]/g, language: 'ml' },
+  { script: 'Arabic', pattern: /[\u0600-\u06FF]/g, language: 'ur' }
+];
+
+// Hindi and Marathi share Devanagari; common function words tell them apart
+const DEVANAGARI_MARKERS = {
+  hi: ['है', 'हैं', 'और', 'नहीं', 'के', 'की', 'में', 'से', 'था', 'थी', 'गया', 'द्वारा'],
+  mr: ['आहे', 'आहेत', 'आणि', 'नाही', 'होते', 'केले', 'यांनी', 'व', 'या', 'मध्ये']
+};
+
+// Below this many letters the text says too little to call a language
+const MIN_LETTERS = 20;
+
+// Scripts making up less than this share of the letters are ignored
+const MIN_SECONDARY_SHARE = 0.1;
+
+// Detects the language of case text and picks OCR models
+class LanguageService {
+  // { code, name, script, confidence, languages } for the dominant script, plus
+  // any other language with a meaningful share (e.g. Hindi filings quoting English)
+  detect(text) {
+    const counts = SCRIPTS
+      .map(({ script, pattern, language }) => ({ script, language, count: (text || '').match(pattern)?.length || 0 }))
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count);
+
+    const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+    if (total < MIN_LETTERS) {
+      return { code: 'und', name: 'Undetermined', script: null, confidence: 0, languages: [] };
+    }
+
+    const resolve = entry => (entry.script === 'Devanagari' ? this.resolveDevanagari(text) : entry.language);
+    const [primary, ...others] = counts;
+    const code = resolve(primary);
+
+    return {
+      code,
+      name: LANGUAGES[code].name,
+      script: primary.script,
+      confidence: Math.round((primary.count / total) * 100) / 100,
+      languages: [code, ...others.filter(entry => entry.count / total >= MIN_SECONDARY_SHARE).map(resolve)]
+    };
+  }
+
+  // Hindi unless Marathi function words are more frequent
+  resolveDevanagari(text) {
+    const words = text.split(/[\s,.;:!?()"'।॥-]+/);
+    const score = code => words.filter(word => DEVANAGARI_MARKERS[code].includes(word) || (code === 'mr' && word.endsWith('च्या'))).length;
+    return score('mr') > score('hi') ? 'mr' : 'hi';
+  }
+
+  // Candidate languages for a script reported by OCR script detection
+  getLanguagesForScript(script, hint = null) {
+    const candidates = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].script === script);
+    if (candidates.length === 0) return [];
+    return hint && candidates.includes(hint) ? [hint] : [candidates[0]];
+  }
+
+  // Tesseract language string; English is always included since filings mix it in
+  getOCRLanguages(codes = []) {
+    const models = ['eng', ...codes.map(code => LANGUAGES[code] && LANGUAGES[code].tesseract).filter(Boolean)];
+    return [...new Set(models)].join('+');
+  }
+
+  // "Hindi", "HI", "hin" -> "hi"; unknown values pass through lower-cased
+  normalizeCode(value) {
+    const normalized = String(value || '').trim().toLowerCase();
+    const code = Object.keys(LANGUAGES).find(key =>
+      key === normalized ||
+      LANGUAGES[key].name.toLowerCase() === normalized ||
+      LANGUAGES[key].tesseract === normalized
+    );
+    return code || normalized;
+  }
+
+  getName(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].name : code;
+  }
+
+  isSupported(code) {
+    return code in LANGUAGES;
+  }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,173 @@
+// Statutes recognised in section references, and the cross-walk from the
+// colonial-era codes to their 2023 replacements (in force from 1 July 2024).
+// Canonical citation IDs are `<statute id>:<section>`, e.g. IPC:420, BNS:318(4).
+
+const STATUTES = [
+  {
+    id: 'BNSS',
+    name: 'Bharatiya Nagarik Suraksha Sanhita, 2023',
+    aliases: ['B\\.?N\\.?S\\.?S\\.?', 'Bharatiya Nagarik Suraksha Sanhita']
+  },
+  {
+    id: 'BNS',
+    name: 'Bharatiya Nyaya Sanhita, 2023',
+    aliases: ['B\\.?N\\.?S\\.?', 'Bharatiya Nyaya Sanhita']
+  },
+  {
+    id: 'BSA',
+    name: 'Bharatiya Sakshya Adhiniyam, 2023',
+    aliases: ['B\\.?S\\.?A\\.?', 'Bharatiya Sakshya Adhiniyam']
+  },
+  {
+    id: 'IPC',
+    name: 'Indian Penal Code, 1860',
+    aliases: ['I\\.?\\s?P\\.?\\s?C\\.?', 'Indian Penal Code'],
+    replacedBy: 'BNS'
+  },
+  {
+    id: 'CRPC',
+    name: 'Code of Criminal Procedure, 1973',
+    aliases: ['Cr\\.?\\s?P\\.?\\s?C\\.?', 'Code of Criminal Procedure'],
+    replacedBy: 'BNSS'
+  },
+  {
+    id: 'IEA',
+    name: 'Indian Evidence Act, 1872',
+    aliases: ['(?:Indian )?Evidence Act', 'I\\.?E\\.?A\\.?'],
+    replacedBy: 'BSA'
+  },
+  {
+    id: 'CPC',
+    name: 'Code of Civil Procedure, 1908',
+    aliases: ['C\\.?P\\.?C\\.?', 'Code of Civil Procedure']
+  },
+  {
+    id: 'POCSO',
+    name: 'Protection of Children from Sexual Offences Act, 2012',
+    aliases: ['POCSO(?: Act)?', 'Protection of Children from Sexual Offences Act']
+  },
+  {
+    id: 'UAPA',
+    name: 'Unlawful Activities (Prevention) Act, 1967',
+    aliases: ['UAPA', 'Unlawful Activities \\(Prevention\\) Act']
+  },
+  {
+    id: 'NI',
+    name: 'Negotiable Instruments Act, 1881',
+    aliases: ['N\\.?\\s?I\\.?\\s?Act', 'Negotiable Instruments Act']
+  },
+  {
+    id: 'IT',
+    name: 'Information Technology Act, 2000',
+    aliases: ['I\\.?T\\.?\\s?Act', 'Information Technology Act']
+  },
+  {
+    id: 'PWDVA',
+    name: 'Protection of Women from Domestic Violence Act, 2005',
+    aliases: ['PWDVA', 'D\\.?V\\.?\\s?Act', 'Protection of Women from Domestic Violence Act']
+  },
+  {
+    id: 'NDPS',
+    name: 'Narcotic Drugs and Psychotropic Substances Act, 1985',
+    aliases: ['NDPS(?: Act)?', 'Narcotic Drugs and Psychotropic Substances Act']
+  },
+  {
+    id: 'DPA',
+    name: 'Dowry Prohibition Act, 1961',
+    aliases: ['Dowry Prohibition Act']
+  },
+  {
+    id: 'CPA',
+    name: 'Consumer Protection Act, 2019',
+    aliases: ['Consumer Protection Act']
+  }
+];
+
+// Old section -> new section. Only sections with a direct successor are listed.
+const CROSSWALK = {
+  IPC: {
+    34: '3(5)',
+    '120B': '61(2)',
+    '124A': '152',
+    149: '190',
+    '153A': '196',
+    188: '223',
+    201: '238',
+    212: '249',
+    279: '281',
+    '295A': '299',
+    302: '103',
+    304: '105',
+    '304A': '106',
+    '304B': '80',
+    306: '108',
+    307: '109',
+    323: '115(2)',
+    324: '118(1)',
+    325: '117(2)',
+    326: '118(2)',
+    337: '125(a)',
+    338: '125(b)',
+    341: '126(2)',
+    342: '127(2)',
+    354: '74',
+    '354A': '75',
+    '354B': '76',
+    '354C': '77',
+    '354D': '78',
+    363: '137(2)',
+    364: '140(1)',
+    '364A': '140(2)',
+    365: '140(3)',
+    366: '87',
+    376: '64',
+    '376A': '66',
+    '376D': '70(1)',
+    379: '303(2)',
+    380: '305',
+    392: '309(4)',
+    395: '310(2)',
+    406: '316(2)',
+    409: '316(5)',
+    411: '317(2)',
+    415: '318(1)',
+    417: '318(2)',
+    419: '319(2)',
+    420: '318(4)',
+    447: '329(3)',
+    448: '329(4)',
+    467: '338',
+    468: '336(3)',
+    471: '340(2)',
+    '498A': '85',
+    500: '356(2)',
+    506: '351(2)',
+    509: '79'
+  },
+  CRPC: {
+    41: '35',
+    107: '126',
+    125: '144',
+    144: '163',
+    154: '173',
+    156: '175',
+    161: '180',
+    164: '183',
+    167: '187',
+    173: '193',
+    437: '480',
+    438: '482',
+    439: '483',
+    482: '528'
+  },
+  IEA: {
+    32: '26',
+    45: '39',
+    '65B': '63'
+  }
+};
+
+module.exports = {
+  STATUTES,
+  CROSSWALK
+};
@@ -0,0 +1,23 @@
+// Common interface for classification back-ends.
+//
+// complete({ task, messages, input, maxTokens, temperature, json }) resolves to
+// { content, model, usage: { promptTokens, completionTokens, totalTokens } } where content is the raw response
+// text (JSON when json is true). `task` and `input` carry the structured request
+// ('classification' or 'complexity') for providers that do not read prompts.
+class BaseLLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  // Whether calls leave the server (used to decide on redaction, quotas, etc.)
+  get isRemote() {
+    return true;
+  }
+
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+}
+
+module.exports = BaseLLMProvider;
@@ -0,0 +1,271 @@
+// Urgency, risk and jurisdiction rules for Indian legal intake triage.
+// The LLM system prompt is generated from these tables and the rule-based
+// provider applies them directly, so both modes follow the same guidelines.
+
+const URGENCY_LEVELS = [
+  {
+    level: 'URGENT',
+    description: 'Cases requiring immediate attention (within 24-48 hours)',
+    rules: [
+      {
+        label: 'Rape/POCSO cases (IPC 376, POCSO Act)',
+        subject: 'IPC 376 / POCSO - sexual offence',
+        areas: ['criminal'],
+        patterns: [/\b(?:section|sec\.?|u\/s)\s*376\b/i, /\b376\s*(?:ipc|i\.p\.c)/i, /\bpocso\b/i, /\brape\b/i]
+      },
+      {
+        label: 'Terrorism cases (UAPA, NIA cases)',
+        subject: 'UAPA - terrorism',
+        areas: ['criminal'],
+        patterns: [/\buapa\b/i, /\bunlawful activities \(prevention\)/i, /\bnia\b/i, /\bterroris[mt]/i]
+      },
+      {
+        label: 'Ongoing violence/threats to life',
+        subject: 'Threat to life',
+        areas: ['criminal'],
+        patterns: [/threat(?:s|ened)? to (?:his |her |their |my )?life/i, /death threats?/i, /ongoing violence/i, /attempt to murder/i, /\b307\s*(?:ipc|i\.p\.c)/i]
+      },
+      {
+        label: 'Kidnapping/abduction cases',
+        subject: 'Kidnapping/abduction',
+        areas: ['criminal'],
+        patterns: [/\bkidnap/i, /\babduct/i, /\b36[3-9]\s*(?:ipc|i\.p\.c)/i]
+      },
+      {
+        label: 'Cases involving minors in danger',
+        subject: 'Minor in danger',
+        areas: ['criminal', 'family'],
+        patterns: [/\bminor\b[^.]{0,80}\b(?:danger|missing|abuse|trafficking|custody)/i, /child (?:abuse|trafficking|labour)/i, /missing (?:child|minor)/i]
+      },
+      {
+        label: 'Anticipatory bail in serious offenses',
+        subject: 'Anticipatory bail',
+        areas: ['criminal'],
+        patterns: [/anticipatory bail/i, /\b438\s*(?:crpc|cr\.p\.c)/i]
+      },
+      {
+        label: 'Time-barred statutory deadlines (within 7 days)',
+        subject: 'Statutory deadline',
+        areas: ['civil'],
+        patterns: [/limitation (?:period )?(?:expires|ends|lapses)/i, /(?:deadline|time[- ]barred)[^.]{0,40}within (?:[1-7]|one|two|three|four|five|six|seven) days?/i],
+        deadlineWithinDays: 7 // also matches when an extracted deadline falls due this soon
+      },
+      {
+        label: 'Public safety emergencies',
+        subject: 'Public safety emergency',
+        areas: ['criminal', 'constitutional'],
+        patterns: [/public safety/i, /\briots?\b/i, /communal (?:violence|tension|clash)/i]
+      },
+      {
+        label: 'Custodial violence/death',
+        subject: 'Custodial violence',
+        areas: ['criminal', 'constitutional'],
+        patterns: [/custodial (?:death|violence|torture)/i, /death in (?:police |judicial )?custody/i]
+      }
+    ]
+  },
+  {
+    level: 'MODERATE',
+    description: 'Important cases needing prompt attention (within 1-2 weeks)',
+    rules: [
+      {
+        label: 'Significant financial fraud (>10 lakhs)',
+        subject: 'Financial fraud',
+        areas: ['criminal', 'corporate'],
+        patterns: [/\bfraud\b/i, /\bcheating\b/i, /\b420\s*(?:ipc|i\.p\.c)/i, /\bscam\b/i],
+        minAmount: 1000000 // rupees, from the extracted monetary amounts
+      },
+      {
+        label: 'Property disputes with possession issues',
+        subject: 'Property dispute - possession',
+        areas: ['civil'],
+        patterns: [/\bpossession\b/i],
+        requires: [/\b(?:property|flat|land|premises|house|plot|apartment)\b/i]
+      },
+      {
+        label: 'Domestic violence cases',
+        subject: 'Domestic violence',
+        areas: ['family', 'criminal'],
+        patterns: [/domestic violence/i, /\b498-?a\b/i, /\bdowry\b/i]
+      },
+      {
+        label: 'Cheque bounce cases (NI Act)',
+        subject: 'NI Act 138 - cheque dishonour',
+        areas: ['civil', 'criminal'],
+        patterns: [/cheque (?:bounce|dishono)/i, /negotiable instruments/i, /\bsection 138\b/i]
+      },
+      {
+        label: 'Employment disputes with immediate impact',
+        subject: 'Employment dispute',
+        areas: ['labor'],
+        patterns: [/wrongful (?:termination|dismissal)/i, /unpaid (?:wages|salary)/i, /\bretrenchment\b/i]
+      },
+      {
+        label: 'Consumer complaints with ongoing harm',
+        subject: 'Consumer complaint',
+        areas: ['civil'],
+        patterns: [/consumer (?:complaint|forum|commission|protection)/i, /deficiency (?:in|of) service/i]
+      },
+      {
+        label: 'Bail applications in non-heinous crimes',
+        subject: 'Bail application',
+        areas: ['criminal'],
+        patterns: [/\bbail application\b/i, /\bregular bail\b/i, /\b437\s*(?:crpc|cr\.p\.c)/i, /\b439\s*(?:crpc|cr\.p\.c)/i]
+      }
+    ]
+  },
+  {
+    level: 'LOW',
+    description: 'Standard cases with normal processing time',
+    rules: [
+      {
+        label: 'Civil suits for money recovery',
+        subject: 'Money recovery suit',
+        areas: ['civil'],
+        patterns: [/recovery of (?:money|dues|amount|rs)/i, /money suit/i, /summary suit/i]
+      },
+      {
+        label: 'Property title disputes',
+        subject: 'Property title dispute',
+        areas: ['civil'],
+        patterns: [/title (?:deed|dispute|suit)/i, /declaration of title/i]
+      },
+      {
+        label: 'Minor criminal cases (simple hurt, theft)',
+        subject: 'Minor criminal offence',
+        areas: ['criminal'],
+        patterns: [/simple hurt/i, /\btheft\b/i, /\b(?:323|379)\s*(?:ipc|i\.p\.c)/i]
+      },
+      {
+        label: 'Contractual disputes',
+        subject: 'Contractual dispute',
+        areas: ['civil', 'corporate'],
+        patterns: [/breach of contract/i, /specific performance/i, /breach of (?:the )?agreement/i]
+      },
+      {
+        label: 'Administrative matters',
+        subject: 'Administrative matter',
+        areas: ['constitutional'],
+        patterns: [/\badministrative\b/i, /service matter/i]
+      },
+      {
+        label: 'Routine civil applications',
+        subject: 'Civil application',
+        areas: ['civil'],
+        patterns: [/civil (?:application|miscellaneous)/i, /interlocutory application/i]
+      }
+    ]
+  }
+];
+
+const RISK_SIGNALS = [
+  {
+    label: 'Threats to life or safety',
+    patterns: [/\bthreat(?:s|ened)?\b/i, /danger to (?:life|safety)/i]
+  },
+  {
+    label: 'Ongoing criminal activity',
+    patterns: [/\babsconding\b/i, /\b(?:ongoing|continuing|continues to)\b/i]
+  },
+  {
+    label: 'Involvement of minors',
+    patterns: [/\bminors?\b/i, /\bchild(?:ren)?\b/i, /\bpocso\b/i, /\bjuvenile\b/i]
+  },
+  {
+    label: 'Public order concerns',
+    patterns: [/\briots?\b/i, /\bcommunal\b/i, /\bmob\b/i, /public order/i]
+  },
+  {
+    label: 'Time-sensitive legal deadlines',
+    patterns: [/\blimitation\b/i, /\bdeadline\b/i, /within \d+ days/i]
+  },
+  {
+    label: 'Evidence tampering risks',
+    patterns: [/\btamper/i, /destr(?:oy|uction of)(?:ing)? (?:the )?evidence/i]
+  },
+  {
+    label: 'Witness intimidation',
+    patterns: [/witness(?:es)?[^.]{0,60}(?:threat|intimidat|pressur)/i, /intimidat[^.]{0,40}witness/i]
+  }
+];
+
+const JURISDICTION_SIGNALS = [
+  {
+    label: 'Court names mentioned',
+    patterns: [/(?:[A-Z][a-z]+\s){0,3}(?:Supreme Court|High Court|District Court|Sessions Court|Family Court|Magistrate(?:'s)? Court|Tribunal)(?:,?\s+(?:of\s+)?[A-Z][a-z]+)?/g]
+  },
+  {
+    label: 'Police station names',
+    patterns: [/Police Station:?\s*[A-Z][\w .]*?(?:,\s*[A-Z][\w ]*)?(?=\n|$)/gm, /P\.S\.?\s+[A-Z][a-z]+(?:\s[A-Z][a-z]+)?/g, /Cyber Crime Cell:?\s*[A-Z][a-z]+/g]
+  },
+  {
+    label: 'District/state names',
+    patterns: [/\b(?:District|State) of\s+[A-Z][a-z]+(?:\s[A-Z][a-z]+)?/g]
+  },
+  {
+    label: 'Case numbers with court codes',
+    patterns: [/\b(?:FIR|Case|Crl\.?|W\.?P\.?|C\.?S\.?)\s*No\.?\s*[:\-]?\s*[A-Z0-9\/\-]+/g]
+  }
+];
+
+// Statutory time limits computed from dated events in the document.
+// `from` lists the key date types that start the clock; the latest one is used.
+const STATUTORY_DEADLINES = [
+  {
+    label: 'Demand notice for dishonoured cheque (NI Act s.138(b))',
+    applies: [/negotiable instruments/i, /cheque (?:bounce|dishono)/i, /\bsection 138\b/i],
+    from: ['dishonour'],
+    days: 30
+  },
+  {
+    label: 'Cheque bounce complaint (NI Act s.138(c) and s.142)',
+    applies: [/negotiable instruments/i, /cheque (?:bounce|dishono)/i, /\bsection 138\b/i],
+    from: ['notice'],
+    days: 45 // 15 days to pay after notice, then 30 days to file
+  },
+  {
+    label: 'Chargesheet before default bail (CrPC s.167(2))',
+    applies: [/\barrest(?:ed)?\b/i],
+    from: ['arrest'],
+    days: 60
+  },
+  {
+    label: 'Appeal against decree or order (Limitation Act, Art. 116)',
+    applies: [/\bappeal\b/i],
+    from: ['judgment'],
+    days: 90
+  },
+  {
+    label: 'Consumer complaint (Consumer Protection Act 2019, s.69)',
+    applies: [/consumer (?:complaint|forum|commission|protection)/i],
+    from: ['incident', 'due'],
+    days: 730
+  },
+  {
+    label: 'Suit for recovery of money (Limitation Act, Art. 113)',
+    applies: [/recovery of (?:money|dues|amount|rs)/i, /money suit/i, /summary suit/i],
+    from: ['due', 'incident'],
+    days: 1095
+  }
+];
+
+// Party labels as they appear in Indian pleadings, mapped to partySchema types
+const PARTY_LABELS = {
+  petitioner: 'petitioner',
+  complainant: 'petitioner',
+  applicant: 'petitioner',
+  appellant: 'petitioner',
+  respondent: 'respondent',
+  accused: 'accused',
+  victim: 'victim',
+  plaintiff: 'plaintiff',
+  defendant: 'defendant'
+};
+
+module.exports = {
+  URGENCY_LEVELS,
+  RISK_SIGNALS,
+  JURISDICTION_SIGNALS,
+  STATUTORY_DEADLINES,
+  PARTY_LABELS
+};
@@ -0,0 +1,77 @@
+const OpenAIProvider = require('./openAIProvider');
+const RuleBasedProvider = require('./ruleBasedProvider');
+const StubProvider = require('./stubProvider');
+const { AppError } = require('../../middleware/errorHandler');
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+// Build the configured classification provider
+// AI_PROVIDER: openai (default) | azure | local | rules | stub
+function createLLMProvider(env = process.env) {
+  const provider = (env.AI_PROVIDER || 'openai').toLowerCase();
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider({
+        name: 'openai',
+        model: env.AI_MODEL || DEFAULT_MODEL,
+        clientOptions: {
+          apiKey: env.OPENAI_API_KEY
+        }
+      });
+
+    case 'azure': {
+      const endpoint = (env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+      const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+
+      if (!endpoint || !deployment) {
+        throw new AppError('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT are required', 500, 'AI_CONFIG_ERROR');
+      }
+
+      return new OpenAIProvider({
+        name: 'azure',
+        model: deployment,
+        clientOptions: {
+          apiKey: env.AZURE_OPENAI_API_KEY,
+          baseURL: `${endpoint}/openai/deployments/${deployment}`,
+          defaultQuery: { 'api-version': env.AZURE_OPENAI_API_VERSION || '2024-02-01' },
+          defaultHeaders: { 'api-key': env.AZURE_OPENAI_API_KEY }
+        }
+      });
+    }
+
+    case 'local': {
+      // Any OpenAI-compatible server (Ollama, vLLM, LM Studio, llama.cpp)
+      if (!env.LOCAL_LLM_BASE_URL) {
+        throw new AppError('LOCAL_LLM_BASE_URL is required', 500, 'AI_CONFIG_ERROR');
+      }
+
+      return new OpenAIProvider({
+        name: 'local',
+        model: env.LOCAL_LLM_MODEL || env.AI_MODEL || 'llama3',
+        clientOptions: {
+          apiKey: env.LOCAL_LLM_API_KEY || 'local',
+          baseURL: env.LOCAL_LLM_BASE_URL
+        },
+        supportsJsonMode: env.LOCAL_LLM_JSON_MODE !== 'false',
+        remote: false // Local servers keep data on the network we control
+      });
+    }
+
+    case 'rules':
+      return new RuleBasedProvider();
+
+    case 'stub':
+      return new StubProvider();
+
+    default:
+      throw new AppError(`Unknown AI provider: ${provider}`, 500, 'AI_CONFIG_ERROR');
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  OpenAIProvider,
+  RuleBasedProvider,
+  StubProvider
+};
@@ -0,0 +1,43 @@
+const { OpenAI } = require('openai');
+const BaseLLMProvider = require('./baseProvider');
+
+// OpenAI chat completions; also the transport for Azure and local servers
+class OpenAIProvider extends BaseLLMProvider {
+  constructor({ name = 'openai', model, clientOptions, supportsJsonMode = true, remote = true }) {
+    super(name, model);
+    this.client = new OpenAI(clientOptions);
+    this.supportsJsonMode = supportsJsonMode;
+    this.remote = remote;
+  }
+
+  get isRemote() {
+    return this.remote;
+  }
+
+  async complete({ messages, maxTokens, temperature, json = false }) {
+    const request = {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (json && this.supportsJsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const response = await this.client.chat.completions.create(request);
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || this.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
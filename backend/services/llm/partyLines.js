@@ -0,0 +1,76 @@
+const { PARTY_LABELS } = require('./classificationRules');
+
+// "Accused: Mr. X" party lines. Stored text has its line breaks collapsed
+// (utils/textCleaning), so labels are found anywhere in the text and a value
+// ends at the next label, a line break, the end of a sentence or a word that
+// starts a new one.
+
+const LABEL = new RegExp(`(?<![\\w/])(${Object.keys(PARTY_LABELS).join('|')})s?(?:\\s+name)?\\s*[:\\-]\\s*`, 'gi');
+
+// Abbreviations whose full stop does not end a name
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'shri', 'smt', 'sri', 'sh', 'km', 'm/s', 'pvt', 'ltd', 'co', 'no', 'st', 'jr']);
+
+// Capitalised words that start the text after a party line rather than continue a name
+const SENTENCE_STARTERS = new Set([
+  'the', 'this', 'that', 'these', 'those', 'he', 'she', 'it', 'they', 'his', 'her', 'their',
+  'in', 'on', 'at', 'by', 'for', 'as', 'an', 'a', 'after', 'despite', 'since', 'whereas',
+  'details', 'date', 'facts', 'subject', 'prayer', 'seeking', 'court', 'police', 'fir'
+]);
+
+// Lowercase words that can be part of a party ("State of Goa", "Unknown persons");
+// after "and" any words are kept ("and 40 other investors", "and its directors")
+const CONNECTORS = new Set(['of', 'and', '&', 'persons', 'person', 'alias', 'others']);
+
+const MAX_WORDS = 12;
+
+// Party lines in the text: [{ label, type, value, index }], value as written
+function findPartyLines(text) {
+  const labels = Array.from((text || '').matchAll(LABEL))
+    // Headings are capitalised; "the accused - who" in running text is not a label
+    .filter(match => /^[A-Z]/.test(match[1]));
+
+  return labels
+    .map((match, index) => {
+      const start = match.index + match[0].length;
+      const end = index + 1 < labels.length ? labels[index + 1].index : text.length;
+      return {
+        label: match[1].toLowerCase(),
+        type: PARTY_LABELS[match[1].toLowerCase()],
+        value: readValue(text.slice(start, end)),
+        index: match.index
+      };
+    })
+    .filter(line => line.value);
+}
+
+// The name at the start of `rest`
+function readValue(rest) {
+  const words = [];
+  let inBrackets = false;
+  let afterAnd = false;
+
+  for (const word of rest.split('\n')[0].split(/[ \t]+/).filter(Boolean)) {
+    if (!inBrackets) {
+      const bare = word.replace(/[^\w/]/g, '').toLowerCase();
+      if (words.length > 0 && /^[A-Z]/.test(word) && SENTENCE_STARTERS.has(bare)) break;
+      if (/:$/.test(word) || /^(?:versus|vs?\.?)$/i.test(word) || words.length >= MAX_WORDS) break;
+      // "Rahul Verma who threatened ..." - running text
+      if (words.length > 0 && /^[a-z]/.test(word) && !afterAnd && !CONNECTORS.has(bare)) break;
+      if (bare === 'and' || word === '&') afterAnd = true;
+    }
+
+    if (word.startsWith('(')) inBrackets = true;
+    if (word.endsWith(')')) inBrackets = false;
+
+    // "Verma." ends the sentence; "Mr.", "Ltd." and initials ("A.") do not
+    const stem = word.slice(0, -1);
+    const sentenceEnd = !inBrackets && /[.;!?]$/.test(word) &&
+      !ABBREVIATIONS.has(stem.toLowerCase()) && !/^[A-Z]$/.test(stem);
+    words.push(sentenceEnd ? word.slice(0, -1) : word);
+    if (sentenceEnd) break;
+  }
+
+  return words.join(' ').replace(/[,\-]+$/, '').trim();
+}
+
+module.exports = { findPartyLines };
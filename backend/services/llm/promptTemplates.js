@@ -0,0 +1,78 @@
+// Built-in prompt templates. Stored templates (PromptTemplate model) take
+// precedence once an admin activates one; these are the fallback and the seed.
+//
+// Placeholders use {{name}}. System templates receive the triage tables from
+// classificationRules; user templates receive the case fields.
+
+const CLASSIFICATION_SYSTEM_PROMPT = `You are an expert Indian legal intake triage assistant with deep knowledge of Indian legal system, IPC, CrPC, CPC, and various Indian laws. Your task is to analyze legal documents and extract structured information for case classification and assignment.
+
+URGENCY CLASSIFICATION GUIDELINES:
+{{urgencyGuidelines}}
+
+RISK SIGNALS TO IDENTIFY:
+{{riskSignals}}
+
+JURISDICTION SIGNALS:
+{{jurisdictionSignals}}
+
+You must respond ONLY in valid JSON format with no additional text or explanations. Be conservative with urgency - when in doubt, classify as MODERATE rather than URGENT.`;
+
+// Newest first; the first is used when no stored template is active.
+// A released version is never edited, since promptVersion identifies the
+// prompt in classification records and the classification cache.
+const BUILTIN_TEMPLATES = {
+  classification: [
+    {
+      version: 'v2',
+      description: 'Intake triage prompt with the document language for non-English filings',
+      systemPrompt: CLASSIFICATION_SYSTEM_PROMPT,
+      userPrompt: `Please analyze the following legal document and extract structured information:
+
+CASE TITLE: {{title}}
+JURISDICTION: {{jurisdiction}}
+{{languageNote}}{{partNote}}
+DOCUMENT TEXT:
+{{text}}
+
+Please provide a JSON response with the following structure and be very precise with urgency classification according to Indian legal system:`
+    },
+    {
+      version: 'v1',
+      description: 'Original intake triage prompt',
+      systemPrompt: CLASSIFICATION_SYSTEM_PROMPT,
+      userPrompt: `Please analyze the following legal document and extract structured information:
+
+CASE TITLE: {{title}}
+JURISDICTION: {{jurisdiction}}
+{{partNote}}
+DOCUMENT TEXT:
+{{text}}
+
+Please provide a JSON response with the following structure and be very precise with urgency classification according to Indian legal system:`
+    }
+  ]
+};
+
+// Placeholders each template must contain
+const REQUIRED_PLACEHOLDERS = {
+  systemPrompt: ['urgencyGuidelines'],
+  userPrompt: ['text']
+};
+
+// Replace {{name}} placeholders; unknown placeholders are left as-is
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    name in variables ? String(variables[name]) : placeholder
+  );
+}
+
+function findPlaceholders(template) {
+  return [...new Set(Array.from(template.matchAll(/\{\{(\w+)\}\}/g), match => match[1]))];
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  REQUIRED_PLACEHOLDERS,
+  renderTemplate,
+  findPlaceholders
+};
@@ -0,0 +1,150 @@
+const BaseLLMProvider = require('./baseProvider');
+const caseFactsService = require('../caseFactsService');
+const { findPartyLines } = require('./partyLines');
+const {
+  URGENCY_LEVELS,
+  RISK_SIGNALS,
+  JURISDICTION_SIGNALS
+} = require('./classificationRules');
+
+// Deterministic offline classifier that applies the triage rules directly.
+// Same input always gives the same output, so it is safe for tests and evaluation.
+class RuleBasedProvider extends BaseLLMProvider {
+  constructor() {
+    super('rules', 'rule-based-v1');
+  }
+
+  get isRemote() {
+    return false;
+  }
+
+  async complete({ task, input = {} }) {
+    let result;
+
+    switch (task) {
+      case 'classification':
+        result = this.classify(input.text || '', input.title || '');
+        break;
+      case 'complexity':
+        result = this.assessComplexity(input.text || '', input.aiIntake || {});
+        break;
+      default:
+        throw new Error(`Rule-based provider does not support task: ${task}`);
+    }
+
+    return {
+      content: JSON.stringify(result),
+      model: this.model,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+  }
+
+  // Classify a document against the urgency tables
+  classify(text, title) {
+    const content = `${title}\n${text}`;
+    const facts = caseFactsService.extract(content);
+    const matchedByLevel = {};
+
+    for (const { level, rules } of URGENCY_LEVELS) {
+      matchedByLevel[level] = rules.filter(rule => this.ruleMatches(rule, content, facts));
+    }
+
+    // Highest level with any match wins
+    const decisive = URGENCY_LEVELS.find(({ level }) => matchedByLevel[level].length > 0);
+    const urgency = decisive ? decisive.level : 'LOW';
+    const matchedRules = decisive ? matchedByLevel[urgency] : [];
+    const allMatched = URGENCY_LEVELS.flatMap(({ level }) => matchedByLevel[level]);
+
+    const riskSignals = RISK_SIGNALS
+      .filter(signal => signal.patterns.some(pattern => pattern.test(content)))
+      .map(signal => signal.label);
+
+    // More agreeing rules means more confidence; no match at all is a guess
+    const confidence = matchedRules.length > 0
+      ? Math.min(0.5 + 0.15 * matchedRules.length, 0.9)
+      : 0.3;
+
+    return {
+      parties: this.extractParties(text),
+      subjectMatter: matchedRules.length > 0
+        ? matchedRules.map(rule => rule.subject).join('; ')
+        : 'General legal matter',
+      riskSignals,
+      jurisdictionSignals: this.extractJurisdictionSignals(text),
+      urgency,
+      confidence,
+      reasoningBrief: matchedRules.length > 0
+        ? `Rule-based triage: ${urgency} because of ${matchedRules.map(rule => rule.label).join(', ')}.`
+        : 'Rule-based triage: no urgency rule matched, defaulting to LOW. Manual review advised.',
+      legalCategories: allMatched.map(rule => rule.label),
+      estimatedComplexity: this.assessComplexity(text, { riskSignals }).complexity,
+      suggestedExpertise: [...new Set(allMatched.flatMap(rule => rule.areas))]
+    };
+  }
+
+  ruleMatches(rule, content, facts) {
+    const deadlineDue = !!rule.deadlineWithinDays &&
+      caseFactsService.getApproachingDeadlines(facts.deadlines, { withinDays: rule.deadlineWithinDays }).length > 0;
+    const anyPattern = deadlineDue || rule.patterns.some(pattern => pattern.test(content));
+    const allRequired = (rule.requires || []).every(pattern => pattern.test(content));
+    const amountMet = !rule.minAmount || facts.maxAmount >= rule.minAmount;
+    return anyPattern && allRequired && amountMet;
+  }
+
+  // "Accused: Mr. X" style party lines
+  extractParties(text) {
+    const parties = [];
+    const seen = new Set();
+
+    for (const { value, type } of findPartyLines(text)) {
+      const name = value.replace(/\s*\(.*?\)\s*/g, ' ').trim().substring(0, 100);
+      const key = `${type}:${name.toLowerCase()}`;
+
+      if (name && !seen.has(key)) {
+        seen.add(key);
+        parties.push({ name, type });
+      }
+    }
+
+    return parties;
+  }
+
+  extractJurisdictionSignals(text) {
+    const signals = new Set();
+
+    for (const { patterns } of JURISDICTION_SIGNALS) {
+      for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+          signals.add(match[0].trim());
+        }
+      }
+    }
+
+    return Array.from(signals).slice(0, 10);
+  }
+
+  // Heuristic complexity from document size, parties and risk signals
+  assessComplexity(text, aiIntake) {
+    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+    const parties = (aiIntake.parties || []).length;
+    const risks = (aiIntake.riskSignals || []).length;
+
+    let points = 0;
+    if (words > 20000) points += 3;
+    else if (words > 5000) points += 2;
+    else if (words > 1500) points += 1;
+    if (parties > 4) points += 2;
+    else if (parties > 2) points += 1;
+    if (risks >= 3) points += 2;
+    else if (risks > 0) points += 1;
+
+    const complexity = points >= 6 ? 'very_high' : points >= 4 ? 'high' : points >= 2 ? 'medium' : 'low';
+
+    return {
+      complexity,
+      reasoning: `Rule-based estimate from ${words} words, ${parties} parties and ${risks} risk signals`
+    };
+  }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,35 @@
+const RuleBasedProvider = require('./ruleBasedProvider');
+const { cleanText } = require('../../utils/textCleaning');
+
+describe('RuleBasedProvider.extractParties', () => {
+  const provider = new RuleBasedProvider();
+
+  it('finds party lines in cleaned text', () => {
+    const text = cleanText([
+      'Complainant: Mrs. Anita Sharma (Mother of victim)',
+      'Accused: Mr. Vikas Sharma',
+      'Respondent: State of Maharashtra',
+      'The accused fled after the incident.'
+    ].join('\n'));
+
+    expect(provider.extractParties(text)).toEqual([
+      { name: 'Mrs. Anita Sharma', type: 'petitioner' },
+      { name: 'Mr. Vikas Sharma', type: 'accused' },
+      { name: 'State of Maharashtra', type: 'respondent' }
+    ]);
+  });
+
+  it('ends a name at versus or the end of the sentence', () => {
+    expect(provider.extractParties('PETITIONER: RAMESH KUMAR VERSUS RESPONDENT: UNION OF INDIA')).toEqual([
+      { name: 'RAMESH KUMAR', type: 'petitioner' },
+      { name: 'UNION OF INDIA', type: 'respondent' }
+    ]);
+    expect(provider.extractParties('Accused - Rahul Verma who threatened her. Accused: Rahul Verma.')).toEqual([
+      { name: 'Rahul Verma', type: 'accused' }
+    ]);
+  });
+
+  it('ignores lowercase mentions in running text', () => {
+    expect(provider.extractParties('Statements of the accused - who was absent - were recorded.')).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+const BaseLLMProvider = require('./baseProvider');
+
+// Canned responses for CI and tests - no network, no rules.
+// `respond(input, task)` returns the result object to serialize; by default every
+// document comes back as a mid-confidence MODERATE classification.
+class StubProvider extends BaseLLMProvider {
+  constructor(respond = null) {
+    super('stub', 'stub-v1');
+    this.respond = respond || StubProvider.defaultResponse;
+  }
+
+  get isRemote() {
+    return false;
+  }
+
+  async complete({ task, input = {} }) {
+    return {
+      content: JSON.stringify(this.respond(input, task)),
+      model: this.model,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+  }
+
+  static defaultResponse(input, task) {
+    if (task === 'complexity') {
+      return { complexity: 'medium', reasoning: 'Stub response' };
+    }
+
+    return {
+      parties: [],
+      subjectMatter: 'Stub classification',
+      riskSignals: [],
+      jurisdictionSignals: [],
+      urgency: 'MODERATE',
+      confidence: 0.5,
+      reasoningBrief: 'Stub response',
+      legalCategories: [],
+      estimatedComplexity: 'medium',
+      suggestedExpertise: []
+    };
+  }
+}
+
+module.exports = StubProvider;
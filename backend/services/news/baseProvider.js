@@ -0,0 +1,69 @@
+const MINUTE_MS = 60 * 1000;
+
+// Common interface for news sources.
+//
+// search(keywords, { since }) resolves to articles normalized as
+// { title, description, url, publishedAt (Date), source, category, provider }.
+// Each provider carries its own limits: `ratePerMinute` calls in any rolling
+// minute and `dailyQuota` calls per UTC day (0 = unlimited).
+class BaseNewsProvider {
+  constructor(name, { ratePerMinute = 0, dailyQuota = 0 } = {}) {
+    this.name = name;
+    this.ratePerMinute = ratePerMinute;
+    this.dailyQuota = dailyQuota;
+
+    // In-memory counters (per process; in production, use Redis)
+    this.recentCalls = [];
+    this.quotaDay = null;
+    this.callsToday = 0;
+  }
+
+  // Whether search keywords are sent to a third party
+  get sendsKeywords() {
+    return true;
+  }
+
+  async search() {
+    throw new Error(`${this.name} news provider does not implement search()`);
+  }
+
+  // Reserve one call; returns the reason when the provider must be skipped
+  tryAcquire(now = Date.now()) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (day !== this.quotaDay) {
+      this.quotaDay = day;
+      this.callsToday = 0;
+    }
+
+    this.recentCalls = this.recentCalls.filter(time => now - time < MINUTE_MS);
+
+    if (this.dailyQuota > 0 && this.callsToday >= this.dailyQuota) {
+      return { allowed: false, reason: 'quota_exceeded' };
+    }
+    if (this.ratePerMinute > 0 && this.recentCalls.length >= this.ratePerMinute) {
+      return { allowed: false, reason: 'rate_limited' };
+    }
+
+    this.recentCalls.push(now);
+    this.callsToday++;
+    return { allowed: true };
+  }
+
+  getUsage() {
+    return {
+      provider: this.name,
+      ratePerMinute: this.ratePerMinute,
+      dailyQuota: this.dailyQuota,
+      callsToday: this.callsToday,
+      quotaRemaining: this.dailyQuota > 0 ? Math.max(0, this.dailyQuota - this.callsToday) : null
+    };
+  }
+
+  // Keyword filter for sources that cannot be queried (feeds, fixtures)
+  matchesKeywords(article, keywords) {
+    const content = `${article.title} ${article.description}`.toLowerCase();
+    return keywords.some(keyword => content.includes(keyword.toLowerCase()));
+  }
+}
+
+module.exports = BaseNewsProvider;
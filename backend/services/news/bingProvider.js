@@ -0,0 +1,52 @@
+const axios = require('axios');
+const BaseNewsProvider = require('./baseProvider');
+
+const BASE_URL = 'https://api.bing.microsoft.com/v7.0/news/search';
+
+// Bing News Search v7
+class BingNewsProvider extends BaseNewsProvider {
+  constructor({ apiKey, ...limits }) {
+    super('bing', limits);
+    this.apiKey = apiKey;
+  }
+
+  async search(keywords) {
+    const params = {
+      q: keywords.join(' OR '),
+      count: 50,
+      offset: 0,
+      mkt: 'en-IN',
+      safeSearch: 'Off',
+      freshness: 'Month', // Last month
+      sortBy: 'Relevance'
+    };
+
+    const response = await axios.get(BASE_URL, {
+      headers: {
+        'Ocp-Apim-Subscription-Key': this.apiKey
+      },
+      params,
+      timeout: 10000
+    });
+
+    return response.data.value.map(article => ({
+      title: article.name,
+      description: article.description || '',
+      url: article.url,
+      publishedAt: new Date(article.datePublished),
+      source: article.provider?.[0]?.name || 'Unknown',
+      category: article.category || 'General',
+      provider: this.name
+    }));
+  }
+
+  async checkHealth() {
+    await axios.get(BASE_URL, {
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      params: { q: 'test', count: 1 },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = BingNewsProvider;
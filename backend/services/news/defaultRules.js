@@ -0,0 +1,73 @@
+// Built-in news sensitivity rules, used whenever no stored version is active.
+//
+// keywords: matched in article title and description (any of term and its
+// language variants); each match adds `weight` to the article's sensitivity
+// and may set the politicalSensitivity / publicOrderConcern flags.
+// decay: article base score by age in days - linear (initialScore - perDay * days)
+// or exponential (initialScore halved every halfLifeDays).
+// escalationRules: checked in order; the first rule whose score and flags match
+// moves an urgency listed in `from` to `to`.
+const BUILTIN_NEWS_RULES = {
+  version: 'v1',
+  description: 'Original keyword lists and thresholds',
+  keywords: [
+    { term: 'riot', weight: 3, flags: ['political', 'public_order'], variants: ['दंगा', 'दंगे'] },
+    { term: 'protest', weight: 3, flags: [], variants: ['प्रदर्शन', 'आंदोलन'] },
+    { term: 'communal', weight: 3, flags: ['political'], variants: ['सांप्रदायिक'] },
+    { term: 'tension', weight: 3, flags: [], variants: ['तनाव'] },
+    { term: 'violence', weight: 3, flags: ['political', 'public_order'], variants: ['हिंसा'] },
+    { term: 'clash', weight: 3, flags: ['public_order'], variants: ['झड़प'] },
+    { term: 'mob', weight: 3, flags: ['public_order'], variants: ['भीड़'] },
+    { term: 'lynch', weight: 3, flags: [], variants: ['लिंचिंग'] },
+    { term: 'encounter', weight: 3, flags: [], variants: ['मुठभेड़'] },
+    { term: 'custodial', weight: 3, flags: [], variants: ['हिरासत'] },
+    { term: 'political', weight: 3, flags: ['political'], variants: ['राजनीतिक'] },
+    { term: 'election', weight: 3, flags: [], variants: ['चुनाव'] },
+    { term: 'corruption', weight: 3, flags: [], variants: ['भ्रष्टाचार'] },
+    { term: 'scam', weight: 3, flags: [], variants: ['घोटाला'] },
+    { term: 'scandal', weight: 3, flags: [], variants: ['कांड'] },
+    { term: 'controversy', weight: 3, flags: [], variants: ['विवाद'] },
+    { term: 'arrest', weight: 1, flags: [], variants: ['गिरफ्तार'] },
+    { term: 'raid', weight: 1, flags: [], variants: ['छापा', 'छापेमारी'] },
+    { term: 'investigation', weight: 1, flags: [], variants: ['जांच'] },
+    { term: 'charge', weight: 1, flags: [], variants: ['आरोप'] },
+    { term: 'accused', weight: 1, flags: [], variants: ['आरोपी'] },
+    { term: 'court', weight: 1, flags: [], variants: ['अदालत', 'न्यायालय'] },
+    { term: 'judge', weight: 1, flags: [], variants: ['न्यायाधीश'] },
+    { term: 'lawyer', weight: 1, flags: [], variants: ['वकील'] },
+    { term: 'police', weight: 1, flags: [], variants: ['पुलिस'] },
+    { term: 'case', weight: 1, flags: [], variants: ['मामला', 'मामले'] },
+    { term: 'verdict', weight: 1, flags: [], variants: ['फैसला'] },
+    { term: 'sentence', weight: 1, flags: [], variants: ['सजा'] }
+  ],
+  decay: {
+    type: 'linear',
+    initialScore: 10,
+    perDay: 1
+  },
+  escalationRules: [
+    {
+      minScore: 80,
+      requiresAny: ['political', 'public_order'],
+      from: ['LOW', 'MODERATE'],
+      to: 'URGENT',
+      reason: 'High news sensitivity with political/public order concerns'
+    },
+    {
+      minScore: 60,
+      requiresAny: ['public_order'],
+      from: ['LOW'],
+      to: 'MODERATE',
+      reason: 'Moderate news sensitivity with public order concerns'
+    },
+    {
+      minScore: 70,
+      requiresAny: [],
+      from: ['LOW'],
+      to: 'MODERATE',
+      reason: 'High news sensitivity score'
+    }
+  ]
+};
+
+module.exports = { BUILTIN_NEWS_RULES };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const BaseNewsProvider = require('./baseProvider');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'articles.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Articles from a local JSON file, for development and tests without API keys.
+// Entries take `publishedAt` or `daysAgo` (relative, so recency scoring stays stable).
+class FixtureNewsProvider extends BaseNewsProvider {
+  constructor({ fixturePath = DEFAULT_FIXTURE, ...limits } = {}) {
+    super('fixture', limits);
+    this.fixturePath = fixturePath;
+    this.articles = null;
+  }
+
+  get sendsKeywords() {
+    return false;
+  }
+
+  async search(keywords, { since }) {
+    return this.load().filter(article =>
+      article.publishedAt >= since && this.matchesKeywords(article, keywords)
+    );
+  }
+
+  load() {
+    if (!this.articles) {
+      this.articles = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+
+    const now = Date.now();
+    return this.articles.map(article => ({
+      title: article.title,
+      description: article.description || '',
+      url: article.url,
+      publishedAt: typeof article.daysAgo === 'number'
+        ? new Date(now - article.daysAgo * DAY_MS)
+        : new Date(article.publishedAt),
+      source: article.source || 'Fixture',
+      category: article.category || 'General',
+      provider: this.name
+    }));
+  }
+
+  async checkHealth() {
+    this.load();
+  }
+}
+
+module.exports = FixtureNewsProvider;
@@ -0,0 +1,76 @@
+const BingNewsProvider = require('./bingProvider');
+const NewsAPIProvider = require('./newsApiProvider');
+const RSSNewsProvider = require('./rssProvider');
+const FixtureNewsProvider = require('./fixtureProvider');
+const logger = require('../../utils/logger');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Default limits per provider: calls per minute and per day (0 = unlimited)
+const DEFAULT_LIMITS = {
+  bing: { ratePerMinute: 30, dailyQuota: 1000 },
+  newsapi: { ratePerMinute: 10, dailyQuota: 100 },
+  rss: { ratePerMinute: 30, dailyQuota: 0 },
+  fixture: { ratePerMinute: 0, dailyQuota: 0 }
+};
+
+// NEWS_<NAME>_RATE_LIMIT and NEWS_<NAME>_DAILY_QUOTA override the defaults
+function getLimits(name, env) {
+  const prefix = `NEWS_${name.toUpperCase()}`;
+  const parse = (value, fallback) => (value !== undefined && value !== '' ? parseInt(value, 10) : fallback);
+
+  return {
+    ratePerMinute: parse(env[`${prefix}_RATE_LIMIT`], DEFAULT_LIMITS[name].ratePerMinute),
+    dailyQuota: parse(env[`${prefix}_DAILY_QUOTA`], DEFAULT_LIMITS[name].dailyQuota)
+  };
+}
+
+function createNewsProvider(name, env) {
+  const limits = getLimits(name, env);
+
+  switch (name) {
+    case 'bing':
+      return env.BING_NEWS_API_KEY ? new BingNewsProvider({ apiKey: env.BING_NEWS_API_KEY, ...limits }) : null;
+
+    case 'newsapi':
+      return env.NEWSAPI_KEY ? new NewsAPIProvider({ apiKey: env.NEWSAPI_KEY, domains: env.NEWSAPI_DOMAINS, ...limits }) : null;
+
+    case 'rss': {
+      const feeds = (env.NEWS_RSS_FEEDS || '').split(',').map(feed => feed.trim()).filter(Boolean);
+      return feeds.length > 0 ? new RSSNewsProvider({ feeds, ...limits }) : null;
+    }
+
+    case 'fixture':
+      return new FixtureNewsProvider({ fixturePath: env.NEWS_FIXTURE_PATH || undefined, ...limits });
+
+    default:
+      throw new AppError(`Unknown news provider: ${name}`, 500, 'NEWS_CONFIG_ERROR');
+  }
+}
+
+// Build the configured news sources, queried together and merged
+// NEWS_PROVIDERS: comma-separated list of bing | newsapi | rss | fixture
+// (NEWS_PROVIDER, a single provider, is still read when the list is unset)
+function createNewsProviders(env = process.env) {
+  const names = (env.NEWS_PROVIDERS || env.NEWS_PROVIDER || 'bing')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(names)]
+    .map(name => {
+      const provider = createNewsProvider(name, env);
+      if (!provider) {
+        logger.warn(`News provider "${name}" is not configured and will be skipped`);
+      }
+      return provider;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  createNewsProviders,
+  BingNewsProvider,
+  NewsAPIProvider,
+  RSSNewsProvider,
+  FixtureNewsProvider
+};
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const BaseNewsProvider = require('./baseProvider');
+
+const BASE_URL = 'https://newsapi.org/v2/everything';
+
+const DEFAULT_DOMAINS = 'timesofindia.indiatimes.com,indianexpress.com,thehindu.com,ndtv.com,hindustantimes.com';
+
+// NewsAPI.org "everything" search, limited to major Indian outlets
+class NewsAPIProvider extends BaseNewsProvider {
+  constructor({ apiKey, domains = DEFAULT_DOMAINS, ...limits }) {
+    super('newsapi', limits);
+    this.apiKey = apiKey;
+    this.domains = domains;
+  }
+
+  async search(keywords, { since }) {
+    const params = {
+      q: keywords.join(' OR '),
+      language: 'en',
+      sortBy: 'relevancy',
+      pageSize: 50,
+      from: since.toISOString(),
+      domains: this.domains
+    };
+
+    const response = await axios.get(BASE_URL, {
+      headers: {
+        'X-API-Key': this.apiKey
+      },
+      params,
+      timeout: 10000
+    });
+
+    return response.data.articles.map(article => ({
+      title: article.title,
+      description: article.description || '',
+      url: article.url,
+      publishedAt: new Date(article.publishedAt),
+      source: article.source?.name || 'Unknown',
+      category: 'General',
+      provider: this.name
+    }));
+  }
+
+  async checkHealth() {
+    await axios.get(BASE_URL, {
+      headers: { 'X-API-Key': this.apiKey },
+      params: { q: 'test', pageSize: 1 },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = NewsAPIProvider;
@@ -0,0 +1,74 @@
+const axios = require('axios');
+const BaseNewsProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&nbsp;': ' ' };
+
+// RSS 2.0 / Atom feeds (e.g. outlets' "India" or "Courts" sections). Feeds are
+// fetched whole and filtered locally, so search keywords never leave the server.
+class RSSNewsProvider extends BaseNewsProvider {
+  constructor({ feeds = [], ...limits }) {
+    super('rss', limits);
+    this.feeds = feeds;
+  }
+
+  get sendsKeywords() {
+    return false;
+  }
+
+  async search(keywords, { since }) {
+    const results = await Promise.all(this.feeds.map(async feedUrl => {
+      try {
+        const response = await axios.get(feedUrl, { responseType: 'text', timeout: 10000 });
+        return this.parseFeed(response.data);
+      } catch (error) {
+        logger.warn(`RSS feed fetch failed: ${feedUrl}`, { error: error.message });
+        return [];
+      }
+    }));
+
+    return results.flat().filter(article =>
+      article.publishedAt >= since && this.matchesKeywords(article, keywords)
+    );
+  }
+
+  parseFeed(xml) {
+    const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+    const channel = xml.split(/<item[\s>]|<entry[\s>]/i)[0];
+    const source = this.getTag(channel, 'title') || 'RSS';
+
+    return items
+      .map(item => ({
+        title: this.getTag(item, 'title'),
+        description: this.getTag(item, 'description') || this.getTag(item, 'summary'),
+        url: this.getTag(item, 'link') || (item.match(/<link[^>]*href="([^"]+)"/i) || [])[1],
+        publishedAt: new Date(this.getTag(item, 'pubDate') || this.getTag(item, 'published') || this.getTag(item, 'updated')),
+        source,
+        category: this.getTag(item, 'category') || 'General',
+        provider: this.name
+      }))
+      .filter(article => article.title && article.url && !isNaN(article.publishedAt.getTime()));
+  }
+
+  // Text content of the first <tag>, without CDATA wrappers or markup
+  getTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (!match) return '';
+
+    return match[1]
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, entity => ENTITIES[entity])
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async checkHealth() {
+    if (this.feeds.length === 0) {
+      throw new Error('No feeds configured');
+    }
+    await axios.head(this.feeds[0], { timeout: 5000 });
+  }
+}
+
+module.exports = RSSNewsProvider;
@@ -0,0 +1,203 @@
+// Groups news articles into stories, so one report syndicated across many
+// outlets counts once, and keeps a per-case story timeline across checks.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Articles about the same story: similar wording, published close together
+const SIMILARITY_THRESHOLD = 0.3;
+const SAME_STORY_DAYS = 3;
+
+// Matching a check's stories to the stored timeline allows a longer gap,
+// since a story can resurface days later with new developments
+const TIMELINE_THRESHOLD = 0.25;
+const TIMELINE_GAP_DAYS = 14;
+
+const MAX_TERMS = 15;
+const MAX_URLS = 20;
+const MAX_STORIES = 30;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'over', 'after',
+  'about', 'are', 'was', 'were', 'has', 'have', 'had', 'its', 'his', 'her',
+  'their', 'will', 'who', 'what', 'when', 'says', 'said', 'amid', 'new',
+  'news', 'report', 'reports', 'latest', 'live', 'updates', 'today'
+]);
+
+// Lowercased words of three or more letters, without stop words
+function tokenize(text) {
+  return new Set(
+    (text || '').toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Headlines carry most of the signal; snippets differ more between outlets
+function articleSimilarity(a, b) {
+  return 0.6 * jaccard(a.titleTerms, b.titleTerms) + 0.4 * jaccard(a.terms, b.terms);
+}
+
+// Most frequent terms across a story's articles, used to match it on later checks
+function topTerms(members) {
+  const counts = new Map();
+  members.forEach(member => member.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1)));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS)
+    .map(([term]) => term);
+}
+
+// Cluster articles ({ title, description, url, publishedAt }) into stories.
+// Returns [{ key, articles, headline, terms, urls, firstPublishedAt, lastPublishedAt }],
+// largest story first; `key` is the story's index in this result.
+function clusterArticles(articles, { normalizeUrl = url => url } = {}) {
+  const prepared = articles
+    .map(article => {
+      const publishedAt = new Date(article.publishedAt);
+      return {
+        article,
+        time: publishedAt.getTime(),
+        titleTerms: tokenize(article.title),
+        terms: tokenize(`${article.title} ${article.description || ''}`)
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+
+  const clusters = [];
+
+  for (const item of prepared) {
+    let best = null;
+    let bestScore = SIMILARITY_THRESHOLD;
+
+    for (const cluster of clusters) {
+      if (item.time - cluster.lastTime > SAME_STORY_DAYS * DAY_MS) continue;
+
+      const score = Math.max(...cluster.members.map(member => articleSimilarity(item, member)));
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      best.members.push(item);
+      best.lastTime = Math.max(best.lastTime, item.time);
+    } else {
+      clusters.push({ members: [item], lastTime: item.time });
+    }
+  }
+
+  return clusters
+    .map(cluster => {
+      const members = cluster.members;
+      return {
+        articles: members.map(member => member.article),
+        // The earliest report names the story
+        headline: members[0].article.title,
+        terms: topTerms(members),
+        urls: [...new Set(members.map(member => normalizeUrl(member.article.url)))],
+        firstPublishedAt: new Date(members[0].time),
+        lastPublishedAt: new Date(cluster.lastTime)
+      };
+    })
+    .sort((a, b) => b.articles.length - a.articles.length || b.lastPublishedAt - a.lastPublishedAt)
+    .map((story, key) => ({ key, ...story }));
+}
+
+// Stored story that a check's story continues, if any: a shared article URL,
+// or similar terms within the allowed gap
+function findTimelineMatch(timeline, story) {
+  const terms = new Set(story.terms);
+  let best = null;
+  let bestScore = TIMELINE_THRESHOLD;
+
+  for (const entry of timeline) {
+    if ((entry.urls || []).some(url => story.urls.includes(url))) {
+      return entry;
+    }
+
+    const gap = new Date(story.firstPublishedAt) - new Date(entry.lastPublishedAt);
+    if (gap > TIMELINE_GAP_DAYS * DAY_MS) continue;
+
+    const score = jaccard(terms, new Set(entry.terms || []));
+    if (score >= bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// Fold a check's stories ({ key, headline, terms, urls, articleCount, score,
+// firstPublishedAt, lastPublishedAt }) into the case's stored timeline.
+// Returns { timeline, storyIds } where storyIds maps each story key to its timeline id.
+function mergeTimeline(existing, stories, checkedAt = new Date()) {
+  const timeline = (existing || []).map(entry => ({ ...entry }));
+  const storyIds = {};
+  let nextId = timeline.reduce((max, entry) => Math.max(max, parseInt(entry.storyId.slice(1), 10) || 0), 0) + 1;
+
+  for (const story of stories) {
+    const entry = findTimelineMatch(timeline, story);
+
+    if (entry) {
+      const urls = [...new Set([...entry.urls, ...story.urls])];
+      Object.assign(entry, {
+        terms: topTermsOf(entry.terms, story.terms),
+        urls: urls.slice(-MAX_URLS),
+        articleCount: entry.articleCount + story.urls.filter(url => !entry.urls.includes(url)).length,
+        firstPublishedAt: new Date(Math.min(new Date(entry.firstPublishedAt), new Date(story.firstPublishedAt))),
+        lastPublishedAt: new Date(Math.max(new Date(entry.lastPublishedAt), new Date(story.lastPublishedAt))),
+        lastSeenAt: checkedAt,
+        checkCount: (entry.checkCount || 1) + 1,
+        peakScore: Math.max(entry.peakScore || 0, story.score || 0)
+      });
+      storyIds[story.key] = entry.storyId;
+      continue;
+    }
+
+    const storyId = `s${nextId++}`;
+    timeline.push({
+      storyId,
+      headline: story.headline,
+      terms: story.terms,
+      urls: story.urls.slice(-MAX_URLS),
+      articleCount: story.urls.length,
+      firstPublishedAt: story.firstPublishedAt,
+      lastPublishedAt: story.lastPublishedAt,
+      firstSeenAt: checkedAt,
+      lastSeenAt: checkedAt,
+      checkCount: 1,
+      peakScore: story.score || 0
+    });
+    storyIds[story.key] = storyId;
+  }
+
+  // Oldest first; when capped, the stories not reported on for longest go
+  const kept = timeline
+    .sort((a, b) => new Date(b.lastPublishedAt) - new Date(a.lastPublishedAt))
+    .slice(0, MAX_STORIES)
+    .sort((a, b) => new Date(a.firstPublishedAt) - new Date(b.firstPublishedAt));
+
+  return { timeline: kept, storyIds };
+}
+
+// Stored terms first, topped up with new ones
+function topTermsOf(stored, added) {
+  return [...new Set([...(stored || []), ...added])].slice(0, MAX_TERMS);
+}
+
+module.exports = {
+  clusterArticles,
+  mergeTimeline,
+  tokenize
+};
@@ -0,0 +1,187 @@
+const Case = require('../models/Case');
+const Job = require('../models/Job');
+const newsSensitivityService = require('./newsSensitivityService');
+const urgencyService = require('./urgencyService');
+const notificationService = require('./notificationService');
+const jobQueueService = require('./jobQueueService');
+const { mergeTimeline } = require('./news/storyClustering');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Re-runs the news sensitivity check on open cases, since a case can become
+// a media story long after intake
+class NewsMonitoringService {
+  constructor() {
+    // Hours between checks, by current urgency
+    this.recheckHours = {
+      URGENT: parseFloat(process.env.NEWS_RECHECK_HOURS_URGENT) || 6,
+      MODERATE: parseFloat(process.env.NEWS_RECHECK_HOURS_MODERATE) || 24,
+      LOW: parseFloat(process.env.NEWS_RECHECK_HOURS_LOW) || 72
+    };
+    this.enabled = process.env.NEWS_RECHECK_ENABLED !== 'false';
+    this.batchSize = parseInt(process.env.NEWS_RECHECK_BATCH_SIZE) || 50;
+    this.maxHistory = 50;
+
+    // Cases still being worked on; pending_review gets its news check after the review
+    this.openStatuses = ['classified', 'assigned', 'accepted', 'in_progress'];
+  }
+
+  getNextCheckAt(urgency, from = new Date()) {
+    const hours = this.recheckHours[urgency] || this.recheckHours.MODERATE;
+    return new Date(from.getTime() + hours * HOUR_MS);
+  }
+
+  // Store a check's signals on the case, keeping the score history, the story
+  // timeline and the next due time.
+  // options: { trigger: 'intake' | 'scheduled', escalatedTo }
+  recordCheck(caseDoc, newsSignals, { trigger, escalatedTo } = {}) {
+    const checkedAt = newsSignals.lastCheckedAt || new Date();
+    const stored = caseDoc.newsSignals || {};
+    const plain = entries => (entries || []).map(entry => (entry.toObject ? entry.toObject() : entry));
+    const history = plain(stored.history);
+
+    const { stories = [], ...signals } = newsSignals;
+    const { timeline, storyIds } = mergeTimeline(plain(stored.timeline), stories, checkedAt);
+
+    history.push({
+      checkedAt,
+      trigger,
+      score: newsSignals.score,
+      articleCount: (newsSignals.sources || []).length,
+      storyCount: stories.length,
+      politicalSensitivity: newsSignals.politicalSensitivity,
+      publicOrderConcern: newsSignals.publicOrderConcern,
+      escalatedTo,
+      query: newsSignals.query
+    });
+
+    caseDoc.newsSignals = {
+      ...signals,
+      sources: (signals.sources || []).map(({ storyKey, ...source }) => ({ ...source, storyId: storyIds[storyKey] })),
+      timeline,
+      history: history.slice(-this.maxHistory),
+      nextCheckAt: this.getNextCheckAt(caseDoc.finalUrgency, checkedAt)
+    };
+  }
+
+  // Queue a news_recheck job for each open case that is due. Called on a schedule by the worker.
+  async scheduleDueChecks(now = new Date()) {
+    if (!this.enabled) return 0;
+
+    const dueCases = await Case.find({
+      status: { $in: this.openStatuses },
+      aiIntake: { $exists: true },
+      $or: [
+        { 'newsSignals.nextCheckAt': { $lte: now } },
+        { 'newsSignals.nextCheckAt': { $exists: false } }
+      ]
+    })
+      .select('_id')
+      .sort({ 'newsSignals.nextCheckAt': 1 })
+      .limit(this.batchSize);
+
+    for (const caseDoc of dueCases) {
+      await jobQueueService.enqueue('news_recheck', { caseId: caseDoc._id, maxAttempts: 1 });
+    }
+
+    if (dueCases.length > 0) {
+      logger.info(`Queued news re-checks for ${dueCases.length} cases`);
+    }
+
+    return dueCases.length;
+  }
+
+  // Re-check one case. Urgency is only ever raised here: a story fading from
+  // the news does not lower a case that is already being handled.
+  async recheckCase(caseId) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc || !this.openStatuses.includes(caseDoc.status) || !caseDoc.aiIntake) {
+      return { skipped: true };
+    }
+
+    // Leave cases mid-pipeline alone; the pipeline runs its own news check
+    if (await Job.findActiveForCase(caseDoc._id)) {
+      return { skipped: true };
+    }
+
+    const previousScore = caseDoc.newsSignals ? caseDoc.newsSignals.score : null;
+    const previousUrgency = caseDoc.finalUrgency;
+    const newsSignals = await newsSensitivityService.checkNewsSensitivity(caseDoc.aiIntake, caseDoc.jurisdiction, {
+      isSensitive: caseDoc.isSensitive,
+      citations: caseDoc.citations
+    });
+
+    // A failed search keeps the previous signals and tries again next cycle
+    if (newsSignals.error) {
+      caseDoc.set('newsSignals.nextCheckAt', this.getNextCheckAt(previousUrgency));
+      await caseDoc.save();
+      return { skipped: true, error: newsSignals.error };
+    }
+
+    caseDoc.newsSignals = { ...(caseDoc.newsSignals ? caseDoc.newsSignals.toObject() : {}), ...newsSignals };
+    const base = urgencyService.getBaseUrgency(caseDoc, encryptionService.decrypt(caseDoc.extractedText));
+    const change = urgencyService.getNewsEscalation(caseDoc, base, await newsSensitivityService.getActiveRules());
+    const escalated = change.source === 'news' && urgencyService.compare(change.urgency, previousUrgency) > 0;
+
+    if (escalated) {
+      urgencyService.applyUrgency(caseDoc, {
+        ...change,
+        reason: `${change.reason} (news re-check, score ${previousScore ?? 0} -> ${newsSignals.score})`
+      });
+    }
+
+    this.recordCheck(caseDoc, newsSignals, {
+      trigger: 'scheduled',
+      escalatedTo: escalated ? change.urgency : undefined
+    });
+    await caseDoc.save();
+
+    // An urgency change re-runs the assignment rules, as for a manual change;
+    // reassess leaves accepted and in-progress cases with their judge
+    const job = escalated ? await urgencyService.reassess(caseDoc) : null;
+
+    logger.info(`News re-check completed for case: ${caseDoc.caseNumber}`, {
+      previousScore,
+      score: newsSignals.score,
+      escalated,
+      jobId: job ? job._id : null
+    });
+
+    // A case being reassigned gets its judge from the new assignment
+    if (escalated && !job && caseDoc.assignment && caseDoc.assignment.judgeId) {
+      await notificationService.sendNotification(
+        caseDoc.assignment.judgeId,
+        notificationService.notificationTypes.CASE_ESCALATED,
+        {
+          caseId: caseDoc._id,
+          caseNumber: caseDoc.caseNumber,
+          title: caseDoc.title,
+          previousUrgency,
+          urgency: caseDoc.finalUrgency,
+          reason: caseDoc.escalationReason,
+          newsScore: newsSignals.score
+        }
+      );
+    }
+
+    return {
+      previousScore,
+      score: newsSignals.score,
+      escalated,
+      previousUrgency,
+      urgency: caseDoc.finalUrgency,
+      jobId: job ? job._id : null
+    };
+  }
+
+  // Job handler for news_recheck; a failed run is not retried, the next sweep queues it again
+  getJobHandler() {
+    return {
+      run: job => this.recheckCase(job.caseId)
+    };
+  }
+}
+
+module.exports = new NewsMonitoringService();
@@ -0,0 +1,144 @@
+// Decides which search terms may leave the server in news queries. Victim
+// identities, and any party in a sexual-offence or child case, must never be
+// sent to a third-party news API.
+
+// Offences whose victims' identities are protected (IPC 228A, BNS 72, POCSO 23)
+const PROTECTED_SUBJECTS = [
+  /\bpocso\b/i, /\brape\b/i, /\bsexual\b/i, /\bmolest/i, /\boutrag\w* (?:the )?modesty\b/i,
+  /\bstalking\b/i, /\bvoyeur/i, /\bminor\b/i, /\bjuvenile\b/i, /\bchild\b/i,
+  /\b(?:sec(?:tion)?\.?|u\/s)\s*(?:354[a-d]?|376[a-e]?|509)\b/i
+];
+
+const PROTECTED_CITATIONS = {
+  POCSO: () => true,
+  IPC: section => /^(?:354[A-D]?|376[A-E]?|376AB|376DA|376DB|509)$/i.test(section),
+  BNS: section => {
+    const number = parseInt(section, 10);
+    return number >= 63 && number <= 79;
+  }
+};
+
+// Sexual offences named in a filing's own text. Narrower than PROTECTED_SUBJECTS,
+// which also match "minor" or "child" in a classified subject matter.
+const SENSITIVE_TEXT = [
+  /\bpocso\b/i, /\brape[ds]?\b/i, /\bsexual(?:ly)?\s+(?:assault|harass|abuse|offen[cs]e|exploit)/i,
+  /\bmolest/i, /\boutrag\w*\s+(?:the\s+|her\s+)?modesty\b/i, /\bprosecutrix\b/i,
+  /\b(?:sec(?:tion)?s?\.?|u\/s\.?)\s*(?:354[a-d]?|376[a-e]?|509)\b/i
+];
+
+// Terms that describe the victim rather than the case
+const IDENTIFYING_TERMS = ['victim', 'survivor', 'prosecutrix', 'minor', 'child', 'girl', 'boy', 'juvenile', 'daughter', 'son', 'student'];
+
+const PUBLIC_INDICATORS = [
+  'government', 'ministry', 'department', 'corporation', 'limited',
+  'ltd', 'inc', 'pvt', 'private', 'public', 'bank', 'insurance',
+  'university', 'college', 'hospital', 'police', 'court', 'tribunal'
+];
+
+class NewsQueryPolicyService {
+  // Whether the case's parties are protected, and why. caseInfo: { aiIntake, isSensitive, citations }
+  getCaseProtection({ aiIntake = {}, isSensitive = false, citations = [] } = {}) {
+    const reasons = [];
+
+    if (isSensitive) {
+      reasons.push('marked_sensitive');
+    }
+
+    const text = [aiIntake.subjectMatter, ...(aiIntake.riskSignals || []), ...(aiIntake.legalCategories || [])]
+      .filter(Boolean)
+      .join(' ');
+    if (PROTECTED_SUBJECTS.some(pattern => pattern.test(text))) {
+      reasons.push('sensitive_subject');
+    }
+
+    if (this.hasProtectedCitation(citations)) {
+      reasons.push('sensitive_statute');
+    }
+
+    if ((aiIntake.parties || []).some(party => party.type === 'victim' && this.looksLikeMinor(party.name))) {
+      reasons.push('minor_party');
+    }
+
+    return { protected: reasons.length > 0, reasons };
+  }
+
+  // Whether a filing's victims must not be identified, from its extracted text and
+  // cited sections. Decided before classification, so the case is redacted
+  // strictly before any text leaves the server.
+  isSensitiveFiling(text, citations = []) {
+    return this.hasProtectedCitation(citations) || SENSITIVE_TEXT.some(pattern => pattern.test(text || ''));
+  }
+
+  hasProtectedCitation(citations) {
+    return (citations || []).some(citation =>
+      PROTECTED_CITATIONS[citation.statute] && PROTECTED_CITATIONS[citation.statute](String(citation.section))
+    );
+  }
+
+  looksLikeMinor(name) {
+    return /\b(?:minor|child|baby|master|kumari|km\.?)\b/i.test(name || '');
+  }
+
+  // Check if name is likely a public entity
+  isLikelyPublicEntity(name) {
+    const lowerName = name.toLowerCase();
+    return PUBLIC_INDICATORS.some(indicator => lowerName.includes(indicator));
+  }
+
+  // Classify candidate terms. candidates: [{ term, origin, partyType }] where origin is
+  // party | subject | jurisdiction | jurisdiction_signal | risk_signal.
+  // Returns { allowed: [term], blocked: [{ origin, partyType, reason }], protection }.
+  // Blocked entries deliberately omit the term itself.
+  apply(candidates, caseInfo = {}) {
+    const protection = this.getCaseProtection(caseInfo);
+    const parties = (caseInfo.aiIntake && caseInfo.aiIntake.parties) || [];
+
+    // Name fragments that must not appear in any term
+    const protectedNames = parties
+      .filter(party => party.name && (party.type === 'victim' || !this.isLikelyPublicEntity(party.name)))
+      .flatMap(party => party.name.toLowerCase().split(/\s+/))
+      .filter(part => part.length > 2 && !PUBLIC_INDICATORS.includes(part));
+
+    const allowed = [];
+    const blocked = [];
+
+    for (const candidate of candidates) {
+      const reason = this.getBlockReason(candidate, protection, protectedNames);
+      if (reason) {
+        blocked.push({ origin: candidate.origin, partyType: candidate.partyType, reason });
+      } else if (!allowed.includes(candidate.term)) {
+        allowed.push(candidate.term);
+      }
+    }
+
+    return { allowed, blocked, protection };
+  }
+
+  // Why a term must not be sent, or null when it is safe
+  getBlockReason({ term, origin, partyType }, protection, protectedNames) {
+    const lowerTerm = term.toLowerCase();
+
+    if (origin === 'party') {
+      if (partyType === 'victim') return 'victim_identity';
+      if (protection.protected) return 'protected_case_party';
+      if (!this.isLikelyPublicEntity(term)) return 'private_individual';
+    }
+
+    if (/\d{4,}|@/.test(term)) {
+      return 'personal_data';
+    }
+
+    const words = lowerTerm.split(/\s+/);
+    if (origin !== 'party' && words.some(word => protectedNames.includes(word))) {
+      return 'contains_party_name';
+    }
+
+    if (protection.protected && words.some(word => IDENTIFYING_TERMS.includes(word))) {
+      return 'identifying_term';
+    }
+
+    return null;
+  }
+}
+
+module.exports = new NewsQueryPolicyService();
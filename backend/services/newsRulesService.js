@@ -0,0 +1,247 @@
+const NewsRuleSet = require('../models/NewsRuleSet');
+const Case = require('../models/Case');
+const newsSensitivityService = require('./newsSensitivityService');
+const urgencyService = require('./urgencyService');
+const { BUILTIN_NEWS_RULES } = require('./news/defaultRules');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const URGENCY_ORDER = ['LOW', 'MODERATE', 'URGENT'];
+const FLAGS = ['political', 'public_order'];
+
+// Admin management of the versioned news sensitivity rules: keyword lists,
+// recency decay and escalation rules. Scoring reads the active version through
+// newsSensitivityService.getActiveRules().
+class NewsRulesService {
+  async getRules(version) {
+    const stored = await NewsRuleSet.findOne({ version });
+    if (stored) return stored.toRules();
+
+    return version === BUILTIN_NEWS_RULES.version ? { ...BUILTIN_NEWS_RULES, source: 'builtin' } : null;
+  }
+
+  // Built-in and stored versions, newest first
+  async listRules() {
+    const [stored, active] = await Promise.all([
+      NewsRuleSet.find().sort({ createdAt: -1 }),
+      newsSensitivityService.getActiveRules()
+    ]);
+
+    return [
+      ...stored.map(ruleSet => ruleSet.toRules()),
+      { ...BUILTIN_NEWS_RULES, source: 'builtin' }
+    ].map(rules => ({ ...rules, isActive: rules.version === active.version }));
+  }
+
+  async createRules({ version, description, ...input }, user) {
+    const rules = this.validateRules(input);
+
+    const exists = await this.getRules(version);
+    if (exists) {
+      throw new AppError(`News rules version ${version} already exists`, 409, 'NEWS_RULES_VERSION_EXISTS');
+    }
+
+    const ruleSet = await NewsRuleSet.create({
+      version,
+      description,
+      ...rules,
+      createdBy: user.id
+    });
+
+    return ruleSet.toRules();
+  }
+
+  // Make a version the one used for scoring and escalation
+  async activateRules(version, user) {
+    const rules = await this.getRules(version);
+    if (!rules) {
+      throw new AppError(`News rules version ${version} not found`, 404, 'NEWS_RULES_VERSION_NOT_FOUND');
+    }
+
+    await NewsRuleSet.updateMany({ isActive: true }, { $set: { isActive: false } });
+
+    // The built-in version is active whenever no stored version is
+    if (rules.source === 'stored') {
+      await NewsRuleSet.updateOne(
+        { version },
+        { $set: { isActive: true, activatedAt: new Date(), activatedBy: user.id } }
+      );
+    }
+
+    newsSensitivityService.clearRulesCache();
+    logger.info(`News rules activated: ${version}`, { by: user.email });
+
+    return rules;
+  }
+
+  // Normalized { keywords, decay, escalationRules }; throws on rules that cannot score sensibly
+  validateRules({ keywords, decay, escalationRules }) {
+    const invalid = message => new AppError(`Invalid news rules: ${message}`, 400, 'INVALID_NEWS_RULES');
+
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+      throw invalid('at least one keyword is required');
+    }
+
+    const seen = new Set();
+    const normalizedKeywords = keywords.map((keyword, index) => {
+      const term = String(keyword.term || '').trim().toLowerCase();
+      if (term.length < 2) throw invalid(`keyword ${index + 1} needs a term of at least 2 characters`);
+      if (seen.has(term)) throw invalid(`keyword "${term}" is listed twice`);
+      seen.add(term);
+
+      const weight = Number(keyword.weight);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 10) {
+        throw invalid(`weight for "${term}" must be between 0 and 10`);
+      }
+
+      const flags = keyword.flags || [];
+      if (!Array.isArray(flags) || flags.some(flag => !FLAGS.includes(flag))) {
+        throw invalid(`flags for "${term}" must be from: ${FLAGS.join(', ')}`);
+      }
+
+      const variants = (keyword.variants || []).map(variant => String(variant).trim()).filter(Boolean);
+
+      return { term, weight, flags: [...new Set(flags)], variants: [...new Set(variants)] };
+    });
+
+    if (!decay || !['linear', 'exponential'].includes(decay.type)) {
+      throw invalid('decay.type must be linear or exponential');
+    }
+    const initialScore = Number(decay.initialScore);
+    if (!Number.isFinite(initialScore) || initialScore <= 0 || initialScore > 100) {
+      throw invalid('decay.initialScore must be above 0 and at most 100');
+    }
+    const normalizedDecay = { type: decay.type, initialScore };
+    if (decay.type === 'linear') {
+      normalizedDecay.perDay = Number(decay.perDay);
+      if (!Number.isFinite(normalizedDecay.perDay) || normalizedDecay.perDay < 0) {
+        throw invalid('decay.perDay must be 0 or more');
+      }
+    } else {
+      normalizedDecay.halfLifeDays = Number(decay.halfLifeDays);
+      if (!Number.isFinite(normalizedDecay.halfLifeDays) || normalizedDecay.halfLifeDays < 0.1) {
+        throw invalid('decay.halfLifeDays must be at least 0.1');
+      }
+    }
+
+    if (!Array.isArray(escalationRules)) {
+      throw invalid('escalationRules must be an array');
+    }
+    const normalizedEscalation = escalationRules.map((rule, index) => {
+      const label = `escalation rule ${index + 1}`;
+      const minScore = Number(rule.minScore);
+      if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+        throw invalid(`${label} needs a minScore between 0 and 100`);
+      }
+      if (!URGENCY_ORDER.includes(rule.to)) {
+        throw invalid(`${label} has an invalid target urgency`);
+      }
+      if (!Array.isArray(rule.from) || rule.from.length === 0 || rule.from.some(from => !URGENCY_ORDER.includes(from))) {
+        throw invalid(`${label} needs one or more valid "from" urgencies`);
+      }
+      // Rules only ever raise urgency
+      if (rule.from.some(from => URGENCY_ORDER.indexOf(from) >= URGENCY_ORDER.indexOf(rule.to))) {
+        throw invalid(`${label} must escalate to a higher urgency than each "from" urgency`);
+      }
+      const requiresAny = rule.requiresAny || [];
+      if (!Array.isArray(requiresAny) || requiresAny.some(flag => !FLAGS.includes(flag))) {
+        throw invalid(`${label} flags must be from: ${FLAGS.join(', ')}`);
+      }
+      const reason = String(rule.reason || '').trim();
+      if (reason.length < 5 || reason.length > 200) {
+        throw invalid(`${label} needs a reason of 5-200 characters`);
+      }
+
+      return { minScore, requiresAny, from: [...new Set(rule.from)], to: rule.to, reason };
+    });
+
+    return { keywords: normalizedKeywords, decay: normalizedDecay, escalationRules: normalizedEscalation };
+  }
+
+  // Re-score recently checked cases under proposed rules without saving anything.
+  // Stored articles are scored as of each case's last check under both the active
+  // and the proposed rules, so differences come from the rules alone.
+  // Only the articles a check kept as sources can be re-scored: those above the
+  // relevance cut-off under the rules of the time. The result says so, since
+  // rules that score more generously would also have counted articles not kept.
+  async dryRun(proposed, { limit = 100 } = {}) {
+    const [active, cases] = await Promise.all([
+      newsSensitivityService.getActiveRules(),
+      Case.find({ 'newsSignals.sources.0': { $exists: true } })
+        .select('caseNumber title jurisdiction status finalUrgency aiIntake caseFacts urgencyOverride newsSignals extractedText')
+        .sort({ 'newsSignals.lastCheckedAt': -1 })
+        .limit(limit)
+    ]);
+
+    const transitions = {};
+    let scoreDelta = 0;
+
+    const results = cases.map(caseDoc => {
+      const signals = caseDoc.newsSignals;
+      const articles = signals.sources.map(source => ({
+        title: source.title,
+        description: source.snippet,
+        url: source.url,
+        publishedAt: source.publishedAt
+      }));
+      const options = { now: new Date(signals.lastCheckedAt).getTime() };
+
+      const current = newsSensitivityService.analyzeNewsSensitivity(articles, caseDoc.aiIntake, caseDoc.jurisdiction, active, options);
+      const next = newsSensitivityService.analyzeNewsSensitivity(articles, caseDoc.aiIntake, caseDoc.jurisdiction, proposed, options);
+
+      const base = urgencyService.getBaseUrgency(caseDoc, encryptionService.decrypt(caseDoc.extractedText) || '');
+      const escalate = (analysis, rules) => (base.source === 'human'
+        ? base.urgency
+        : newsSensitivityService.shouldEscalateUrgency(analysis, base.urgency, rules).newUrgency);
+
+      const currentUrgency = escalate(current, active);
+      const proposedUrgency = escalate(next, proposed);
+      const transition = `${currentUrgency}->${proposedUrgency}`;
+      transitions[transition] = (transitions[transition] || 0) + 1;
+      scoreDelta += next.score - current.score;
+
+      return {
+        caseId: caseDoc._id,
+        caseNumber: caseDoc.caseNumber,
+        status: caseDoc.status,
+        storedScore: signals.score,
+        currentScore: current.score,
+        proposedScore: next.score,
+        currentUrgency,
+        proposedUrgency,
+        urgencyChanged: currentUrgency !== proposedUrgency,
+        flags: {
+          politicalSensitivity: [current.politicalSensitivity, next.politicalSensitivity],
+          publicOrderConcern: [current.publicOrderConcern, next.publicOrderConcern]
+        }
+      };
+    });
+
+    // Changed urgencies first, then largest score changes
+    results.sort((a, b) =>
+      Number(b.urgencyChanged) - Number(a.urgencyChanged) ||
+      Math.abs(b.proposedScore - b.currentScore) - Math.abs(a.proposedScore - a.currentScore)
+    );
+
+    return {
+      activeVersion: active.version,
+      proposedVersion: proposed.version || null,
+      summary: {
+        casesScored: results.length,
+        scoreIncreased: results.filter(entry => entry.proposedScore > entry.currentScore).length,
+        scoreDecreased: results.filter(entry => entry.proposedScore < entry.currentScore).length,
+        averageScoreDelta: results.length > 0 ? Math.round((scoreDelta / results.length) * 10) / 10 : 0,
+        urgencyChanged: results.filter(entry => entry.urgencyChanged).length,
+        transitions
+      },
+      limitation: 'Only articles stored from each case\'s last check are re-scored. Those are the ones that ' +
+        'scored above the relevance cut-off under the rules in force at the time, so articles the proposed rules ' +
+        'would newly count, and cases with no stored articles, are left out. Rules that would count more ' +
+        'articles show less effect here than they would have.',
+      cases: results
+    };
+  }
+}
+
+module.exports = new NewsRulesService();
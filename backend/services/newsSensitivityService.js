@@ -1,45 +1,90 @@
-const axios = require('axios');
+const NewsRuleSet = require('../models/NewsRuleSet');
+const { createNewsProviders } = require('./news');
+const { BUILTIN_NEWS_RULES } = require('./news/defaultRules');
+const { clusterArticles } = require('./news/storyClustering');
+const newsQueryPolicyService = require('./newsQueryPolicyService');
 const logger = require('../utils/logger');
-const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class NewsSensitivityService {
   constructor() {
-    this.provider = process.env.NEWS_PROVIDER || 'BING';
-    this.bingApiKey = process.env.BING_NEWS_API_KEY;
-    this.newsApiKey = process.env.NEWSAPI_KEY;
+    // News sources queried together; see services/news
+    this.providers = createNewsProviders();
+    this.searchWindowDays = 30;
     
-    // Base URLs
-    this.bingBaseUrl = 'https://api.bing.microsoft.com/v7.0/news/search';
-    this.newsApiBaseUrl = 'https://newsapi.org/v2/everything';
+    // Each further article in a story adds this share of its lead article's score, up to the cap
+    this.coverageBonus = 0.1;
+    this.maxCoverageArticles = 5;
     
     // Cache for recent searches (in production, use Redis)
     this.searchCache = new Map();
     this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    
+    // Active rule set lookups are cached briefly; workers pick up activations within this window
+    this.rulesCacheTtl = 60 * 1000;
+    this.activeRules = null;
+  }
+  
+  // Keyword lists, decay and escalation rules used for scoring (see newsRulesService)
+  async getActiveRules() {
+    if (this.activeRules && this.activeRules.expiresAt > Date.now()) {
+      return this.activeRules.rules;
+    }
+    
+    let rules = null;
+    try {
+      const stored = await NewsRuleSet.findOne({ isActive: true });
+      if (stored) rules = stored.toRules();
+    } catch (error) {
+      logger.error('Failed to load active news rules, using built-in:', error);
+    }
+    
+    rules = rules || { ...BUILTIN_NEWS_RULES, source: 'builtin' };
+    this.activeRules = { rules, expiresAt: Date.now() + this.rulesCacheTtl };
+    
+    return rules;
   }
   
-  // Main method to check news sensitivity
-  async checkNewsSensitivity(aiIntake, jurisdiction = null) {
+  clearRulesCache() {
+    this.activeRules = null;
+  }
+  
+  // Main method to check news sensitivity.
+  // caseInfo: { isSensitive, citations } - used by the query privacy policy
+  async checkNewsSensitivity(aiIntake, jurisdiction = null, caseInfo = {}) {
     const startTime = Date.now();
     
     try {
       // Extract keywords for news search
-      const keywords = this.extractSearchKeywords(aiIntake, jurisdiction);
+      const { keywords, blocked, protection } = this.extractSearchKeywords(aiIntake, jurisdiction, caseInfo);
+      const query = {
+        terms: keywords,
+        sentTo: [],
+        blocked,
+        protectedCase: protection.protected,
+        protectionReasons: protection.reasons
+      };
       
       if (keywords.length === 0) {
-        logger.info('No keywords extracted for news search');
-        return this.getDefaultNewsSignals();
+        logger.info('No keywords extracted for news search', { blocked: blocked.length });
+        return { ...this.getDefaultNewsSignals(), query };
       }
       
       // Search for relevant news
-      const newsResults = await this.searchNews(keywords);
+      const { articles: newsResults, sentTo } = await this.searchNews(keywords);
+      query.sentTo = sentTo;
       
       // Analyze news for sensitivity
-      const analysis = this.analyzeNewsSensitivity(newsResults, aiIntake, jurisdiction);
+      const rules = await this.getActiveRules();
+      const analysis = this.analyzeNewsSensitivity(newsResults, aiIntake, jurisdiction, rules);
       
       const processingTime = Date.now() - startTime;
       
       logger.info(`News sensitivity check completed in ${processingTime}ms`, {
         keywords: keywords.length,
+        blocked: blocked.length,
+        sentTo,
         articles: newsResults.length,
         score: analysis.score
       });
@@ -48,6 +93,7 @@ class NewsSensitivityService {
         ...analysis,
         processingTime,
         keywords,
+        query,
         lastCheckedAt: new Date()
       };
       
@@ -64,52 +110,60 @@ class NewsSensitivityService {
     }
   }
   
-  // Extract keywords for news search
-  extractSearchKeywords(aiIntake, jurisdiction) {
-    const keywords = new Set();
+  // Candidate search terms and where each came from, before the privacy policy
+  collectSearchTerms(aiIntake, jurisdiction) {
+    const candidates = [];
+    const add = (terms, origin, partyType) => {
+      terms.forEach(term => candidates.push({ term, origin, partyType }));
+    };
     
     // Add subject matter keywords
     if (aiIntake.subjectMatter) {
-      const subjectKeywords = this.extractKeywordsFromText(aiIntake.subjectMatter);
-      subjectKeywords.forEach(keyword => keywords.add(keyword));
+      add(this.extractKeywordsFromText(aiIntake.subjectMatter), 'subject');
     }
     
-    // Add party names (but be careful with privacy)
+    // Add party names; the policy decides which may be searched for
     if (aiIntake.parties && aiIntake.parties.length > 0) {
       aiIntake.parties.forEach(party => {
         if (party.name && party.name.length > 3) {
-          // Only add if it looks like a public figure or organization
-          if (this.isLikelyPublicEntity(party.name)) {
-            keywords.add(party.name);
-          }
+          add([party.name], 'party', party.type);
         }
       });
     }
     
     // Add jurisdiction-based keywords
     if (jurisdiction) {
-      const jurisdictionKeywords = this.extractKeywordsFromText(jurisdiction);
-      jurisdictionKeywords.forEach(keyword => keywords.add(keyword));
+      add(this.extractKeywordsFromText(jurisdiction), 'jurisdiction');
     }
     
     // Add jurisdiction signals
-    if (aiIntake.jurisdictionSignals) {
-      aiIntake.jurisdictionSignals.forEach(signal => {
-        const signalKeywords = this.extractKeywordsFromText(signal);
-        signalKeywords.forEach(keyword => keywords.add(keyword));
-      });
-    }
+    (aiIntake.jurisdictionSignals || []).forEach(signal => {
+      add(this.extractKeywordsFromText(signal), 'jurisdiction_signal');
+    });
     
     // Add risk signal keywords
-    if (aiIntake.riskSignals) {
-      aiIntake.riskSignals.forEach(signal => {
-        const riskKeywords = this.extractKeywordsFromText(signal);
-        riskKeywords.forEach(keyword => keywords.add(keyword));
-      });
-    }
+    (aiIntake.riskSignals || []).forEach(signal => {
+      add(this.extractKeywordsFromText(signal), 'risk_signal');
+    });
+    
+    return candidates;
+  }
+  
+  // Extract keywords for news search. Terms the privacy policy marks unsafe
+  // (victims, parties in sexual-offence and child cases, private individuals)
+  // are dropped and reported without their values.
+  extractSearchKeywords(aiIntake, jurisdiction, caseInfo = {}) {
+    const { allowed, blocked, protection } = newsQueryPolicyService.apply(
+      this.collectSearchTerms(aiIntake, jurisdiction),
+      { ...caseInfo, aiIntake }
+    );
     
     // Filter and prioritize keywords
-    return this.filterAndPrioritizeKeywords(Array.from(keywords));
+    return {
+      keywords: this.filterAndPrioritizeKeywords(allowed),
+      blocked,
+      protection
+    };
   }
   
   // Extract keywords from text
@@ -144,18 +198,6 @@ class NewsSensitivityService {
     );
   }
   
-  // Check if name is likely a public entity
-  isLikelyPublicEntity(name) {
-    const publicIndicators = [
-      'government', 'ministry', 'department', 'corporation', 'limited',
-      'ltd', 'inc', 'pvt', 'private', 'public', 'bank', 'insurance',
-      'university', 'college', 'hospital', 'police', 'court', 'tribunal'
-    ];
-    
-    const lowerName = name.toLowerCase();
-    return publicIndicators.some(indicator => lowerName.includes(indicator));
-  }
-  
   // Filter and prioritize keywords
   filterAndPrioritizeKeywords(keywords) {
     // Remove very common words
@@ -169,187 +211,203 @@ class NewsSensitivityService {
     return filtered;
   }
   
-  // Search for news using configured provider
+  // Search every configured provider and merge the results.
+  // Returns { articles, sentTo } - sentTo names the providers the keywords were sent to.
   async searchNews(keywords) {
-    const cacheKey = keywords.sort().join('|');
+    const cacheKey = [...keywords].sort().join('|');
     
     // Check cache first
     if (this.searchCache.has(cacheKey)) {
       const cached = this.searchCache.get(cacheKey);
       if (Date.now() - cached.timestamp < this.cacheTimeout) {
         logger.debug('Using cached news results');
-        return cached.results;
+        return { articles: cached.results, sentTo: [] };
       }
     }
     
-    let results = [];
+    if (this.providers.length === 0) {
+      logger.warn('No valid news API configuration found');
+      return { articles: [], sentTo: [] };
+    }
     
-    try {
-      if (this.provider === 'BING' && this.bingApiKey) {
-        results = await this.searchBingNews(keywords);
-      } else if (this.provider === 'NEWSAPI' && this.newsApiKey) {
-        results = await this.searchNewsAPI(keywords);
-      } else {
-        logger.warn('No valid news API configuration found');
-        return [];
+    const sentTo = [];
+    
+    const since = new Date(Date.now() - this.searchWindowDays * 24 * 60 * 60 * 1000);
+    
+    const responses = await Promise.all(this.providers.map(async provider => {
+      const slot = provider.tryAcquire();
+      if (!slot.allowed) {
+        logger.warn(`News provider ${provider.name} skipped: ${slot.reason}`);
+        return null;
+      }
+      
+      if (provider.sendsKeywords) {
+        sentTo.push(provider.name);
       }
       
-      // Cache results
+      try {
+        return await provider.search(keywords, { since });
+      } catch (error) {
+        logger.error(`News search failed for provider ${provider.name}:`, error);
+        return null;
+      }
+    }));
+    
+    const answered = responses.filter(Boolean);
+    const results = this.mergeArticles(answered);
+    
+    // Only cache when a provider answered, so a rate-limited minute is retried
+    if (answered.length > 0) {
       this.searchCache.set(cacheKey, {
         results,
         timestamp: Date.now()
       });
-      
-      return results;
-      
-    } catch (error) {
-      logger.error('News search failed:', error);
-      return [];
     }
+    
+    return { articles: results, sentTo };
   }
   
-  // Search using Bing News API
-  async searchBingNews(keywords) {
-    const query = keywords.join(' OR ');
-    const params = {
-      q: query,
-      count: 50,
-      offset: 0,
-      mkt: 'en-IN',
-      safeSearch: 'Off',
-      freshness: 'Month', // Last month
-      sortBy: 'Relevance'
-    };
-    
-    const response = await axios.get(this.bingBaseUrl, {
-      headers: {
-        'Ocp-Apim-Subscription-Key': this.bingApiKey
-      },
-      params,
-      timeout: 10000
-    });
+  // Merge provider results, dropping the same article seen via several providers
+  // or syndicated under the same headline. Newest first.
+  mergeArticles(resultLists) {
+    const byUrl = new Map();
+    const byTitle = new Map();
+    const merged = [];
+    
+    for (const article of resultLists.flat()) {
+      if (!article.title || !article.url || isNaN(article.publishedAt?.getTime())) continue;
+      
+      const urlKey = this.normalizeUrl(article.url);
+      const titleKey = article.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      const existing = byUrl.get(urlKey) || byTitle.get(titleKey);
+      
+      if (existing) {
+        if (!existing.providers.includes(article.provider)) {
+          existing.providers.push(article.provider);
+        }
+        if (!existing.description && article.description) {
+          existing.description = article.description;
+        }
+        continue;
+      }
+      
+      const entry = { ...article, providers: [article.provider] };
+      byUrl.set(urlKey, entry);
+      byTitle.set(titleKey, entry);
+      merged.push(entry);
+    }
     
-    return response.data.value.map(article => ({
-      title: article.name,
-      description: article.description,
-      url: article.url,
-      publishedAt: new Date(article.datePublished),
-      source: article.provider[0]?.name || 'Unknown',
-      category: article.category || 'General'
-    }));
+    return merged.sort((a, b) => b.publishedAt - a.publishedAt);
   }
   
-  // Search using NewsAPI
-  async searchNewsAPI(keywords) {
-    const query = keywords.join(' OR ');
-    const params = {
-      q: query,
-      language: 'en',
-      sortBy: 'relevancy',
-      pageSize: 50,
-      from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // Last 30 days
-      domains: 'timesofindia.indiatimes.com,indianexpress.com,thehindu.com,ndtv.com,hindustantimes.com'
-    };
-    
-    const response = await axios.get(this.newsApiBaseUrl, {
-      headers: {
-        'X-API-Key': this.newsApiKey
-      },
-      params,
-      timeout: 10000
-    });
-    
-    return response.data.articles.map(article => ({
-      title: article.title,
-      description: article.description,
-      url: article.url,
-      publishedAt: new Date(article.publishedAt),
-      source: article.source.name,
-      category: 'General'
-    }));
+  // Host and path only: no scheme, www/amp variants, query string or fragment
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const host = parsed.hostname.toLowerCase().replace(/^(www|amp|m)\./, '');
+      const pathname = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+      return `${host}${pathname}`;
+    } catch (error) {
+      return url.trim().toLowerCase();
+    }
   }
   
-  // Analyze news for sensitivity
-  analyzeNewsSensitivity(newsResults, aiIntake, jurisdiction) {
+  // Analyze news for sensitivity. `now` lets stored articles be re-scored as of
+  // their original check. Articles are grouped into stories first and the score
+  // counts each story once, so heavy syndication of one report adds little.
+  analyzeNewsSensitivity(newsResults, aiIntake, jurisdiction, rules = BUILTIN_NEWS_RULES, { now = Date.now() } = {}) {
     if (!newsResults || newsResults.length === 0) {
-      return this.getDefaultNewsSignals();
+      return { ...this.getDefaultNewsSignals(), rulesVersion: rules.version };
     }
     
     let score = 0;
     let geoMatch = false;
     let politicalSensitivity = false;
     let publicOrderConcern = false;
-    const relevantSources = [];
+    const stories = [];
+    const leadSources = [];
+    const otherSources = [];
     
-    // Keywords that indicate high sensitivity
-    const highSensitivityKeywords = [
-      'riot', 'protest', 'communal', 'tension', 'violence', 'clash',
-      'mob', 'lynch', 'encounter', 'custodial', 'political', 'election',
-      'corruption', 'scam', 'scandal', 'controversy'
-    ];
+    const clusters = clusterArticles(newsResults, { normalizeUrl: url => this.normalizeUrl(url) });
     
-    const mediumSensitivityKeywords = [
-      'arrest', 'raid', 'investigation', 'charge', 'accused', 'court',
-      'judge', 'lawyer', 'police', 'case', 'verdict', 'sentence'
-    ];
-    
-    // Analyze each article
-    for (const article of newsResults) {
-      const content = `${article.title} ${article.description}`.toLowerCase();
-      const publishedDays = (Date.now() - article.publishedAt.getTime()) / (1000 * 60 * 60 * 24);
-      
-      // Recency factor (more recent = higher score)
-      let articleScore = Math.max(0, 10 - publishedDays);
+    for (const cluster of clusters) {
+      const articleScores = [];
       
-      // Content sensitivity analysis
-      let contentSensitivity = 0;
-      
-      for (const keyword of highSensitivityKeywords) {
-        if (content.includes(keyword)) {
-          contentSensitivity += 3;
+      // Analyze each article
+      for (const article of cluster.articles) {
+        const content = `${article.title} ${article.description || ''}`.toLowerCase();
+        const publishedDays = (now - new Date(article.publishedAt).getTime()) / DAY_MS;
+        
+        // Recency factor (more recent = higher score)
+        let articleScore = this.getRecencyScore(publishedDays, rules.decay);
+        
+        // Content sensitivity analysis
+        let contentSensitivity = 0;
+        
+        for (const keyword of rules.keywords) {
+          const terms = [keyword.term, ...(keyword.variants || [])];
+          if (!terms.some(term => content.includes(term.toLowerCase()))) continue;
+          
+          contentSensitivity += keyword.weight;
           
-          if (['riot', 'communal', 'violence', 'political'].includes(keyword)) {
+          if ((keyword.flags || []).includes('political')) {
             politicalSensitivity = true;
           }
           
-          if (['riot', 'mob', 'clash', 'violence'].includes(keyword)) {
+          if ((keyword.flags || []).includes('public_order')) {
             publicOrderConcern = true;
           }
         }
-      }
-      
-      for (const keyword of mediumSensitivityKeywords) {
-        if (content.includes(keyword)) {
-          contentSensitivity += 1;
-        }
-      }
-      
-      articleScore *= (1 + contentSensitivity / 10);
-      
-      // Geographic relevance
-      if (jurisdiction) {
-        const jurisdictionKeywords = jurisdiction.toLowerCase().split(' ');
-        for (const keyword of jurisdictionKeywords) {
-          if (keyword.length > 2 && content.includes(keyword)) {
-            geoMatch = true;
-            articleScore *= 1.5;
-            break;
+        
+        articleScore *= (1 + contentSensitivity / 10);
+        
+        // Geographic relevance
+        if (jurisdiction) {
+          const jurisdictionKeywords = jurisdiction.toLowerCase().split(' ');
+          for (const keyword of jurisdictionKeywords) {
+            if (keyword.length > 2 && content.includes(keyword)) {
+              geoMatch = true;
+              articleScore *= 1.5;
+              break;
+            }
           }
         }
+        
+        articleScores.push({ article, articleScore });
       }
       
+      // A story scores as its strongest article, plus a little for wider coverage
+      articleScores.sort((a, b) => b.articleScore - a.articleScore);
+      const coverage = Math.min(articleScores.length - 1, this.maxCoverageArticles);
+      const storyScore = articleScores[0].articleScore * (1 + this.coverageBonus * coverage);
+      score += storyScore;
+      
       // Add to relevant sources if significant
-      if (articleScore > 5) {
-        relevantSources.push({
-          title: article.title,
-          url: article.url,
-          publishedAt: article.publishedAt,
-          snippet: article.description?.substring(0, 200) || '',
-          relevanceScore: Math.min(articleScore / 20, 1)
-        });
-      }
+      if (storyScore <= 5) continue;
       
-      score += articleScore;
+      stories.push({
+        key: cluster.key,
+        headline: cluster.headline,
+        terms: cluster.terms,
+        urls: cluster.urls,
+        articleCount: cluster.articles.length,
+        score: Math.round(storyScore * 10) / 10,
+        firstPublishedAt: cluster.firstPublishedAt,
+        lastPublishedAt: cluster.lastPublishedAt
+      });
+      
+      articleScores
+        .filter(({ articleScore }) => articleScore > 5)
+        .forEach(({ article, articleScore }, index) => {
+          (index === 0 ? leadSources : otherSources).push({
+            title: article.title,
+            url: article.url,
+            publishedAt: article.publishedAt,
+            snippet: article.description?.substring(0, 200) || '',
+            relevanceScore: Math.min(articleScore / 20, 1),
+            storyKey: cluster.key
+          });
+        });
     }
     
     // Normalize score to 0-100
@@ -371,18 +429,32 @@ class NewsSensitivityService {
     score = Math.min(Math.round(score), 100);
     
     return {
-      sources: relevantSources.slice(0, 10), // Top 10 most relevant
+      // Top 10, one article per story before any second article from a story
+      sources: [...leadSources, ...otherSources].slice(0, 10),
+      stories,
+      storyCount: stories.length,
       score,
       geoMatch,
       politicalSensitivity,
-      publicOrderConcern
+      publicOrderConcern,
+      rulesVersion: rules.version
     };
   }
   
+  // Base score of an article by age
+  getRecencyScore(days, decay) {
+    if (decay.type === 'exponential') {
+      return decay.initialScore * Math.pow(0.5, Math.max(0, days) / decay.halfLifeDays);
+    }
+    return Math.max(0, decay.initialScore - decay.perDay * days);
+  }
+  
   // Get default news signals when no news found or on error
   getDefaultNewsSignals() {
     return {
       sources: [],
+      stories: [],
+      storyCount: 0,
       score: 0,
       geoMatch: false,
       politicalSensitivity: false,
@@ -390,34 +462,16 @@ class NewsSensitivityService {
     };
   }
   
-  // Determine if urgency should be escalated based on news
-  shouldEscalateUrgency(newsSignals, currentUrgency) {
+  // Determine if urgency should be escalated based on news; the first matching rule wins
+  shouldEscalateUrgency(newsSignals, currentUrgency, rules = BUILTIN_NEWS_RULES) {
     const { score, politicalSensitivity, publicOrderConcern } = newsSignals;
+    const flags = { political: politicalSensitivity, public_order: publicOrderConcern };
     
-    // Escalation thresholds
-    const escalationRules = [
-      {
-        condition: score >= 80 && (politicalSensitivity || publicOrderConcern),
-        from: ['LOW', 'MODERATE'],
-        to: 'URGENT',
-        reason: 'High news sensitivity with political/public order concerns'
-      },
-      {
-        condition: score >= 60 && publicOrderConcern,
-        from: ['LOW'],
-        to: 'MODERATE',
-        reason: 'Moderate news sensitivity with public order concerns'
-      },
-      {
-        condition: score >= 70,
-        from: ['LOW'],
-        to: 'MODERATE',
-        reason: 'High news sensitivity score'
-      }
-    ];
-    
-    for (const rule of escalationRules) {
-      if (rule.condition && rule.from.includes(currentUrgency)) {
+    for (const rule of rules.escalationRules) {
+      const flagsMatch = !rule.requiresAny || rule.requiresAny.length === 0 ||
+        rule.requiresAny.some(flag => flags[flag]);
+      
+      if (score >= rule.minScore && flagsMatch && rule.from.includes(currentUrgency)) {
         return {
           shouldEscalate: true,
           newUrgency: rule.to,
@@ -445,40 +499,30 @@ class NewsSensitivityService {
   
   // Get service health status
   async getHealthStatus() {
-    const status = {
-      provider: this.provider,
-      configured: false,
-      accessible: false,
-      cacheSize: this.searchCache.size
-    };
-    
-    if (this.provider === 'BING' && this.bingApiKey) {
-      status.configured = true;
+    const providers = await Promise.all(this.providers.map(async provider => {
+      const status = { ...provider.getUsage(), accessible: false };
       
       try {
-        await axios.get(`${this.bingBaseUrl}?q=test&count=1`, {
-          headers: { 'Ocp-Apim-Subscription-Key': this.bingApiKey },
-          timeout: 5000
-        });
+        await provider.checkHealth();
         status.accessible = true;
       } catch (error) {
         status.error = error.message;
       }
-    } else if (this.provider === 'NEWSAPI' && this.newsApiKey) {
-      status.configured = true;
       
-      try {
-        await axios.get(`${this.newsApiBaseUrl}?q=test&pageSize=1`, {
-          headers: { 'X-API-Key': this.newsApiKey },
-          timeout: 5000
-        });
-        status.accessible = true;
-      } catch (error) {
-        status.error = error.message;
-      }
-    }
+      return status;
+    }));
     
-    return status;
+    return {
+      configured: this.providers.length > 0,
+      accessible: providers.some(provider => provider.accessible),
+      providers,
+      cacheSize: this.searchCache.size
+    };
+  }
+  
+  // Rate limit and quota counters per provider
+  getUsage() {
+    return this.providers.map(provider => provider.getUsage());
   }
 }
 
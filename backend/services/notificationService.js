@@ -181,6 +181,44 @@ class NotificationService {
           `
         };
 
+      case this.notificationTypes.CASE_ESCALATED:
+        return {
+          subject: `Case Urgency Raised: ${data.caseNumber}`,
+          html: `
+            <h2>Case Urgency Raised</h2>
+            <p>Hello ${user.profile?.name || user.email},</p>
+            <p>The urgency of a case assigned to you has been raised:</p>
+            <ul>
+              <li><strong>Case Number:</strong> ${data.caseNumber}</li>
+              <li><strong>Title:</strong> ${data.title}</li>
+              <li><strong>Urgency:</strong> ${data.previousUrgency} &rarr; ${data.urgency}</li>
+              <li><strong>Reason:</strong> ${data.reason}</li>
+              <li><strong>News Sensitivity Score:</strong> ${data.newsScore}</li>
+            </ul>
+            <p>Please review the case schedule.</p>
+            <a href="${baseUrl}/cases/${data.caseId}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Case</a>
+            <p>Best regards,<br>Panchtatva Justice System</p>
+          `,
+          text: `
+            Case Urgency Raised
+            
+            Hello ${user.profile?.name || user.email},
+            
+            The urgency of a case assigned to you has been raised:
+            - Case Number: ${data.caseNumber}
+            - Title: ${data.title}
+            - Urgency: ${data.previousUrgency} -> ${data.urgency}
+            - Reason: ${data.reason}
+            - News Sensitivity Score: ${data.newsScore}
+            
+            Please review the case schedule.
+            View case: ${baseUrl}/cases/${data.caseId}
+            
+            Best regards,
+            Panchtatva Justice System
+          `
+        };
+
       case this.notificationTypes.ACCOUNT_VERIFIED:
         return {
           subject: 'Account Verified',
@@ -0,0 +1,203 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const ClassificationRecord = require('../models/ClassificationRecord');
+const Case = require('../models/Case');
+const { BUILTIN_TEMPLATES, REQUIRED_PLACEHOLDERS, findPlaceholders } = require('./llm/promptTemplates');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class PromptTemplateService {
+  constructor() {
+    // Active template lookups are cached briefly; workers pick up activations within this window
+    this.cacheTtl = 60 * 1000;
+    this.activeCache = new Map();
+  }
+
+  // Template used for new classifications
+  async getActiveTemplate(name = 'classification') {
+    const cached = this.activeCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let template = null;
+    try {
+      const stored = await PromptTemplate.findOne({ name, isActive: true });
+      if (stored) template = this.toTemplate(stored);
+    } catch (error) {
+      logger.error('Failed to load active prompt template, using built-in:', error);
+    }
+
+    template = template || this.getBuiltinTemplates(name)[0];
+    this.activeCache.set(name, { template, expiresAt: Date.now() + this.cacheTtl });
+
+    return template;
+  }
+
+  async getTemplate(name, version) {
+    const stored = await PromptTemplate.findOne({ name, version });
+    if (stored) return this.toTemplate(stored);
+
+    return this.getBuiltinTemplates(name).find(template => template.version === version) || null;
+  }
+
+  // Built-in and stored versions, newest first
+  async listTemplates(name = 'classification') {
+    const [stored, active] = await Promise.all([
+      PromptTemplate.find({ name }).sort({ createdAt: -1 }),
+      this.getActiveTemplate(name)
+    ]);
+
+    return [
+      ...stored.map(template => this.toTemplate(template)),
+      ...this.getBuiltinTemplates(name)
+    ].map(template => ({ ...template, isActive: template.version === active.version }));
+  }
+
+  async createTemplate(name, { version, description, systemPrompt, userPrompt }, user) {
+    for (const [field, required] of Object.entries(REQUIRED_PLACEHOLDERS)) {
+      const present = findPlaceholders(field === 'systemPrompt' ? systemPrompt : userPrompt);
+      const missing = required.filter(placeholder => !present.includes(placeholder));
+      if (missing.length > 0) {
+        throw new AppError(`${field} is missing placeholders: ${missing.map(p => `{{${p}}}`).join(', ')}`, 400, 'INVALID_TEMPLATE');
+      }
+    }
+
+    const exists = await this.getTemplate(name, version);
+    if (exists) {
+      throw new AppError(`Prompt version ${version} already exists`, 409, 'PROMPT_VERSION_EXISTS');
+    }
+
+    const template = await PromptTemplate.create({
+      name,
+      version,
+      description,
+      systemPrompt,
+      userPrompt,
+      createdBy: user.id
+    });
+
+    return this.toTemplate(template);
+  }
+
+  // Make a version the one used for new classifications
+  async activateTemplate(name, version, user) {
+    const template = await this.getTemplate(name, version);
+    if (!template) {
+      throw new AppError(`Prompt version ${version} not found`, 404, 'PROMPT_VERSION_NOT_FOUND');
+    }
+
+    await PromptTemplate.updateMany({ name, isActive: true }, { $set: { isActive: false } });
+
+    // Built-in versions are active whenever no stored version is
+    if (template.source === 'stored') {
+      await PromptTemplate.updateOne(
+        { name, version },
+        { $set: { isActive: true, activatedAt: new Date(), activatedBy: user.id } }
+      );
+    }
+
+    this.activeCache.delete(name);
+    logger.info(`Prompt template activated: ${name}@${version}`, { by: user.email });
+
+    return template;
+  }
+
+  // Compare the latest classification of each case under two prompt versions
+  async compareVersions(fromVersion, toVersion, { limit = 100 } = {}) {
+    const [fromRecords, toRecords] = await Promise.all([
+      this.getLatestRecords(fromVersion),
+      this.getLatestRecords(toVersion)
+    ]);
+
+    const toByCase = new Map(toRecords.map(record => [String(record.caseId), record]));
+    const pairs = fromRecords
+      .filter(record => toByCase.has(String(record.caseId)))
+      .map(record => ({ from: record, to: toByCase.get(String(record.caseId)) }));
+
+    const caseNumbers = new Map(
+      (await Case.find({ _id: { $in: pairs.map(pair => pair.from.caseId) } }).select('caseNumber'))
+        .map(caseDoc => [String(caseDoc._id), caseDoc.caseNumber])
+    );
+
+    const transitions = {};
+    let confidenceDelta = 0;
+
+    const cases = pairs.map(({ from, to }) => {
+      const transition = `${from.urgency}->${to.urgency}`;
+      transitions[transition] = (transitions[transition] || 0) + 1;
+      confidenceDelta += (to.confidence || 0) - (from.confidence || 0);
+
+      const fromSignals = from.riskSignals || [];
+      const toSignals = to.riskSignals || [];
+
+      return {
+        caseId: from.caseId,
+        caseNumber: caseNumbers.get(String(from.caseId)),
+        urgencyChanged: from.urgency !== to.urgency,
+        from: this.summarizeRecord(from),
+        to: this.summarizeRecord(to),
+        riskSignalsAdded: toSignals.filter(signal => !fromSignals.includes(signal)),
+        riskSignalsRemoved: fromSignals.filter(signal => !toSignals.includes(signal)),
+        subjectMatterChanged: from.subjectMatter !== to.subjectMatter
+      };
+    });
+
+    // Changed urgencies first
+    cases.sort((a, b) => Number(b.urgencyChanged) - Number(a.urgencyChanged));
+
+    return {
+      fromVersion,
+      toVersion,
+      summary: {
+        comparedCases: cases.length,
+        onlyInFrom: fromRecords.length - pairs.length,
+        onlyInTo: toRecords.length - pairs.length,
+        urgencyChanged: cases.filter(entry => entry.urgencyChanged).length,
+        transitions,
+        averageConfidenceDelta: cases.length > 0
+          ? Math.round((confidenceDelta / cases.length) * 1000) / 1000
+          : 0
+      },
+      cases: cases.slice(0, limit)
+    };
+  }
+
+  getLatestRecords(promptVersion) {
+    return ClassificationRecord.aggregate([
+      { $match: { promptVersion } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$caseId', record: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$record' } }
+    ]);
+  }
+
+  summarizeRecord(record) {
+    return {
+      urgency: record.urgency,
+      confidence: record.confidence,
+      subjectMatter: record.subjectMatter,
+      riskSignals: record.riskSignals,
+      model: record.model,
+      classifiedAt: record.createdAt
+    };
+  }
+
+  getBuiltinTemplates(name) {
+    return (BUILTIN_TEMPLATES[name] || []).map(template => ({ ...template, name, source: 'builtin' }));
+  }
+
+  toTemplate(doc) {
+    return {
+      name: doc.name,
+      version: doc.version,
+      description: doc.description,
+      systemPrompt: doc.systemPrompt,
+      userPrompt: doc.userPrompt,
+      source: 'stored',
+      createdAt: doc.createdAt,
+      activatedAt: doc.activatedAt
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,246 @@
+const { findPartyLines } = require('./llm/partyLines');
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = [
+  '\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}',
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+\\d{4}`,
+  `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`
+].join('|');
+
+// Personal data patterns for Indian legal documents. Order matters: longer
+// numbers are matched before the shorter patterns they contain.
+const PATTERNS = {
+  standard: [
+    { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g },
+    { type: 'AADHAAR', pattern: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g },
+    { type: 'PAN', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+    { type: 'PHONE', pattern: /(?:\+91[\s-]?|\b0)?\b[6-9]\d{4}[\s-]?\d{5}\b/g },
+    // To the end of the sentence, a bracket or 120 characters, so the facts
+    // after an address and placeholders already in the text are kept.
+    // "No. 5" does not end a sentence; ". He" does.
+    {
+      type: 'ADDRESS',
+      pattern: /\b(?:[Aa]ddress|ADDRESS|[Rr]\/[Oo]|[Rr]esident of|[Rr]esiding at)\b\s*[:\-]?\s*((?:[^\n.;()[\]]|\.(?!\s+[A-Z]|\s*$)){1,120})/g,
+      group: 1
+    }
+  ],
+  // Added when the case is sensitive (victim identity must not leak)
+  strict: [
+    // Only the date itself: 05/03/2010, 5 March 2010, March 5, 2010
+    {
+      type: 'DOB',
+      pattern: new RegExp(`\\b(?:dob|d\\.o\\.b\\.?|date of birth|born on)\\s*[:\\-]?\\s*(${DATE})`, 'gi'),
+      group: 1
+    },
+    { type: 'PINCODE', pattern: /\b(?:pin(?:\s*code)?|pincode)\b\s*[:\-]?\s*(\d{6})\b/gi, group: 1 },
+    { type: 'PINCODE', pattern: /\b[A-Z][a-z]+\s*[-–]\s*(\d{6})\b/g, group: 1 },
+    { type: 'VEHICLE', pattern: /\b[A-Z]{2}[\s-]?\d{1,2}[\s-]?[A-Z]{1,3}[\s-]?\d{4}\b/g }
+  ]
+};
+
+const NAME = '((?:[A-Z][a-z]+\\.?[ ]?){1,3})';
+
+const NAME_PATTERNS = {
+  standard: [
+    new RegExp(`\\b(?:Mr|Mrs|Ms|Dr|Shri|Smt|Sri|Kumari|Km)\\.?\\s+${NAME}`, 'g'),
+    new RegExp(`\\b(?:S\\/o|D\\/o|W\\/o|son of|daughter of|wife of)\\s+${NAME}`, 'g')
+  ],
+  strict: [
+    new RegExp(`\\b(?:[Vv]ictim|[Ss]urvivor|[Pp]rosecutrix|[Mm]inor|[Cc]hild|[Gg]irl|[Bb]oy)\\b,?\\s+(?:named?\\s+|namely\\s+)?${NAME}`, 'g')
+  ]
+};
+
+// Organisations and placeholders in party lines are not personal names
+const NON_PERSONAL = /\b(?:ltd|limited|pvt|llp|company|corporation|bank|traders|suppliers|solutions|state of|union of india|government|unknown|identity protected)\b/i;
+
+// Capitalised words that are not names
+const NAME_STOPWORDS = new Set([
+  'name', 'names', 'the', 'and', 'court', 'police', 'station', 'state', 'section',
+  'accused', 'victim', 'complainant', 'petitioner', 'respondent', 'plaintiff', 'defendant'
+]);
+
+// Placeholder state for one case. The same value always maps to the same
+// placeholder, so text split into chunks stays consistent.
+class RedactionSession {
+  constructor(level) {
+    this.level = level;
+    this.placeholders = new Map(); // placeholder -> original
+    this.byValue = new Map(); // normalized original -> placeholder
+    this.counters = {};
+    this.names = new Map(); // name -> placeholder
+  }
+
+  getPlaceholder(type, value) {
+    const key = `${type}:${value.replace(/\s+/g, ' ').trim().toLowerCase()}`;
+    if (this.byValue.has(key)) return this.byValue.get(key);
+
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const placeholder = `[${type}_${this.counters[type]}]`;
+    this.byValue.set(key, placeholder);
+    this.placeholders.set(placeholder, value.trim());
+
+    return placeholder;
+  }
+
+  // Names known from elsewhere (e.g. parties already extracted)
+  registerName(name) {
+    const words = (name || '')
+      .replace(/\s*\(.*?\)\s*/g, ' ')
+      .replace(/^\s*(?:Mr|Mrs|Ms|Dr|Shri|Smt|Sri|Kumari|Km)\.?\s+/, '')
+      .trim()
+      .split(/\s+/);
+
+    // "Vikas Sharma Court" -> "Vikas Sharma"
+    const isStopword = word => NAME_STOPWORDS.has(word.toLowerCase().replace(/\.$/, ''));
+    while (words.length > 0 && isStopword(words[words.length - 1])) words.pop();
+    if (words.every(isStopword)) return;
+
+    const cleaned = words.join(' ');
+    if (cleaned.length < 3 || NON_PERSONAL.test(cleaned) || this.isPlaceholder(cleaned)) return;
+
+    // Party lines can run on into an address or the facts; names are short
+    if (/\[[A-Z]+_\d+\]/.test(cleaned) || words.length > 5) return;
+
+    this.names.set(cleaned, this.getPlaceholder('PERSON', cleaned));
+  }
+
+  isPlaceholder(value) {
+    return /^\[[A-Z]+_\d+\]$/.test(value);
+  }
+
+  redact(text) {
+    if (!text) return text;
+
+    let redacted = text;
+    const patterns = this.level === 'strict'
+      ? [...PATTERNS.standard, ...PATTERNS.strict]
+      : PATTERNS.standard;
+
+    for (const { type, pattern, group } of patterns) {
+      redacted = redacted.replace(pattern, (match, ...groups) => {
+        const value = group ? groups[group - 1] : match;
+        if (!value || !value.trim()) return match;
+        return match.replace(value.trim(), this.getPlaceholder(type, value));
+      });
+    }
+
+    this.detectNames(redacted);
+
+    return this.replaceNames(redacted);
+  }
+
+  detectNames(text) {
+    for (const line of findPartyLines(text)) {
+      // "Mr. A and 40 other investors", "X, Y and Z", "A, W/o B"
+      const value = line.value.replace(/\band\s+\d+\s+others?\b.*$/i, '');
+      for (const part of value.split(/,|\band\b|\b[SDW]\/o\b/)) {
+        this.registerName(part);
+      }
+    }
+
+    const namePatterns = this.level === 'strict'
+      ? [...NAME_PATTERNS.standard, ...NAME_PATTERNS.strict]
+      : NAME_PATTERNS.standard;
+
+    for (const pattern of namePatterns) {
+      for (const match of text.matchAll(pattern)) {
+        this.registerName(match[1]);
+      }
+    }
+  }
+
+  replaceNames(text) {
+    // Longest first so "Priya Sharma" wins over "Priya"
+    const replacements = Array.from(this.names.entries()).map(([name, placeholder]) => [name, placeholder]);
+
+    // Strict mode also hides first names and surnames used on their own, unless shared
+    if (this.level === 'strict') {
+      const tokenOwners = new Map();
+      for (const [name, placeholder] of this.names) {
+        for (const token of name.split(' ')) {
+          const key = token.replace(/\.$/, '');
+          if (key.length < 3 || NAME_STOPWORDS.has(key.toLowerCase())) continue;
+          const owners = tokenOwners.get(key) || new Set();
+          owners.add(placeholder);
+          tokenOwners.set(key, owners);
+        }
+      }
+      for (const [token, owners] of tokenOwners) {
+        if (owners.size === 1) replacements.push([token, [...owners][0]]);
+      }
+    }
+
+    replacements.sort((a, b) => b[0].length - a[0].length);
+
+    let redacted = text;
+    for (const [name, placeholder] of replacements) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      redacted = redacted.replace(new RegExp(`(?<![\\w\\[])${escaped}(?![\\w\\]])`, 'gi'), placeholder);
+    }
+
+    return redacted;
+  }
+
+  // Put original values back into a string
+  restore(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/\[[A-Z]+_\d+\]/g, placeholder =>
+      this.placeholders.has(placeholder) ? this.placeholders.get(placeholder) : placeholder
+    );
+  }
+
+  // Map placeholders in a classification back to the real parties.
+  // Free-text fields stay redacted for sensitive cases.
+  restoreIntake(intake) {
+    const restored = {
+      ...intake,
+      parties: (intake.parties || []).map(party => ({
+        ...party,
+        name: this.restore(party.name),
+        email: this.restore(party.email),
+        representation: this.restore(party.representation)
+      }))
+    };
+
+    if (this.level !== 'strict') {
+      restored.subjectMatter = this.restore(intake.subjectMatter);
+      restored.reasoningBrief = this.restore(intake.reasoningBrief);
+      restored.jurisdictionSignals = (intake.jurisdictionSignals || []).map(signal => this.restore(signal));
+    }
+
+    return restored;
+  }
+
+  getSummary() {
+    return {
+      level: this.level,
+      counts: { ...this.counters }
+    };
+  }
+}
+
+class RedactionService {
+  constructor() {
+    // off | standard | strict; sensitive cases are always strict
+    this.defaultLevel = process.env.REDACTION_LEVEL || 'standard';
+  }
+
+  // Redaction level for a case
+  getLevel({ sensitive = false } = {}) {
+    if (sensitive) return 'strict';
+    return ['off', 'standard', 'strict'].includes(this.defaultLevel) ? this.defaultLevel : 'standard';
+  }
+
+  // Returns null when redaction is off
+  createSession(policy = {}) {
+    const level = this.getLevel(policy);
+    return level === 'off' ? null : new RedactionSession(level);
+  }
+
+  // Organisations, the State and placeholders such as "Unknown"
+  isNonPersonalName(name) {
+    return NON_PERSONAL.test(name || '');
+  }
+}
+
+module.exports = new RedactionService();
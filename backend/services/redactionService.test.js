@@ -0,0 +1,44 @@
+const redactionService = require('./redactionService');
+const { cleanText } = require('../utils/textCleaning');
+
+describe('redactionService', () => {
+  describe('strict session on cleaned text', () => {
+    const raw = [
+      'IN THE COURT OF THE CHIEF JUDICIAL MAGISTRATE, PUNE',
+      'Complainant: Anita Desai',
+      'Accused: Rahul Verma',
+      'Date of birth: 05/03/2010, Class VII student.',
+      'The accused followed Anita on her way to school.'
+    ].join('\n');
+
+    it('redacts party names after line breaks are collapsed', () => {
+      const session = redactionService.createSession({ sensitive: true });
+      const redacted = session.redact(cleanText(raw));
+
+      expect(redacted).not.toMatch(/Anita|Desai|Rahul|Verma/);
+      expect(redacted).toContain('The accused followed');
+      expect(session.restore(redacted)).toContain('Rahul Verma');
+    });
+
+    it('ends a party name at the next label or the end of the sentence', () => {
+      const session = redactionService.createSession({ sensitive: true });
+      const redacted = session.redact('Complainant: Anita Desai Accused - Rahul Verma who threatened her. Facts follow.');
+
+      expect(redacted).toMatch(/^Complainant: \[PERSON_1\] Accused - \[PERSON_2\] who threatened her\./);
+    });
+  });
+
+  describe('strict DOB pattern', () => {
+    const redactDob = text => redactionService.createSession({ sensitive: true }).redact(text);
+
+    it('redacts only the date', () => {
+      expect(redactDob('DOB: 05/03/2010 studying in Class VII')).toBe('DOB: [DOB_1] studying in Class VII');
+      expect(redactDob('born on 5th March 2010 at Pune')).toBe('born on [DOB_1] at Pune');
+      expect(redactDob('Date of birth - March 5, 2010 and school Vidya Mandir')).toBe('Date of birth - [DOB_1] and school Vidya Mandir');
+    });
+
+    it('leaves text without a date alone', () => {
+      expect(redactDob('DOB: not known to the complainant')).toBe('DOB: not known to the complainant');
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const Case = require('../models/Case');
+const aiClassificationService = require('./aiClassificationService');
+const redactionService = require('./redactionService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+class RelatedCaseService {
+  constructor() {
+    // Only recent filings are compared
+    this.windowDays = parseInt(process.env.RELATED_CASE_WINDOW_DAYS) || 180;
+    this.minScore = parseFloat(process.env.RELATED_CASE_MIN_SCORE) || 0.5;
+    this.maxRelated = 10;
+    this.maxCandidates = 200;
+
+    // Weights for the related-case score (sum to 1)
+    this.weights = {
+      parties: 0.6,
+      subject: 0.3,
+      jurisdiction: 0.1
+    };
+  }
+
+  // Upload time: exact file duplicates, before any processing has happened
+  async findDuplicateUploads(caseDoc) {
+    if (!caseDoc.sourcePDF || !caseDoc.sourcePDF.hash) return [];
+
+    const duplicates = await Case.find({
+      _id: { $ne: caseDoc._id },
+      'sourcePDF.hash': caseDoc.sourcePDF.hash,
+      status: { $ne: 'archived' }
+    })
+      .select('caseNumber title status clientId submittedAt')
+      .sort({ submittedAt: -1 })
+      .limit(this.maxRelated);
+
+    if (duplicates.length === 0) return [];
+
+    const matches = duplicates.map(duplicate => ({
+      caseId: duplicate._id,
+      relation: 'duplicate',
+      score: 1,
+      reasons: ['Identical PDF uploaded']
+    }));
+
+    await this.recordMatches(caseDoc, matches);
+
+    logger.warn(`Duplicate upload detected for case: ${caseDoc.caseNumber}`, {
+      duplicates: duplicates.map(duplicate => duplicate.caseNumber)
+    });
+
+    return duplicates;
+  }
+
+  // Pipeline stage: compare the classified case against recent filings
+  async detectRelatedCases(caseDoc) {
+    const partyKeys = this.getPartyKeys(caseDoc.aiIntake);
+    caseDoc.partyKeys = partyKeys;
+
+    const since = new Date(Date.now() - this.windowDays * 24 * 60 * 60 * 1000);
+    const matchConditions = [{ partyKeys: { $in: partyKeys } }];
+    if (caseDoc.sourcePDF && caseDoc.sourcePDF.hash) {
+      matchConditions.push({ 'sourcePDF.hash': caseDoc.sourcePDF.hash });
+    }
+    if (caseDoc.textHash) {
+      matchConditions.push({ textHash: caseDoc.textHash });
+    }
+
+    const candidates = await Case.find({
+      _id: { $ne: caseDoc._id },
+      submittedAt: { $gte: since },
+      status: { $ne: 'archived' },
+      $or: matchConditions
+    })
+      .select('caseNumber clientId jurisdiction sourcePDF.hash textHash partyKeys aiIntake.subjectMatter')
+      .limit(this.maxCandidates);
+
+    const matches = candidates
+      .map(candidate => this.scoreCandidate(caseDoc, candidate))
+      .filter(match => match.relation === 'duplicate' || match.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxRelated);
+
+    await this.recordMatches(caseDoc, matches);
+
+    logger.info(`Related case check completed for case: ${caseDoc.caseNumber}`, {
+      candidates: candidates.length,
+      duplicates: matches.filter(match => match.relation === 'duplicate').length,
+      related: matches.filter(match => match.relation === 'related').length
+    });
+
+    return matches;
+  }
+
+  // Keys of the individuals named as parties. The State, government bodies and
+  // organisations are party to too many unrelated filings to link cases.
+  getPartyKeys(aiIntake) {
+    const parties = (aiIntake && aiIntake.parties) || [];
+    const keys = parties
+      .filter(party => !redactionService.isNonPersonalName(party.name))
+      .map(party => aiClassificationService.normalizePartyName(party.name))
+      .filter(key => key.length > 2);
+
+    return [...new Set(keys)];
+  }
+
+  // Score how likely a candidate concerns the same matter (0-1)
+  scoreCandidate(caseDoc, candidate) {
+    const match = { caseId: candidate._id, reasons: [] };
+
+    if (caseDoc.sourcePDF && caseDoc.sourcePDF.hash && candidate.sourcePDF && candidate.sourcePDF.hash === caseDoc.sourcePDF.hash) {
+      return { ...match, relation: 'duplicate', score: 1, reasons: ['Identical PDF uploaded'] };
+    }
+
+    if (caseDoc.textHash && candidate.textHash === caseDoc.textHash) {
+      return { ...match, relation: 'duplicate', score: 1, reasons: ['Identical document text'] };
+    }
+
+    const ownKeys = caseDoc.partyKeys || [];
+    const candidateKeys = candidate.partyKeys || [];
+    const sharedParties = ownKeys.filter(key => candidateKeys.includes(key));
+    const partyScore = sharedParties.length > 0
+      ? sharedParties.length / Math.min(ownKeys.length, candidateKeys.length)
+      : 0;
+
+    const subjectScore = this.calculateSubjectSimilarity(
+      caseDoc.aiIntake && caseDoc.aiIntake.subjectMatter,
+      candidate.aiIntake && candidate.aiIntake.subjectMatter
+    );
+
+    const sameJurisdiction = !!caseDoc.jurisdiction && !!candidate.jurisdiction &&
+      caseDoc.jurisdiction.trim().toLowerCase() === candidate.jurisdiction.trim().toLowerCase();
+
+    if (sharedParties.length > 0) match.reasons.push(`Shared parties: ${sharedParties.join(', ')}`);
+    if (subjectScore >= 0.5) match.reasons.push('Similar subject matter');
+    if (sameJurisdiction) match.reasons.push('Same jurisdiction');
+    if (caseDoc.clientId && candidate.clientId && String(this.getId(caseDoc.clientId)) === String(candidate.clientId)) {
+      match.reasons.push('Filed by the same client');
+    }
+
+    const score = this.weights.parties * partyScore +
+      this.weights.subject * subjectScore +
+      this.weights.jurisdiction * (sameJurisdiction ? 1 : 0);
+
+    return {
+      ...match,
+      relation: 'related',
+      score: Math.round(score * 100) / 100
+    };
+  }
+
+  // Word overlap (Jaccard) between two subject matter strings
+  calculateSubjectSimilarity(subjectA, subjectB) {
+    const tokenize = subject => new Set(
+      (subject || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2)
+    );
+
+    const wordsA = tokenize(subjectA);
+    const wordsB = tokenize(subjectB);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  // Replace detected matches on the case (admin links are kept) and mirror them
+  // onto the matched cases so both sides show the relation
+  async recordMatches(caseDoc, matches) {
+    const matchedIds = new Set(matches.map(match => String(match.caseId)));
+    const kept = (caseDoc.relatedCases || []).filter(related =>
+      related.relation === 'linked' || (!matchedIds.has(String(related.caseId)) && related.relation === 'duplicate')
+    );
+    const keptIds = new Set(kept.map(related => String(related.caseId)));
+
+    caseDoc.relatedCases = [
+      ...kept,
+      ...matches.filter(match => !keptIds.has(String(match.caseId)))
+    ];
+    await caseDoc.save();
+
+    await Promise.all(matches.map(match => Case.updateOne(
+      { _id: match.caseId, 'relatedCases.caseId': { $ne: caseDoc._id } },
+      {
+        $push: {
+          relatedCases: {
+            caseId: caseDoc._id,
+            relation: match.relation,
+            score: match.score,
+            reasons: match.reasons,
+            detectedAt: new Date()
+          }
+        }
+      }
+    )));
+  }
+
+  // Admin: link two cases so they are assigned to the same judge
+  async linkCases(caseDoc, relatedCaseDoc, { linkedBy, reason }) {
+    if (caseDoc._id.equals(relatedCaseDoc._id)) {
+      throw new AppError('A case cannot be linked to itself', 400, 'INVALID_LINK');
+    }
+
+    for (const [source, target] of [[caseDoc, relatedCaseDoc], [relatedCaseDoc, caseDoc]]) {
+      const existing = source.relatedCases.find(related => related.caseId.equals(target._id));
+
+      if (existing) {
+        existing.relation = 'linked';
+        existing.linkedBy = linkedBy;
+        existing.linkReason = reason;
+        existing.reasons.push('Linked by admin');
+      } else {
+        source.relatedCases.push({
+          caseId: target._id,
+          relation: 'linked',
+          reasons: ['Linked by admin'],
+          linkedBy,
+          linkReason: reason
+        });
+      }
+
+      await source.save();
+    }
+  }
+
+  // Admin: remove a link (the detected relation is not restored; the next check re-detects it)
+  async unlinkCases(caseDoc, relatedCaseDoc) {
+    for (const [source, target] of [[caseDoc, relatedCaseDoc], [relatedCaseDoc, caseDoc]]) {
+      source.relatedCases = source.relatedCases.filter(related =>
+        !(related.caseId.equals(target._id) && related.relation === 'linked')
+      );
+      await source.save();
+    }
+  }
+
+  // Related cases as shown to a user; clients only see their own filings
+  async getRelatedCasesView(caseDoc, user) {
+    const entries = caseDoc.relatedCases || [];
+    if (entries.length === 0) return [];
+
+    const relatedDocs = await Case.find({ _id: { $in: entries.map(related => this.getId(related.caseId)) } })
+      .select('caseNumber title status finalUrgency clientId assignment.judgeId submittedAt');
+    const byId = new Map(relatedDocs.map(doc => [String(doc._id), doc]));
+    const ownJudgeId = caseDoc.assignment && caseDoc.assignment.judgeId
+      ? String(this.getId(caseDoc.assignment.judgeId))
+      : null;
+
+    return entries
+      .map(related => ({ related, doc: byId.get(String(this.getId(related.caseId))) }))
+      .filter(({ doc }) => doc && (user.role !== 'client' || String(doc.clientId) === String(user.id)))
+      .map(({ related, doc }) => {
+        const view = {
+          caseId: doc._id,
+          caseNumber: doc.caseNumber,
+          title: doc.title,
+          status: doc.status,
+          relation: related.relation,
+          submittedAt: doc.submittedAt
+        };
+
+        if (user.role !== 'client') {
+          const judgeId = doc.assignment && doc.assignment.judgeId ? String(doc.assignment.judgeId) : null;
+          view.score = related.score;
+          view.reasons = related.reasons;
+          view.finalUrgency = doc.finalUrgency;
+          view.sameJudge = !!judgeId && judgeId === ownJudgeId;
+        }
+
+        return view;
+      });
+  }
+
+  // ObjectId from a possibly populated reference
+  getId(ref) {
+    return ref && ref._id ? ref._id : ref;
+  }
+}
+
+module.exports = new RelatedCaseService();
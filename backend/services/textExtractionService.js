@@ -1,27 +1,152 @@
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
+const { fromBuffer } = require('pdf2pic');
+const languageService = require('./languageService');
 const logger = require('../utils/logger');
+const { runWithConcurrency } = require('../utils/concurrency');
+const { cleanText } = require('../utils/textCleaning');
 const { AppError } = require('../middleware/errorHandler');
 
 class TextExtractionService {
   constructor() {
-    this.ocrWorker = null;
-    this.initOCR();
+    // Bounded pools of Tesseract workers, one per language set, created on first use
+    this.ocrSchedulers = new Map(); // 'eng+hin' -> { promise, lastUsed, active }
+    this.ocrConcurrency = parseInt(process.env.OCR_CONCURRENCY) || 2;
+    this.maxLanguagePools = parseInt(process.env.OCR_MAX_LANGUAGE_POOLS) || 2;
+    
+    // Languages used when a page's script cannot be detected
+    this.defaultOCRLanguages = process.env.OCR_LANGUAGES || 'eng+hin';
+    
+    // Per-page script detection (Tesseract OSD) picks the OCR languages
+    this.scriptDetectionEnabled = process.env.OCR_SCRIPT_DETECTION !== 'false';
+    this.osdWorkerPromise = null;
+    
+    // Pages below this text density are OCR'd (see calculateTextDensity)
+    this.minPageTextDensity = 0.1;
+    
+    // Page rasterization settings
+    this.renderOptions = {
+      density: parseInt(process.env.OCR_RENDER_DPI) || 300,
+      format: 'png',
+      width: 2480,  // A4 at 300 DPI
+      height: 3508,
+      preserveAspectRatio: true
+    };
+  }
+  
+  // Worker pool for a language set, e.g. 'eng+tam'; await pool.promise for the scheduler.
+  // Each call reserves the pool until the caller decrements pool.active, and reserved
+  // pools are never evicted. The reservation is taken before anything is awaited,
+  // so a pool still starting up is not mistaken for idle.
+  initOCR(languages = this.defaultOCRLanguages) {
+    let pool = this.ocrSchedulers.get(languages);
+    
+    if (!pool) {
+      pool = { promise: null, lastUsed: Date.now(), active: 0 };
+      this.ocrSchedulers.set(languages, pool);
+      
+      pool.promise = this.evictIdlePools(languages)
+        .then(() => this.createOCRScheduler(languages))
+        .catch((error) => {
+          this.ocrSchedulers.delete(languages);
+          logger.error(`OCR worker initialization failed for ${languages}:`, error);
+          throw error;
+        });
+    }
+    
+    pool.active += 1;
+    pool.lastUsed = Date.now();
+    return pool;
+  }
+  
+  async createOCRScheduler(languages) {
+    const scheduler = Tesseract.createScheduler();
+    
+    for (let i = 0; i < this.ocrConcurrency; i++) {
+      const worker = await Tesseract.createWorker();
+      await worker.loadLanguage(languages);
+      await worker.initialize(languages);
+      scheduler.addWorker(worker);
+    }
+    
+    logger.info(`OCR worker pool initialized with ${this.ocrConcurrency} workers for ${languages}`);
+    return scheduler;
+  }
+  
+  // Keep memory bounded: drop the least recently used idle pool once the limit is reached
+  async evictIdlePools(keep) {
+    if (this.ocrSchedulers.size <= this.maxLanguagePools) return;
+    
+    const idle = Array.from(this.ocrSchedulers.entries())
+      .filter(([languages, pool]) => languages !== keep && pool.active === 0)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    if (idle.length === 0) return;
+    
+    const [languages, pool] = idle[0];
+    this.ocrSchedulers.delete(languages);
+    
+    try {
+      const scheduler = await pool.promise;
+      await scheduler.terminate();
+      logger.info(`OCR worker pool for ${languages} released`);
+    } catch (error) {
+      logger.warn(`Failed to release OCR worker pool for ${languages}:`, error);
+    }
   }
   
-  async initOCR() {
+  // Single worker for orientation and script detection
+  async initScriptDetection() {
+    if (!this.osdWorkerPromise) {
+      this.osdWorkerPromise = (async () => {
+        const worker = await Tesseract.createWorker();
+        await worker.loadLanguage('osd');
+        await worker.initialize('osd');
+        return worker;
+      })().catch((error) => {
+        // Without OSD every page uses the default languages
+        this.scriptDetectionEnabled = false;
+        this.osdWorkerPromise = null;
+        logger.warn('OCR script detection unavailable, using default OCR languages:', error);
+        return null;
+      });
+    }
+    
+    return this.osdWorkerPromise;
+  }
+  
+  // Tesseract script name for a page image ('Devanagari', 'Tamil', ...), or null
+  async detectPageScript(imageBuffer) {
+    if (!this.scriptDetectionEnabled) return null;
+    
+    const worker = await this.initScriptDetection();
+    if (!worker) return null;
+    
     try {
-      // Initialize Tesseract worker for better performance
-      this.ocrWorker = await Tesseract.createWorker();
-      await this.ocrWorker.loadLanguage('eng');
-      await this.ocrWorker.initialize('eng');
-      logger.info('OCR worker initialized');
+      const { data } = await worker.detect(imageBuffer);
+      return data && data.script ? data.script : null;
     } catch (error) {
-      logger.error('OCR worker initialization failed:', error);
+      logger.warn('OCR script detection failed for page:', error);
+      return null;
     }
   }
   
+  // OCR languages for one page: its detected script, else the document's language, else the default
+  async selectPageLanguages(imageBuffer, languageHint) {
+    const script = await this.detectPageScript(imageBuffer);
+    const codes = script ? languageService.getLanguagesForScript(script, languageHint) : [];
+    
+    if (codes.length > 0) {
+      return { languages: languageService.getOCRLanguages(codes), script };
+    }
+    
+    if (languageHint && languageService.isSupported(languageHint)) {
+      return { languages: languageService.getOCRLanguages([languageHint]), script };
+    }
+    
+    return { languages: this.defaultOCRLanguages, script };
+  }
+  
   // Main text extraction method
   async extractText(pdfBuffer, options = {}) {
     const startTime = Date.now();
@@ -39,17 +164,37 @@ class TextExtractionService {
         extractedText = result.text;
         metadata = result.metadata;
         
-        // Check if text extraction was successful
-        const textDensity = this.calculateTextDensity(extractedText, result.metadata.pages);
+        // Pages with too little embedded text are likely scanned
+        const lowTextPages = this.findLowTextPages(result.pageTexts);
         
-        if (textDensity < 0.1 && fallbackToOCR) {
-          // Low text density suggests scanned PDF, try OCR
-          logger.info('Low text density detected, falling back to OCR');
-          const ocrResult = await this.extractWithOCR(pdfBuffer);
-          extractedText = ocrResult.text;
-          method = 'ocr';
-          confidence = ocrResult.confidence;
-          metadata = { ...metadata, ...ocrResult.metadata };
+        if (lowTextPages.length > 0 && fallbackToOCR) {
+          if (lowTextPages.length === result.pageTexts.length) {
+            // Fully scanned document, OCR everything
+            logger.info('Low text density detected on all pages, falling back to OCR');
+            const ocrResult = await this.extractWithOCR(pdfBuffer, { pageCount: result.metadata.pages });
+            extractedText = ocrResult.text;
+            method = 'ocr';
+            confidence = ocrResult.confidence;
+            metadata = { ...metadata, ...ocrResult.metadata };
+          } else {
+            // Mixed document, OCR only the scanned pages
+            logger.info(`Low text density detected on ${lowTextPages.length} of ${result.pageTexts.length} pages, using hybrid extraction`);
+            const ocrResult = await this.extractWithOCR(pdfBuffer, {
+              pages: lowTextPages,
+              languageHint: languageService.detect(result.text).code
+            });
+            const merged = this.mergePageTexts(result.pageTexts, ocrResult.pages);
+            extractedText = merged.text;
+            method = 'hybrid';
+            confidence = merged.confidence;
+            metadata = {
+              ...metadata,
+              method: 'hybrid',
+              ocrPages: lowTextPages,
+              pageConfidences: ocrResult.metadata.pageConfidences,
+              ocrLanguages: ocrResult.metadata.ocrLanguages
+            };
+          }
         }
       } else {
         // Force OCR extraction
@@ -62,6 +207,7 @@ class TextExtractionService {
       
       // Clean and normalize the extracted text
       const cleanedText = this.cleanText(extractedText);
+      const language = languageService.detect(cleanedText);
       
       const processingTime = Date.now() - startTime;
       
@@ -69,6 +215,7 @@ class TextExtractionService {
         text: cleanedText,
         method,
         confidence,
+        language,
         processingTime,
         metadata: {
           ...metadata,
@@ -85,12 +232,14 @@ class TextExtractionService {
     }
   }
   
-  // Extract text using pdf-parse
+  // Extract text using pdf-parse, keeping the text of each page
   async extractWithPdfParse(pdfBuffer) {
     try {
+      const pageTexts = [];
+      
       const options = {
         // Custom render function to handle special cases
-        render_page: (pageData) => {
+        pagerender: (pageData) => {
           return pageData.getTextContent().then((textContent) => {
             let lastY, text = '';
             
@@ -102,6 +251,8 @@ class TextExtractionService {
               }
               lastY = item.transform[5];
             }
+            
+            pageTexts[pageData.pageNumber - 1] = text;
             return text;
           });
         }
@@ -109,8 +260,14 @@ class TextExtractionService {
       
       const data = await pdfParse(pdfBuffer, options);
       
+      // Pages pdf-parse failed to render come back empty
+      for (let i = 0; i < data.numpages; i++) {
+        if (typeof pageTexts[i] !== 'string') pageTexts[i] = '';
+      }
+      
       return {
         text: data.text,
+        pageTexts,
         metadata: {
           pages: data.numpages,
           info: data.info,
@@ -123,72 +280,160 @@ class TextExtractionService {
     }
   }
   
-  // Extract text using OCR
-  async extractWithOCR(pdfBuffer) {
+  // Find 1-based page numbers whose embedded text is too sparse to trust
+  findLowTextPages(pageTexts, threshold = this.minPageTextDensity) {
+    return pageTexts.reduce((pages, text, index) => {
+      if (this.calculateTextDensity(text, 1) < threshold) {
+        pages.push(index + 1);
+      }
+      return pages;
+    }, []);
+  }
+  
+  // Stitch parsed and OCR'd pages back together in page order
+  mergePageTexts(pageTexts, ocrPages) {
+    const ocrByPage = new Map(ocrPages.map(page => [page.page, page]));
+    const sections = [];
+    let totalConfidence = 0;
+    
+    pageTexts.forEach((text, index) => {
+      const pageNumber = index + 1;
+      const ocrPage = ocrByPage.get(pageNumber);
+      
+      if (ocrPage) {
+        sections.push(`[Page ${pageNumber} - OCR]\n${ocrPage.text}`);
+        totalConfidence += ocrPage.confidence;
+      } else {
+        sections.push(`[Page ${pageNumber}]\n${text}`);
+        totalConfidence += 1; // Embedded text is exact
+      }
+    });
+    
+    return {
+      text: sections.join('\n\n'),
+      confidence: pageTexts.length > 0 ? totalConfidence / pageTexts.length : 0
+    };
+  }
+  
+  // Extract text using OCR, rasterizing and recognizing pages in parallel
+  async extractWithOCR(pdfBuffer, options = {}) {
+    // Keep each language pool this document uses until its last page is done,
+    // so another document's languages cannot evict it between pages
+    const heldPools = new Map();
+    
     try {
-      // Convert PDF to images first
-      const images = await this.convertPdfToImages(pdfBuffer);
+      const pageCount = options.pageCount || await this.getPageCount(pdfBuffer);
+      const pageNumbers = options.pages || Array.from({ length: pageCount }, (_, i) => i + 1);
       
-      let fullText = '';
-      let totalConfidence = 0;
-      let pageCount = 0;
+      const renderer = this.createPageRenderer(pdfBuffer);
       
-      for (const imageBuffer of images) {
-        const result = await this.performOCR(imageBuffer);
-        fullText += result.text + '\n\n';
-        totalConfidence += result.confidence;
-        pageCount++;
-      }
+      // Each task renders one page and OCRs it, so at most ocrConcurrency images are held in memory
+      const pageResults = await runWithConcurrency(pageNumbers, this.ocrConcurrency, async (pageNumber) => {
+        const imageBuffer = await this.renderPage(renderer, pageNumber);
+        const { languages, script } = await this.selectPageLanguages(imageBuffer, options.languageHint);
+        if (!heldPools.has(languages)) heldPools.set(languages, this.initOCR(languages));
+        const result = await this.performOCR(imageBuffer, languages);
+        return {
+          page: pageNumber,
+          text: result.text,
+          confidence: result.confidence / 100, // Convert to 0-1 scale
+          wordsCount: this.countWords(result.text),
+          languages,
+          script
+        };
+      });
       
-      const averageConfidence = pageCount > 0 ? totalConfidence / pageCount : 0;
+      const fullText = pageResults.map(result => result.text).join('\n\n');
+      const averageConfidence = pageResults.length > 0
+        ? pageResults.reduce((sum, result) => sum + result.confidence, 0) / pageResults.length
+        : 0;
       
       return {
         text: fullText,
-        confidence: averageConfidence / 100, // Convert to 0-1 scale
+        confidence: averageConfidence,
+        pages: pageResults,
         metadata: {
-          pages: pageCount,
+          pages: pageResults.length,
           method: 'tesseract',
-          averageConfidence
+          averageConfidence,
+          pageConfidences: pageResults.map(({ page, confidence, wordsCount, languages }) => ({
+            page,
+            confidence,
+            wordsCount,
+            languages
+          })),
+          ocrLanguages: [...new Set(pageResults.map(result => result.languages))]
         }
       };
     } catch (error) {
       logger.error('OCR extraction error:', error);
+      if (error.isOperational) throw error;
       throw new AppError('OCR extraction failed', 500, 'OCR_FAILED');
+    } finally {
+      heldPools.forEach(pool => { pool.active -= 1; });
+    }
+  }
+  
+  // Get the number of pages without extracting the whole document
+  async getPageCount(pdfBuffer) {
+    try {
+      const data = await pdfParse(pdfBuffer, { max: 1 });
+      return data.numpages;
+    } catch (error) {
+      logger.error('PDF page count error:', error);
+      throw new AppError('PDF parsing failed', 500, 'PDF_PARSE_FAILED');
     }
   }
   
-  // Convert PDF to images for OCR
-  async convertPdfToImages(pdfBuffer) {
+  // Create a page renderer (Ghostscript + GraphicsMagick via pdf2pic)
+  createPageRenderer(pdfBuffer) {
+    return fromBuffer(pdfBuffer, this.renderOptions);
+  }
+  
+  // Render a single page to an OCR-ready image
+  async renderPage(renderer, pageNumber) {
     try {
-      // For now, we'll use a simple approach
-      // In production, you might want to use pdf2pic or similar
-      // This is a simplified implementation
+      const { buffer } = await renderer(pageNumber, { responseType: 'buffer' });
+      
+      if (!buffer || buffer.length === 0) {
+        throw new Error(`Empty image for page ${pageNumber}`);
+      }
       
-      // Create a single image from the PDF buffer
-      // Note: This is a placeholder - you'd need a proper PDF to image converter
-      const image = await sharp(pdfBuffer, { density: 300 })
+      // Grayscale and normalize contrast to help Tesseract on faint scans
+      return await sharp(buffer)
+        .grayscale()
+        .normalize()
         .png()
         .toBuffer();
-      
-      return [image];
     } catch (error) {
-      // If sharp fails (which it will with PDF), we'll try alternative approach
-      logger.warn('PDF to image conversion failed, using fallback method');
-      
-      // Return the original buffer as fallback
-      // In production, implement proper PDF to image conversion
-      return [pdfBuffer];
+      logger.error(`PDF page ${pageNumber} rendering failed:`, error);
+      throw new AppError(`PDF page ${pageNumber} rendering failed`, 500, 'PDF_RENDER_FAILED');
     }
   }
   
-  // Perform OCR on image buffer
-  async performOCR(imageBuffer) {
+  // Convert PDF pages to images for OCR
+  async convertPdfToImages(pdfBuffer, pageNumbers = null) {
+    const pages = pageNumbers || Array.from(
+      { length: await this.getPageCount(pdfBuffer) },
+      (_, i) => i + 1
+    );
+    const renderer = this.createPageRenderer(pdfBuffer);
+    
+    const images = [];
+    for (const pageNumber of pages) {
+      images.push(await this.renderPage(renderer, pageNumber));
+    }
+    
+    return images;
+  }
+  
+  // Perform OCR on image buffer with the given Tesseract languages ('eng+hin')
+  async performOCR(imageBuffer, languages = this.defaultOCRLanguages) {
+    const pool = this.initOCR(languages);
     try {
-      if (!this.ocrWorker) {
-        await this.initOCR();
-      }
+      const scheduler = await pool.promise;
       
-      const { data: { text, confidence } } = await this.ocrWorker.recognize(imageBuffer);
+      const { data: { text, confidence } } = await scheduler.addJob('recognize', imageBuffer);
       
       return {
         text: text || '',
@@ -197,6 +442,8 @@ class TextExtractionService {
     } catch (error) {
       logger.error('OCR recognition error:', error);
       throw new AppError('OCR recognition failed', 500, 'OCR_RECOGNITION_FAILED');
+    } finally {
+      pool.active -= 1;
     }
   }
   
@@ -214,23 +461,9 @@ class TextExtractionService {
     return Math.min((wordDensity + charDensity) / 2, 1);
   }
   
-  // Clean and normalize extracted text
+  // Clean and normalize extracted text (see utils/textCleaning)
   cleanText(text) {
-    if (!text) return '';
-    
-    return text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove page numbers (simple heuristic)
-      .replace(/^\s*\d+\s*$/gm, '')
-      // Remove headers/footers (lines with only caps and numbers)
-      .replace(/^[A-Z0-9\s]{3,}$/gm, '')
-      // Remove watermarks (repeated short phrases)
-      .replace(/(.{1,20})\1{3,}/g, '$1')
-      // Clean up line breaks
-      .replace(/\n\s*\n/g, '\n\n')
-      // Trim whitespace
-      .trim();
+    return cleanText(text);
   }
   
   // Count words in text
@@ -304,10 +537,20 @@ class TextExtractionService {
   
   // Cleanup method
   async cleanup() {
-    if (this.ocrWorker) {
-      await this.ocrWorker.terminate();
-      logger.info('OCR worker terminated');
+    const pools = Array.from(this.ocrSchedulers.values());
+    this.ocrSchedulers.clear();
+    
+    for (const pool of pools) {
+      const scheduler = await pool.promise.catch(() => null);
+      if (scheduler) await scheduler.terminate();
     }
+    if (pools.length > 0) {
+      logger.info(`OCR worker pools terminated (${pools.length})`);
+    }
+    
+    const osdWorker = this.osdWorkerPromise ? await this.osdWorkerPromise : null;
+    this.osdWorkerPromise = null;
+    if (osdWorker) await osdWorker.terminate();
   }
 }
 
@@ -0,0 +1,176 @@
+const Case = require('../models/Case');
+const TriageFeedback = require('../models/TriageFeedback');
+const jobQueueService = require('./jobQueueService');
+const classificationCacheService = require('./classificationCacheService');
+const urgencyService = require('./urgencyService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+// Holds doubtful classifications for a human check before assignment, and
+// keeps each decision as labelled feedback
+class TriageReviewService {
+  constructor() {
+    // Classifications below this confidence wait for a reviewer
+    this.confidenceThreshold = parseFloat(process.env.TRIAGE_CONFIDENCE_THRESHOLD) || 0.6;
+    this.enabled = process.env.TRIAGE_REVIEW_ENABLED !== 'false';
+  }
+
+  // Why a classification needs a human look; empty when it can go straight on
+  getReviewReasons(aiIntake) {
+    if (!this.enabled || !aiIntake) return [];
+
+    const reasons = [];
+    if (typeof aiIntake.confidence !== 'number' || aiIntake.confidence < this.confidenceThreshold) {
+      reasons.push('low_confidence');
+    }
+    if (aiIntake.urgency === 'URGENT' && (!aiIntake.riskSignals || aiIntake.riskSignals.length === 0)) {
+      reasons.push('urgent_without_risk_signals');
+    }
+    return reasons;
+  }
+
+  // Flag a freshly classified case; a new classification replaces any earlier review
+  requestReview(caseDoc) {
+    const reasons = this.getReviewReasons(caseDoc.aiIntake);
+
+    caseDoc.triageReview = reasons.length > 0
+      ? { status: 'pending', reasons, requestedAt: new Date() }
+      : undefined;
+
+    return reasons;
+  }
+
+  isPending(caseDoc) {
+    return !!(caseDoc.triageReview && caseDoc.triageReview.status === 'pending');
+  }
+
+  // Oldest first
+  async getQueue({ limit = 20, skip = 0 } = {}) {
+    const filter = { 'triageReview.status': 'pending' };
+
+    const [cases, total] = await Promise.all([
+      Case.find(filter)
+        .select('caseNumber title jurisdiction status finalUrgency aiIntake triageReview caseFacts.deadlines isSensitive submittedAt')
+        .sort({ 'triageReview.requestedAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      Case.countDocuments(filter)
+    ]);
+
+    return {
+      cases: cases.map(caseDoc => {
+        // Raw model output is for admin audit only
+        const { rawResponse, ...aiIntake } = caseDoc.aiIntake ? caseDoc.aiIntake.toObject() : {};
+        return { ...caseDoc.toObject(), aiIntake };
+      }),
+      total
+    };
+  }
+
+  // Confirm the classification or correct urgency, subject matter and parties,
+  // then resume the pipeline. corrections: { urgency, subjectMatter, parties, notes }
+  async submitReview(caseId, reviewer, corrections = {}) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc) {
+      throw new AppError('Case not found', 404, 'CASE_NOT_FOUND');
+    }
+
+    if (!this.isPending(caseDoc)) {
+      throw new AppError('Case is not awaiting triage review', 409, 'REVIEW_NOT_PENDING');
+    }
+
+    const original = this.getLabels(caseDoc.aiIntake);
+    const correctedFields = this.getCorrectedFields(original, corrections);
+    const decision = correctedFields.length > 0 ? 'overridden' : 'confirmed';
+
+    for (const field of correctedFields) {
+      caseDoc.aiIntake[field] = corrections[field];
+    }
+
+    if (correctedFields.includes('urgency')) {
+      urgencyService.applyUrgency(caseDoc, {
+        urgency: corrections.urgency,
+        source: 'human',
+        reason: 'Corrected in triage review',
+        changedBy: reviewer.id
+      });
+    }
+
+    const feedback = await TriageFeedback.create({
+      caseId: caseDoc._id,
+      reviewerId: reviewer.id,
+      decision,
+      reasons: caseDoc.triageReview.reasons,
+      correctedFields,
+      notes: corrections.notes,
+      original,
+      corrected: this.getLabels(caseDoc.aiIntake),
+      confidence: caseDoc.aiIntake.confidence,
+      riskSignals: caseDoc.aiIntake.riskSignals,
+      promptVersion: caseDoc.aiIntake.promptVersion,
+      model: caseDoc.aiIntake.aiModel,
+      provider: caseDoc.aiIntake.provider,
+      textHash: caseDoc.textHash
+    });
+
+    caseDoc.triageReview.status = decision;
+    caseDoc.triageReview.reviewedBy = reviewer.id;
+    caseDoc.triageReview.reviewedAt = new Date();
+    caseDoc.triageReview.correctedFields = correctedFields;
+    caseDoc.triageReview.notes = corrections.notes;
+    caseDoc.status = 'classified';
+    await caseDoc.save();
+
+    // A wrong classification must not be reused for the same document
+    if (decision === 'overridden' && caseDoc.textHash) {
+      await classificationCacheService.invalidate({ textHash: caseDoc.textHash });
+    }
+
+    // Corrected parties change related-case matching; urgency is re-derived by the news check
+    const fromStage = correctedFields.includes('parties') ? 'related_case_check' : 'news_check';
+    const job = await jobQueueService.enqueue('process_case', {
+      caseId: caseDoc._id,
+      payload: { fromStage }
+    });
+
+    logger.info(`Triage review ${decision} for case: ${caseDoc.caseNumber}`, {
+      reviewer: reviewer.email,
+      correctedFields
+    });
+
+    return { caseDoc, feedback, job, fromStage };
+  }
+
+  // Fields where the reviewer's value differs from the classification
+  getCorrectedFields(original, corrections) {
+    const fields = [];
+
+    if (corrections.urgency && corrections.urgency !== original.urgency) {
+      fields.push('urgency');
+    }
+    if (typeof corrections.subjectMatter === 'string' &&
+        corrections.subjectMatter.trim() !== (original.subjectMatter || '')) {
+      fields.push('subjectMatter');
+    }
+    if (Array.isArray(corrections.parties) &&
+        JSON.stringify(this.getPartyLabels(corrections.parties)) !== JSON.stringify(original.parties)) {
+      fields.push('parties');
+    }
+
+    return fields;
+  }
+
+  getLabels(aiIntake) {
+    return {
+      urgency: aiIntake.urgency,
+      subjectMatter: aiIntake.subjectMatter,
+      parties: this.getPartyLabels(aiIntake.parties || [])
+    };
+  }
+
+  getPartyLabels(parties) {
+    return parties.map(party => ({ name: party.name, type: party.type }));
+  }
+}
+
+module.exports = new TriageReviewService();
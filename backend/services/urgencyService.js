@@ -0,0 +1,160 @@
+const Job = require('../models/Job');
+const caseFactsService = require('./caseFactsService');
+const newsSensitivityService = require('./newsSensitivityService');
+const jobQueueService = require('./jobQueueService');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const ORDER = ['LOW', 'MODERATE', 'URGENT'];
+
+// Works out a case's final urgency from its classification, fact-based rules,
+// news escalation and manual overrides, and records every change
+class UrgencyService {
+  constructor() {
+    // Assignment is re-run on urgency changes only before the assignee has accepted
+    this.reassignableStatuses = ['classified', 'assigned', 'error'];
+  }
+
+  compare(a, b) {
+    return ORDER.indexOf(a) - ORDER.indexOf(b);
+  }
+
+  // Urgency before news escalation: a manual override, else the classified urgency
+  // raised by fact-based rules (>10 lakh fraud, deadline within 7 days)
+  getBaseUrgency(caseDoc, text) {
+    const override = caseDoc.urgencyOverride;
+    if (override && override.urgency) {
+      return {
+        urgency: override.urgency,
+        source: 'human',
+        reason: override.reason,
+        changedBy: override.setBy
+      };
+    }
+
+    const base = {
+      urgency: caseDoc.aiIntake.urgency,
+      source: 'ai',
+      reason: `Classified by ${caseDoc.aiIntake.provider || 'AI'}`
+    };
+
+    if (!caseDoc.caseFacts) return base;
+
+    const factUrgency = caseFactsService.getFactBasedUrgency(text, caseDoc.caseFacts);
+    if (factUrgency && this.compare(factUrgency.urgency, base.urgency) > 0) {
+      logger.info(`Urgency raised by extracted facts for case: ${caseDoc.caseNumber}`, {
+        from: base.urgency,
+        to: factUrgency.urgency,
+        rule: factUrgency.rule
+      });
+
+      return { urgency: factUrgency.urgency, source: 'fact_rule', reason: factUrgency.reason };
+    }
+
+    return base;
+  }
+
+  // Base urgency raised by the stored news signals under the given news rules;
+  // a manual override is not escalated
+  getNewsEscalation(caseDoc, base, rules) {
+    if (base.source === 'human' || !caseDoc.newsSignals) return base;
+
+    const escalation = newsSensitivityService.shouldEscalateUrgency(caseDoc.newsSignals, base.urgency, rules);
+    if (!escalation.shouldEscalate) return base;
+
+    return { urgency: escalation.newUrgency, source: 'news', reason: escalation.reason };
+  }
+
+  // Set finalUrgency and keep urgencyEscalated/escalationReason in step.
+  // change: { urgency, source, reason, changedBy }
+  applyUrgency(caseDoc, change) {
+    const changed = caseDoc.setUrgency(change.urgency, change);
+
+    caseDoc.urgencyEscalated = change.source !== 'ai' && this.compare(change.urgency, caseDoc.aiIntake.urgency) > 0;
+    caseDoc.escalationReason = caseDoc.urgencyEscalated ? change.reason : undefined;
+
+    return changed;
+  }
+
+  // Manual raise or lower; stays in force over later pipeline runs until cleared
+  async overrideUrgency(caseDoc, { urgency, reason, user }) {
+    if (!caseDoc.aiIntake) {
+      throw new AppError('Case has not been classified yet', 409, 'CASE_NOT_CLASSIFIED');
+    }
+
+    const previousUrgency = caseDoc.finalUrgency;
+
+    caseDoc.urgencyOverride = {
+      urgency,
+      reason,
+      setBy: user.id,
+      setAt: new Date()
+    };
+    const changed = this.applyUrgency(caseDoc, { urgency, source: 'human', reason, changedBy: user.id });
+    await caseDoc.save();
+
+    const job = changed ? await this.reassess(caseDoc, user) : null;
+
+    return { previousUrgency, changed, job };
+  }
+
+  // Hand urgency back to the classification and rules
+  async clearOverride(caseDoc, { reason, user }) {
+    if (!caseDoc.urgencyOverride || !caseDoc.urgencyOverride.urgency) {
+      throw new AppError('Case has no manual urgency override', 409, 'NO_URGENCY_OVERRIDE');
+    }
+
+    const previousUrgency = caseDoc.finalUrgency;
+    caseDoc.urgencyOverride = undefined;
+
+    const base = this.getBaseUrgency(caseDoc, encryptionService.decrypt(caseDoc.extractedText));
+    const change = this.getNewsEscalation(caseDoc, base, await newsSensitivityService.getActiveRules());
+    const changed = this.applyUrgency(caseDoc, {
+      ...change,
+      reason: `Manual override cleared: ${reason} (${change.reason})`,
+      changedBy: user.id
+    });
+    await caseDoc.save();
+
+    const job = changed ? await this.reassess(caseDoc, user) : null;
+
+    return { previousUrgency, changed, job };
+  }
+
+  // Re-run assignment rules after an urgency change. Cases still in the pipeline
+  // or already accepted are left alone, as is a case whose assigned judge made
+  // the change: the new urgency is recorded and they keep the case.
+  // user is omitted for system changes such as a news re-check.
+  async reassess(caseDoc, user = null) {
+    if (!this.reassignableStatuses.includes(caseDoc.status)) {
+      return null;
+    }
+
+    const judgeId = caseDoc.assignment && caseDoc.assignment.judgeId;
+    if (user && judgeId && String(judgeId) === String(user.id)) {
+      return null;
+    }
+
+    if (await Job.findActiveForCase(caseDoc._id)) {
+      return null;
+    }
+
+    return jobQueueService.enqueue('process_case', {
+      caseId: caseDoc._id,
+      payload: {
+        fromStage: 'assignment',
+        ...(user && {
+          requestedBy: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            ip: user.ip
+          }
+        })
+      }
+    });
+  }
+}
+
+module.exports = new UrgencyService();
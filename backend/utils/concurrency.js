@@ -0,0 +1,19 @@
+// Run async tasks over items with at most `limit` in flight, preserving order
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports = { runWithConcurrency };
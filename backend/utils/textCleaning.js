@@ -0,0 +1,21 @@
+// Normalize extracted document text. Whitespace, line breaks included, is
+// collapsed, so anything parsing the stored text must not rely on line starts.
+function cleanText(text) {
+  if (!text) return '';
+
+  return text
+    // Remove excessive whitespace
+    .replace(/\s+/g, ' ')
+    // Remove page numbers (simple heuristic)
+    .replace(/^\s*\d+\s*$/gm, '')
+    // Remove headers/footers (lines with only caps and numbers)
+    .replace(/^[A-Z0-9\s]{3,}$/gm, '')
+    // Remove watermarks (repeated short phrases)
+    .replace(/(.{1,20})\1{3,}/g, '$1')
+    // Clean up line breaks
+    .replace(/\n\s*\n/g, '\n\n')
+    // Trim whitespace
+    .trim();
+}
+
+module.exports = { cleanText };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+require('dotenv').config();
+
+const jobQueueService = require('./services/jobQueueService');
+const casePipelineService = require('./services/casePipelineService');
+const newsMonitoringService = require('./services/newsMonitoringService');
+const textExtractionService = require('./services/textExtractionService');
+const logger = require('./utils/logger');
+
+// Register job handlers
+jobQueueService.registerHandler('process_case', casePipelineService.getJobHandler());
+jobQueueService.registerHandler('news_recheck', newsMonitoringService.getJobHandler());
+
+// Periodic sweep for open cases whose news re-check is due
+let newsSweep = null;
+const scheduleNewsSweep = () => {
+  newsSweep = cron.schedule(process.env.NEWS_RECHECK_CRON || '*/15 * * * *', async () => {
+    try {
+      await newsMonitoringService.scheduleDueChecks();
+    } catch (error) {
+      logger.error('News re-check sweep failed:', error);
+    }
+  });
+};
+
+// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/panchtatva-justice', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(() => {
+  logger.info('Worker connected to MongoDB');
+  jobQueueService.start();
+  scheduleNewsSweep();
+})
+.catch((error) => {
+  logger.error('MongoDB connection error:', error);
+  process.exit(1);
+});
+
+// Graceful shutdown - let the current job finish so its checkpoint is written
+const shutdown = async () => {
+  logger.info('Worker shutting down gracefully...');
+  if (newsSweep) newsSweep.stop();
+  await jobQueueService.stop();
+  await textExtractionService.cleanup();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,171 @@
+// Labelled demo case scenarios
+// Used for demo uploads and as the starting corpus for the classification
+// evaluation command (backend/scripts/evaluate.js). Risk signal labels use the
+// names in backend/services/llm/classificationRules.js.
+
+const demoCaseScenarios = [
+  {
+    title: 'Rape Case - Immediate Action Required',
+    content: `FIRST INFORMATION REPORT
+Police Station: Connaught Place, New Delhi
+Date: ${new Date().toDateString()}
+
+Complainant: Ms. Victim Name (Identity Protected)
+Accused: Mr. Accused Name
+
+Details: The complainant has filed a case under IPC Section 376 (Rape). The incident occurred on ${new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toDateString()}. Medical examination has been conducted. Evidence has been collected. Accused is currently absconding.
+
+This case requires immediate attention due to the serious nature of the crime and potential flight risk of the accused.`,
+    expectedUrgency: 'URGENT',
+    expectedRiskSignals: ['Ongoing criminal activity'],
+    expectedAreas: ['criminal'],
+    clientEmail: 'ramesh.client@gmail.com'
+  },
+  {
+    title: 'Property Dispute - Possession Issue',
+    content: `CIVIL SUIT FOR POSSESSION AND DAMAGES
+Court: District Court, Mumbai
+Date: ${new Date().toDateString()}
+
+Plaintiff: Priya Sharma
+Defendant: Builder XYZ Ltd.
+
+The plaintiff purchased a flat in ABC Towers, Mumbai for Rs. 1.2 Crores in 2020. Despite full payment, possession has not been given. The builder is now claiming additional charges and delaying possession.
+
+Seeking: 1) Possession of the flat 2) Compensation for rental expenses 3) Interest on delayed possession
+
+Property Details: 2BHK, Flat No. 504, ABC Towers, Andheri West, Mumbai
+Registration No: MH/2020/12345`,
+    expectedUrgency: 'MODERATE',
+    expectedRiskSignals: [],
+    expectedAreas: ['civil'],
+    clientEmail: 'priya.client@gmail.com'
+  },
+  {
+    title: 'Cyber Crime - Data Breach',
+    content: `COMPLAINT UNDER IT ACT 2000
+Cyber Crime Cell: Bangalore
+Date: ${new Date().toDateString()}
+
+Complainant: TechCorp Solutions Pvt. Ltd.
+Nature: Data Breach and Cyber Attack
+
+Our company's database was hacked on ${new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toDateString()}. Personal data of 50,000+ customers including names, phone numbers, email addresses, and encrypted payment information was compromised.
+
+The attack appears to be sophisticated, possibly by organized cyber criminals. We have preserved all digital evidence and server logs. Immediate action is required to prevent further damage and to comply with data protection regulations.
+
+Sections applicable: IT Act 2000 Section 66, 66C, 66D, 43A
+Estimated Loss: Rs. 2 Crores (direct + indirect)`,
+    expectedUrgency: 'URGENT',
+    expectedRiskSignals: ['Ongoing criminal activity'],
+    expectedAreas: ['cyber'],
+    clientEmail: 'tech.startup@company.com'
+  },
+  {
+    title: 'Kidnapping of Minor - Ransom Demand',
+    content: `FIRST INFORMATION REPORT
+Police Station: Andheri East, Mumbai
+Date: ${new Date().toDateString()}
+
+Complainant: Mr. Suresh Patil
+Accused: Unknown persons
+
+The complainant's son, aged 9 years, was abducted while returning from school. The kidnappers have called twice demanding Rs. 25 lakhs and have threatened to harm the child if the police are informed. Offence under IPC Section 363 and 364A.`,
+    expectedUrgency: 'URGENT',
+    expectedRiskSignals: ['Threats to life or safety', 'Involvement of minors', 'Ongoing criminal activity'],
+    expectedAreas: ['criminal']
+  },
+  {
+    title: 'Anticipatory Bail - Attempt to Murder Allegation',
+    content: `APPLICATION UNDER SECTION 438 CrPC
+In the Sessions Court, Lucknow
+
+Applicant: Rahul Verma
+Respondent: State of Uttar Pradesh
+
+The applicant apprehends arrest in FIR No. 214/2024 registered under IPC Section 307 (attempt to murder). The applicant was not present at the scene and seeks anticipatory bail. The complainant's family has allegedly been pressuring witnesses.`,
+    expectedUrgency: 'URGENT',
+    expectedRiskSignals: ['Witness intimidation'],
+    expectedAreas: ['criminal']
+  },
+  {
+    title: 'Domestic Violence Complaint',
+    content: `COMPLAINT UNDER THE PROTECTION OF WOMEN FROM DOMESTIC VIOLENCE ACT, 2005
+Before the Magistrate Court, Jaipur
+
+Complainant: Mrs. Anita Sharma
+Respondent: Mr. Vikas Sharma
+
+The complainant has been subjected to domestic violence and repeated dowry demands by the respondent and his family for the last two years. She seeks a protection order, residence order and monthly maintenance.`,
+    expectedUrgency: 'MODERATE',
+    expectedRiskSignals: [],
+    expectedAreas: ['family']
+  },
+  {
+    title: 'Cheque Bounce - Section 138 NI Act',
+    content: `COMPLAINT UNDER SECTION 138 OF THE NEGOTIABLE INSTRUMENTS ACT, 1881
+Before the Metropolitan Magistrate, Chennai
+
+Complainant: Sri Lakshmi Traders
+Accused: Mr. Karthik Rajan
+
+A cheque for Rs. 4,50,000 issued by the accused towards payment for goods supplied was dishonoured with the remark "funds insufficient". Legal notice was served and no payment was made within 15 days.`,
+    expectedUrgency: 'MODERATE',
+    expectedRiskSignals: [],
+    expectedAreas: ['civil', 'criminal']
+  },
+  {
+    title: 'Investment Fraud - Ponzi Scheme',
+    content: `COMPLAINT TO ECONOMIC OFFENCES WING
+Police Station: Economic Offences Wing, Hyderabad
+
+Complainant: Mr. Prakash Reddy and 40 other investors
+Accused: Golden Returns Pvt. Ltd. and its directors
+
+The accused company collected deposits totalling Rs. 3.2 crores promising 4% monthly returns. Payments stopped in March and the directors have closed the office. This is a case of fraud and cheating under IPC Section 420.`,
+    expectedUrgency: 'MODERATE',
+    expectedRiskSignals: ['Ongoing criminal activity'],
+    expectedAreas: ['criminal', 'corporate']
+  },
+  {
+    title: 'Money Recovery Suit',
+    content: `SUMMARY SUIT UNDER ORDER XXXVII CPC
+In the District Court, Pune
+
+Plaintiff: Deccan Steel Suppliers
+Defendant: Shree Constructions
+
+The plaintiff seeks recovery of money of Rs. 8,75,000 being the unpaid amount under invoices for steel supplied between January and June, together with interest at 18% per annum.`,
+    expectedUrgency: 'LOW',
+    expectedRiskSignals: [],
+    expectedAreas: ['civil']
+  },
+  {
+    title: 'Breach of Contract - Software Services',
+    content: `CIVIL SUIT FOR DAMAGES
+In the High Court of Karnataka at Bengaluru
+
+Plaintiff: Nimbus Analytics Pvt. Ltd.
+Defendant: CloudServe Solutions Pvt. Ltd.
+
+The defendant failed to deliver the agreed software modules under the master services agreement. The plaintiff claims damages for breach of contract and seeks specific performance of the remaining obligations.`,
+    expectedUrgency: 'LOW',
+    expectedRiskSignals: [],
+    expectedAreas: ['civil', 'corporate']
+  },
+  {
+    title: 'Theft of Motorcycle',
+    content: `FIRST INFORMATION REPORT
+Police Station: Sector 17, Chandigarh
+
+Complainant: Mr. Gurpreet Singh
+Accused: Unknown
+
+The complainant's motorcycle parked outside his residence was stolen during the night. Offence of theft under IPC Section 379. No injuries were caused.`,
+    expectedUrgency: 'LOW',
+    expectedRiskSignals: [],
+    expectedAreas: ['criminal']
+  }
+];
+
+module.exports = { demoCaseScenarios };
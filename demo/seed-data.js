@@ -243,62 +243,7 @@ const demoUsers = [
 ];
 
 // Demo case scenarios
-const demoCaseScenarios = [
-  {
-    title: 'Rape Case - Immediate Action Required',
-    content: `FIRST INFORMATION REPORT
-Police Station: Connaught Place, New Delhi
-Date: ${new Date().toDateString()}
-
-Complainant: Ms. Victim Name (Identity Protected)
-Accused: Mr. Accused Name
-
-Details: The complainant has filed a case under IPC Section 376 (Rape). The incident occurred on ${new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toDateString()}. Medical examination has been conducted. Evidence has been collected. Accused is currently absconding.
-
-This case requires immediate attention due to the serious nature of the crime and potential flight risk of the accused.`,
-    expectedUrgency: 'URGENT',
-    expectedAreas: ['criminal'],
-    clientEmail: 'ramesh.client@gmail.com'
-  },
-  {
-    title: 'Property Dispute - Possession Issue',
-    content: `CIVIL SUIT FOR POSSESSION AND DAMAGES
-Court: District Court, Mumbai
-Date: ${new Date().toDateString()}
-
-Plaintiff: Priya Sharma
-Defendant: Builder XYZ Ltd.
-
-The plaintiff purchased a flat in ABC Towers, Mumbai for Rs. 1.2 Crores in 2020. Despite full payment, possession has not been given. The builder is now claiming additional charges and delaying possession.
-
-Seeking: 1) Possession of the flat 2) Compensation for rental expenses 3) Interest on delayed possession
-
-Property Details: 2BHK, Flat No. 504, ABC Towers, Andheri West, Mumbai
-Registration No: MH/2020/12345`,
-    expectedUrgency: 'MODERATE',
-    expectedAreas: ['civil'],
-    clientEmail: 'priya.client@gmail.com'
-  },
-  {
-    title: 'Cyber Crime - Data Breach',
-    content: `COMPLAINT UNDER IT ACT 2000
-Cyber Crime Cell: Bangalore
-Date: ${new Date().toDateString()}
-
-Complainant: TechCorp Solutions Pvt. Ltd.
-Nature: Data Breach and Cyber Attack
-
-Our company's database was hacked on ${new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toDateString()}. Personal data of 50,000+ customers including names, phone numbers, email addresses, and encrypted payment information was compromised.
-
-The attack appears to be sophisticated, possibly by organized cyber criminals. We have preserved all digital evidence and server logs. Immediate action is required to prevent further damage and to comply with data protection regulations.
-
-Sections applicable: IT Act 2000 Section 66, 66C, 66D, 43A
-Estimated Loss: Rs. 2 Crores (direct + indirect)`,
-    expectedUrgency: 'URGENT',
-    expectedAreas: ['cyber'],
-    clientEmail: 'tech.startup@company.com'
-  }
-];
+const { demoCaseScenarios } = require('./case-scenarios');
 
 async function seedDatabase() {
   try {